@@ -112,8 +112,12 @@ global.ds = ds = global.dataship;
  *
  *	`ds.frame(index, labels)`
  *
- *	* index - a javascript object with numeric values (output by {@link dataship.frame.groupby}).
- *	* labels - an array of two strings to use as the column labels.
+ *	* index - a javascript object with numeric values (output by {@link dataship.frame.groupby}),
+ *		or a matrix (an object of objects, output by {@link dataship.stats.corr}), whose
+ *		inner keys become columns. A columnar frame is turned back into rows, as
+ *		by {@link dataship.frame.rows}.
+ *	* labels - an array of two strings to use as the column labels (only the first is used
+ *		for a matrix).
  *
  *	@examples
  * var averageRatingByYear = {
@@ -127,9 +131,12 @@ global.ds = ds = global.dataship;
  * ];
  *
  *	ds.frame(averageRatingByYear, ["Year", "Rating"])	// => framed
+ *	ds.frame(ds.frame.columnar(framed))	// => framed
  *
  */
 dataship.frame = function framify(index, labels){
+	if(iscolumnar(index)) return dataship.frame.rows(index);
+
 	labels = labels || ["key", "value"];
 
 	var result = [];
@@ -137,7 +144,9 @@ dataship.frame = function framify(index, labels){
 	for(var key in index){
 		row = {};
 		row[labels[0]] = key;
-		row[labels[1]] = index[key];
+		// a matrix (an object of objects) gets a column for each inner key
+		if(isobject(index[key])) Object.assign(row, index[key]);
+		else row[labels[1]] = index[key];
 		result.push(row);
 	}
 
@@ -150,18 +159,31 @@ dataship.frame.groupers = {};
 dataship.stats = {};
 /*
 	"linearRegression" : linearRegression
-rolling_mean
 */
 
 dataship.num = {};
 
+dataship.random = {};
+
+dataship.stream = {};
+
+dataship.parallel = {};
+
 // semi private utility functions
 dataship.util = {};
 
 dataship.vis = {};
 
+dataship.io = {};
+
+dataship.io.csv = {};
+
+dataship.io.tsv = {};
+
 dataship.vis.groupby = {};
 
+dataship.vis.svg = {};
+
 dataship.map = {
 	"sqrt" : Math.sqrt,
 	"pow" : Math.pow,
@@ -202,13 +224,15 @@ function type(obj){
 }
 
 function isarray(obj){ return Object.prototype.toString.call(obj) === "[object Array]";}
-function isobject(obj){ return Object.prototype.toString.call(obj) === "[object Object]";}
+function isobject(obj){ return Object.prototype.toString.call(obj) === "[object Object]" && !iscolumnar(obj);}
 function isnumber(obj){ return Object.prototype.toString.call(obj) === "[object Number]";}
 function isinteger(num){ return num % 1 === 0;}
 function isstring(obj){ return Object.prototype.toString.call(obj) === "[object String]";}
 function isfunction(obj){ return Object.prototype.toString.call(obj) === "[object Function]"; }
 function isframe(obj){ return isarray(obj) && (obj.length == 0 || isobject(obj[0])); }
 function isdate(obj){ return Object.prototype.toString.call(obj) === "[object Date]";}
+function istypedarray(obj){ return ArrayBuffer.isView(obj) && !(obj instanceof DataView); }
+function iscolumnar(obj){ return obj instanceof ColumnarFrame; }
 
 /**  Generate an array of numbers
 
@@ -302,11 +326,24 @@ function filter(data, func){
 	@examples
 	map([1, 2, 3, 4], function(x){ return x * 2})	// => [2, 4, 6, 8]
 	map({"a" : 1, "b" : 2}, function(x){ return x * 2})	// => {"a" : 2, "b" : 4}
+	map(new Int32Array([1, 2]), function(x){ return x / 2})	// => new Float64Array([0.5, 1])
+	map(new Int32Array([1, 2]), function(x){ return x > 1})	// => [false, true]
 */
 function map(data, func){
 
 	if(isarray(data)) return data.map(func);
 
+	// typed arrays give floats, so integer division isn't truncated, unless
+	// something other than numbers comes out
+	if(istypedarray(data)){
+		var values = new Array(data.length), numeric = true;
+		for(var i = 0; i < data.length; i++){
+			values[i] = func(data[i], i, data);
+			if(typeof values[i] !== "number") numeric = false;
+		}
+		return numeric ? Float64Array.from(values) : values;
+	}
+
 	var result = {};
 
 	for(key in data){
@@ -321,28 +358,76 @@ function map(data, func){
 	@examples
 	reduce([1, 2, 3, 4], ds.reduce.max)	// => 4
 	reduce({"a" : 1, "b" : 2}, ds.reduce.min)	// => 1
+	reduce(new Float64Array([1, 2]), ds.reduce.sum)	// => 3
+	reduce([1, 2, 3], function(agg, val, i, source){ return agg + val * source.length; })	// => 16
 */
 function reduce(data, func, initial){
 
-	if(isarray(data)){
-		if(initial == null) return data.reduce(func);
-		else return data.reduce(func, initial);
+	var aggregator = dataship.reduce.aggregator(func);
+	var state = aggregator.init(initial);
+
+	if(isarray(data) || istypedarray(data)){
+		for(var i = 0; i < data.length; i++) state = aggregator.step(state, data[i], data);
+	} else {
+		for(var key in data) state = aggregator.step(state, data[key], data);
 	}
 
-	var result = null;
+	return aggregator.finalize(state);
+}
 
-	var i = 0;
-	for(key in data){
-		if(result === null){
-			result = initial != null ?  func(initial, data[key], i) : data[key];
-		} else {
-			result = func(result, data[key], i);
-		}
+/* Get the aggregator behind a reducer. Aggregators keep their running state in an
+ *	object of their own, so any number of them can run at once (one per group in
+ *	`groupby`, say), and states built from separate parts of the data can be merged.
+ *	`ds.frame.groupby`, `reduce` and `ds.num` accept aggregators anywhere they
+ *	accept a reducer.
+ *
+ *	`ds.reduce.aggregator(reducer, initial)`
+ *
+ *	* reducer - a reducer from `ds.reduce`, an aggregator, or any other
+ *		`function(agg, val, n)` reducer
+ *	* initial - (optional) the initial value to use when `init` isn't given one
+ *
+ *	returns - an object with the following functions (the reducers in `ds.reduce`
+ *		carry theirs as `reducer.aggregator`)
+ *	* `init(initial)` - create a new state, starting from `initial` if given
+ *	* `step(state, val, source)` - add a value to a state, returns the state.
+ *		`source` is the array (or object) being reduced, if there is one.
+ *	* `merge(a, b)` - combine two states, returns the combined state. Only one of
+ *		them should have started from an initial value.
+ *	* `finalize(state)` - the result for a state, or the initial value (or `null`)
+ *		when no values were added
+ *
+ *	Other reducers are adapted, calling them as `Array.prototype.reduce` would,
+ *	but they can't be merged.
+ *
+ *	The reducers in `ds.reduce` that carry an aggregator only finalize it for the
+ *	last element of the array they reduce, the calls before that return a placeholder
+ *	that only means something to the next call.
+ *
+ * @examples
+ * var mean = ds.reduce.aggregator(ds.reduce.mean);
+ * var a = mean.step(mean.step(mean.init(), 1), 2);
+ * var b = mean.step(mean.init(), 6);
+ *
+ * mean.finalize(mean.merge(a, b))	// => 3
+ *
+ * var longest = ds.reduce.aggregator(function(agg, val){ return val.length > agg.length ? val : agg; });
+ *
+ * longest.finalize(["a", "abc", "ab"].reduce(longest.step, longest.init()))	// => "abc"
+ * ds.frame.groupby([{"g" : 1, "s" : "ab"}, {"g" : 1, "s" : "b"}], "g", "s", longest)	// => {"1" : "ab"}
+ */
+dataship.reduce.aggregator = function aggregator(reducer, initial){
+	var result;
+	if(isaggregator(reducer)) result = reducer;
+	else if(isfunction(reducer) && isaggregator(reducer.aggregator)) result = reducer.aggregator;
+	else if(isfunction(reducer)) result = legacyAggregator(reducer);
+	else throw new Error("reducer must be a function or an aggregator");
 
-		i++;
-	}
+	if(initial == null) return result;
 
-	return result;
+	return Object.assign({}, result, {
+		"init" : function(init){ return result.init(init != null ? init : initial); }
+	});
 }
 
 /* Array.prototype.reduce style function for finding the maximum
@@ -352,6 +437,7 @@ function reduce(data, func, initial){
  * reduce({"a" : 1, "b" : 0, "c" : 2}, ds.reduce.max)	// => 2
  */
 dataship.reduce.max = function(agg, val) { return agg > val ? agg : val; };
+dataship.reduce.max.aggregator = foldAggregator(dataship.reduce.max);
 
 /* Array.prototype.reduce style function for finding the minimum
  * @examples
@@ -360,68 +446,65 @@ dataship.reduce.max = function(agg, val) { return agg > val ? agg : val; };
  * reduce({"a" : 1, "b" : 0, "c" : 2}, ds.reduce.min)	// => 0
  */
 dataship.reduce.min = function(agg, val) { return agg < val ? agg : val; };
+dataship.reduce.min.aggregator = foldAggregator(dataship.reduce.min);
 
 /* Array.prototype.reduce style function for finding the most common value
  * @examples
  * [1, 1, 1].reduce(ds.reduce.mode)			// => 1
  * [1, 3, 3, 7].reduce(ds.reduce.mode)		// => 3
+ * [1, 2, 2, 1].reduce(ds.reduce.mode)		// => 2
  * reduce({"a" : 1, "b" : 0, "c" : 2}, ds.reduce.mode)	// => 1
  */
-dataship.reduce.mode = function(agg, val, n) {
-	if(n === 0) return val;
-
-	if(n === 1){
-		// internal state hack (compatible with groupby)
-		self = dataship.reduce.mode.state = {};
-		self.values = {};
-		self.values[agg] = 1;
-		self.argmax = agg;
-	} else {
-		self = dataship.reduce.mode.state;
-	}
-
-	if(val in self.values)
-		self.values[val] += 1;
-	else
-		self.values[val] = 1;
+dataship.reduce.mode = reducerFunction({
+	"init" : function(initial){
+		return {"counts" : new Map(), "last" : new Map(), "n" : 0, "max" : 0, "argmax" : null, "initial" : initial};
+	},
+	"step" : function(state, val){
+		var count = (state.counts.get(val) || 0) + 1;
+		state.counts.set(val, count);
+		state.last.set(val, ++state.n);
+
+		// ties go to the value that got there first
+		if(count > state.max){
+			state.max = count;
+			state.argmax = val;
+		}
 
-	if(self.values[val] > self.values[agg])
-		self.argmax = val;
+		return state;
+	},
+	"merge" : function(a, b){
+		b.counts.forEach(function(count, val){ a.counts.set(val, (a.counts.get(val) || 0) + count); });
+		b.last.forEach(function(position, val){ a.last.set(val, a.n + position); });
+		a.n += b.n;
+
+		// a value got to its count at its last position, so ties go to the value
+		// seen last the earliest, as they would in one pass over a then b
+		a.max = 0;
+		a.counts.forEach(function(count, val){
+			if(count > a.max || (count === a.max && a.last.get(val) < a.last.get(a.argmax))){
+				a.max = count;
+				a.argmax = val;
+			}
+		});
 
-	return self.argmax;
-}
+		return a;
+	},
+	"finalize" : function(state){
+		return state.max > 0 ? state.argmax : initialResult(state);
+	}
+});
 
-/* Array.prototype.reduce style function for finding the middle value
+/* Array.prototype.reduce style function for finding the middle value. It keeps a
+ *	sorted copy of every value, see {@link dataship.reduce.approxMedian} for large data.
  * @examples
  * [1, 1, 1].reduce(ds.reduce.median)			// => 1
  * [1, 3, 3, 7].reduce(ds.reduce.median)		// => 3
  * [4, 1, 7].reduce(ds.reduce.median)			// => 4
  * reduce({"a" : 4, "b" : 1, "c" : 7}, ds.reduce.median)	// => 4
  */
-dataship.reduce.median = function(agg, val, n) {
-	if(n === 0) return val;
-
-	if(n === 1){
-		// internal state hack (compatible with groupby)
-		self = dataship.reduce.mode.state = {};
-		self.values = [agg];
-	} else {
-		self = dataship.reduce.mode.state;
-	}
-
-	// insert the new value into the sorted array
-	dataship.util.insert(self.values, val);
-
-	var middle = self.values.length / 2 | 0;
-	// even number of elements?
-	if(self.values.length % 2 !== 0){
-		// no, return the middle one
-		return self.values[middle];
-	} else {
-		// yes, return the average of the middle two
-		return (self.values[middle - 1] + self.values[middle]) / 2;
-	}
-}
+dataship.reduce.median = reducerFunction(sortedAggregator(function(values){
+	return sortedQuantile(values, 0.5);
+}));
 
 /* Array.prototype.reduce style function for counting number of elements
  * @examples
@@ -430,6 +513,12 @@ dataship.reduce.median = function(agg, val, n) {
  * reduce({"a" : 1, "b" : 0, "c" : 2}, ds.reduce.count)	// => 3
  */
 dataship.reduce.count = function(agg, val, n){ return n + 1; };
+dataship.reduce.count.aggregator = {
+	"init" : function(){ return {"count" : 0}; },
+	"step" : function(state){ state.count++; return state; },
+	"merge" : function(a, b){ a.count += b.count; return a; },
+	"finalize" : function(state){ return state.count; }
+};
 
 /* Array.prototype.reduce style function for finding the sum
  * @examples
@@ -438,6 +527,7 @@ dataship.reduce.count = function(agg, val, n){ return n + 1; };
  * reduce({"a" : 1, "b" : 0, "c" : 2}, ds.reduce.sum)	// => 3
  */
 dataship.reduce.sum = function(agg, val){ return agg + val; };
+dataship.reduce.sum.aggregator = foldAggregator(dataship.reduce.sum);
 
 /* Array.prototype.reduce style function for finding the arithmetic mean
  * @examples
@@ -446,1210 +536,8426 @@ dataship.reduce.sum = function(agg, val){ return agg + val; };
  * reduce({"a" : 1, "b" : 0, "c" : 2}, ds.reduce.mean)	// => 1
  */
 dataship.reduce.mean = function(agg, val, n){ return (agg + ((val - agg)/(n + 1))); };
-
-/* Elementwise equality
- */
-dataship.num.equal = function equal(a, b){
-	if(a.length !== b.length) return false;
-
-	for(var i = 0; i < a.length; i++){
-		if(a[i] !== b[i]) return false;
+dataship.reduce.mean.aggregator = {
+	"init" : function(initial){ return {"count" : 0, "mean" : 0, "initial" : initial}; },
+	"step" : function(state, val){
+		state.count++;
+		state.mean += (val - state.mean) / state.count;
+		return state;
+	},
+	"merge" : function(a, b){
+		var count = a.count + b.count;
+		if(count > 0) a.mean += (b.mean - a.mean) * b.count / count;
+		a.count = count;
+		return a;
+	},
+	"finalize" : function(state){
+		return state.count > 0 ? state.mean : initialResult(state);
 	}
-
-	return true;
 };
 
-/* Elementwise approximate equality.
+/* Array.prototype.reduce style function for finding the sample variance
+ * @examples
+ * [1, 1, 1].reduce(ds.reduce.variance)			// => 0
+ * [2, 4, 4, 4, 5, 5, 7, 9].reduce(ds.reduce.variance)	// => 32 / 7
+ * reduce({"a" : 1, "b" : 3}, ds.reduce.variance)	// => 2
  */
-dataship.num.allclose = function allclose(a, b, rtol, atol){
-	rtol = rtol || 1e-05;
-	atol = atol || 1e-08;
+dataship.reduce.variance = reducerFunction(momentAggregator(momentVariance));
 
-	if(a.length !== b.length) return false;
+/* Array.prototype.reduce style function for finding the sample standard deviation
+ * @examples
+ * [1, 1, 1].reduce(ds.reduce.std)			// => 0
+ * [2, 4, 4, 4, 5, 5, 7, 9].reduce(ds.reduce.std)	// => Math.sqrt(32 / 7)
+ */
+dataship.reduce.std = reducerFunction(momentAggregator(function(state){
+	return Math.sqrt(momentVariance(state));
+}));
 
-	for(var i = 0; i < a.length; i++){
-		if(Math.abs(a[i] - b[i]) > (atol + rtol * Math.abs(b[i]))) return false;
-	}
+/* Array.prototype.reduce style function for finding the sample skewness
+ * @examples
+ * [1, 2, 3].reduce(ds.reduce.skewness)			// => 0
+ * [1, 2, 3, 10].reduce(ds.reduce.skewness) > 0	// => true
+ */
+dataship.reduce.skewness = reducerFunction(momentAggregator(momentSkewness));
 
-	return true;
-};
+/* Array.prototype.reduce style function for finding the sample excess kurtosis
+ * @examples
+ * ds.num.allclose([[1, 2, 3, 4].reduce(ds.reduce.kurtosis)], [-1.2])	// => true
+ */
+dataship.reduce.kurtosis = reducerFunction(momentAggregator(momentKurtosis));
 
-/* Divide everything in an array or object by a value, returns a copy.
+/* Create an Array.prototype.reduce style function for finding a quantile, using
+ *	linear interpolation between values (see {@link dataship.num.quantile}).
+ *
+ *	`ds.reduce.quantile(q)`
+ *
+ *	* q - the quantile to find, between 0 and 1
+ *
+ * @examples
+ * [1, 2, 3, 4, 5].reduce(ds.reduce.quantile(0.25))	// => 2
+ * [1, 2, 3, 4].reduce(ds.reduce.quantile(0.5))		// => 2.5
+ */
+dataship.reduce.quantile = function quantile(q){
+	if(!(q >= 0 && q <= 1)) throw new Error("q must be between 0 and 1");
 
-	@examples
-	ds.num.divide([2, 4, 6, 8], 2)		// => [1, 2, 3, 4]
-	ds.num.divide({"a" : 4, "b" : 8, "c" : 10}, 2)	// => {"a" : 2, "b" : 4, "c" : 5}
-*/
-dataship.num.divide = function divide(data, divisor){
-	return map(data, function(x) { return x/divisor;});
+	return reducerFunction(sortedAggregator(function(values){
+		return sortedQuantile(values, q);
+	}));
 }
 
-dataship.num.div = dataship.num.divide;
+/* Create an Array.prototype.reduce style function for finding a percentile
+ *
+ *	`ds.reduce.percentile(p)`
+ *
+ *	* p - the percentile to find, between 0 and 100
+ *
+ * @examples
+ * [1, 2, 3, 4, 5].reduce(ds.reduce.percentile(75))	// => 4
+ */
+dataship.reduce.percentile = function percentile(p){
+	return dataship.reduce.quantile(p / 100);
+}
 
-/* Multiply everything in an array or object by a value, returns a copy.
+/* Array.prototype.reduce style function for finding the interquartile range
+ * @examples
+ * [1, 2, 3, 4, 5].reduce(ds.reduce.iqr)	// => 2
+ */
+dataship.reduce.iqr = reducerFunction(sortedAggregator(function(values){
+	return sortedQuantile(values, 0.75) - sortedQuantile(values, 0.25);
+}));
+
+/* Array.prototype.reduce style function for estimating the number of distinct
+ *	values, with a HyperLogLog sketch. It keeps 4096 small counters however many
+ *	values there are, and has a relative standard error of about 1.6%: counts are
+ *	within 1.6% of the truth about two times in three, and within 5% nearly always.
+ *	Small counts are usually exact. Values are told apart the way a `Map` would,
+ *	except that dates are the same when they hold the same time, and objects when
+ *	they have the same JSON.
+ *
+ *	See {@link dataship.reduce.approxCountDistinct} for more or less precision.
+ *
+ * @examples
+ * [1, 2, 2, 3, 1].reduce(ds.reduce.countDistinct)		// => 3
+ * ["a", "b", "a"].reduce(ds.reduce.countDistinct)		// => 2
+ * [1, "1"].reduce(ds.reduce.countDistinct)		// => 2
+ * ds.frame.groupby([{"g" : 1, "v" : "a"}, {"g" : 1, "v" : "a"}, {"g" : 2, "v" : "b"}], "g", "v", ds.reduce.countDistinct)	// => {"1" : 1, "2" : 1}
+ */
+dataship.reduce.countDistinct = reducerFunction(hyperLogLogAggregator(12));
 
-	@examples
-	ds.num.multiply([1, 2, 3, 4], 2)		// => [2, 4, 6, 8]
-	ds.num.multiply({"a" : 2, "b" : 4}, 2)	// => {"a" : 4, "b" : 8}
-*/
-dataship.num.multiply = function multiply(data, multiplier){
-	return map(data, function(x) { return x * multiplier;});
+/* Create an Array.prototype.reduce style function for estimating the number of
+ *	distinct values, like {@link dataship.reduce.countDistinct} but with a chosen
+ *	precision. A sketch keeps `2^precision` counters, and its relative standard
+ *	error is about `1.04 / sqrt(2^precision)`: 3.3% for precision 10, 0.8% for 14.
+ *	Only sketches with the same precision can be merged.
+ *
+ *	`ds.reduce.approxCountDistinct(precision)`
+ *
+ *	* precision - (optional) an integer from 4 to 16 (default: 12)
+ *
+ * @examples
+ * [1, 2, 2, 3, 1].reduce(ds.reduce.approxCountDistinct(8))	// => 3
+ */
+dataship.reduce.approxCountDistinct = function approxCountDistinct(precision){
+	return reducerFunction(hyperLogLogAggregator(precision == null ? 12 : precision));
 }
 
-dataship.num.mul = dataship.num.multiply;
+/* Create an Array.prototype.reduce style function for estimating a quantile with
+ *	a t-digest, in memory that doesn't grow with the number of values (unlike
+ *	{@link dataship.reduce.quantile}, which keeps them all). Values are gathered
+ *	into at most about `compression` clusters, which are kept smaller near the ends,
+ *	so the estimate is better for extreme quantiles than for the median. For
+ *	a compression of 100, the rank of the result is typically within 0.5% of `q`
+ *	around the median, and much closer near 0 and 1. Up to `compression` values
+ *	give the same result as `ds.reduce.quantile`, also when merged.
+ *
+ *	`ds.reduce.approxQuantile(q, compression)`
+ *
+ *	* q - the quantile to find, between 0 and 1
+ *	* compression - (optional) the size of the digest; more is more accurate
+ *		(default: 100)
+ *
+ * @examples
+ * [1, 2, 3, 4, 5].reduce(ds.reduce.approxQuantile(0.25))	// => 2
+ * [1, 2, 3, 4].reduce(ds.reduce.approxQuantile(0.5))		// => 2.5
+ * [9, 2, 7, 4, 1, 8].reduce(ds.reduce.approxQuantile(0.3))	// => 3
+ */
+dataship.reduce.approxQuantile = function approxQuantile(q, compression){
+	if(!(q >= 0 && q <= 1)) throw new Error("q must be between 0 and 1");
 
-/* Take the square root of everything in an array or object, returns a copy.
+	return reducerFunction(tdigestAggregator(q, compression == null ? 100 : compression));
+}
 
-	@examples
-	ds.num.sqrt([1, 4, 9, 16])		// => [1, 2, 3, 4]
-	ds.num.sqrt({"a" : 9, "b" : 16}, 2)	// => {"a" : 3, "b" : 4}
-*/
-dataship.num.sqrt = function sqrt(data){
-	return map(data, Math.sqrt);
+/* Create an Array.prototype.reduce style function for estimating a percentile, see
+ *	{@link dataship.reduce.approxQuantile}.
+ *
+ *	`ds.reduce.approxPercentile(p, compression)`
+ *
+ *	* p - the percentile to find, between 0 and 100
+ *	* compression - (optional) the size of the digest (default: 100)
+ *
+ * @examples
+ * [1, 2, 3, 4, 5].reduce(ds.reduce.approxPercentile(75))	// => 4
+ */
+dataship.reduce.approxPercentile = function approxPercentile(p, compression){
+	return dataship.reduce.approxQuantile(p / 100, compression);
 }
 
-/* Raise everything in an array or object to a given power, returns a copy.
+/* Array.prototype.reduce style function for estimating the median with a t-digest,
+ *	see {@link dataship.reduce.approxQuantile}.
+ * @examples
+ * [4, 1, 7].reduce(ds.reduce.approxMedian)			// => 4
+ * [1, 3, 3, 7].reduce(ds.reduce.approxMedian)		// => 3
+ */
+dataship.reduce.approxMedian = dataship.reduce.approxQuantile(0.5);
 
-	@examples
-	ds.num.pow([1, 2, 3, 4], 2)		// => [1, 4, 9, 16]
-*/
-dataship.num.pow = function pow(data, power){
-	return map(data, function(x) { return Math.pow(x, power); });
+/* Create an Array.prototype.reduce style function for finding the most common
+ *	values, with a count-min sketch. The result is an array of up to `k`
+ *	`{"value", "count"}` objects, most common first.
+ *
+ *	Counts are never too low, and for `n` values they are too high by at most
+ *	`2.72 * n / width`, except with probability `0.37^depth` (with the defaults,
+ *	0.13% of `n`, failing 1.8% of the time for each value). Only the `k` values with
+ *	the highest counts so far are remembered, and overestimated counts can take their
+ *	places, so nothing is sure to be found: a value seen more than
+ *	`n / k + 2.72 * n / width` times is found unless the counts of the values kept
+ *	are off by more than that bound, which gets less likely with more `depth`. The
+ *	last places may also go to values that were common early.
+ *	Only sketches with the same `k`, `width` and `depth` can be merged.
+ *
+ *	`ds.reduce.heavyHitters(k, options)`
+ *
+ *	* k - (optional) the number of values to find (default: 10)
+ *	* options - (optional) an object with
+ *		* width - counters in each row of the sketch (default: 2048)
+ *		* depth - rows in the sketch (default: 4)
+ *
+ * @examples
+ * var hitters = [{"value" : "a", "count" : 3}, {"value" : "c", "count" : 2}];
+ *
+ * ["a", "b", "a", "c", "a", "c"].reduce(ds.reduce.heavyHitters(2))	// => hitters
+ */
+dataship.reduce.heavyHitters = function heavyHitters(k, options){
+	options = options || {};
+	k = k == null ? 10 : k;
+	if(!(isinteger(k) && k > 0)) throw new Error("k must be a positive integer");
+
+	return reducerFunction(countMinAggregator(k, options.width || 2048, options.depth || 4));
 }
 
-/* Raise Euler's Number to the power of everything in an array or object, returns a copy.
+/* Wrap a reducer so that it skips missing values (`null`, `undefined` and `NaN`)
+ *	instead of folding them into the result. The wrapped reducer is flagged with
+ *	`skipna`, and in `ds.frame.groupby` a group with no values left gets the
+ *	initial value (or `null`).
+ *
+ *	`ds.reduce.skipna(reducer)`
+ *
+ *	Wrapped versions of the built in reducers are available with a `nan` prefix:
+ *	`ds.reduce.nansum`, `nanmean`, `nanmax`, `nanmin`, `nanmode`, `nanmedian`,
+ *	`nancount`, `nanvariance`, `nanstd`, `nanskewness`, `nankurtosis`, `naniqr`,
+ *	`nancountDistinct`, `nanapproxMedian`, `nanquantile(q)` and `nanpercentile(p)`.
+ *
+ * @examples
+ * [1, null, 3].reduce(ds.reduce.sum)	// => 4
+ * [1, NaN, 3].reduce(ds.reduce.sum)	// => NaN
+ * [1, NaN, 3].reduce(ds.reduce.skipna(ds.reduce.sum))	// => 4
+ * [null, 2, NaN, 4].reduce(ds.reduce.nanmean)	// => 3
+ * [null, 2, NaN, 4].reduce(ds.reduce.nancount, 0)	// => 2
+ * ds.frame.groupby([{"a" : 1, "b" : 2}, {"a" : 1, "b" : NaN}], "a", "b", ds.reduce.nanmax)	// => {"1" : 2}
+ */
+dataship.reduce.skipna = function skipna(reducer){
+	if(reducer.skipna) return reducer;
 
-	@examples
-	ds.num.exp([1, 2, 3, 4])		// => [1, 2, 3, 4].map(Math.exp)
-*/
-dataship.num.exp = function exp(data){
-	return map(data, Math.exp);
-}
+	var inner = dataship.reduce.aggregator(reducer);
+	var wrapped = reducerFunction(Object.assign({}, inner, {
+		"step" : function(state, val){ return ismissing(val) ? state : inner.step(state, val); }
+	}));
 
-/* Find and return the absolute value of everything in an array or object, returns a copy.
+	wrapped.skipna = true;
+	wrapped.reducer = reducer;
 
-	@examples
-	ds.num.abs([1, -2, 3, 4, -5])		// => [1, 2, 3, 4, 5]
-*/
-dataship.num.abs = function abs(data){
-	return map(data, Math.abs);
+	return wrapped;
 }
 
-/* Take the natural logarithm of everything in an array or object, returns a copy.
+var nanReducers = ["max", "min", "mode", "median", "count", "sum", "mean", "variance", "std", "skewness", "kurtosis", "iqr",
+	"countDistinct", "approxMedian"];
+nanReducers.forEach(function(name){
+	dataship.reduce["nan" + name] = dataship.reduce.skipna(dataship.reduce[name]);
+});
 
-	@examples
-	ds.num.log([1, 2, 3, 4])		// => [1, 2, 3, 4].map(Math.log)
-*/
-dataship.num.log = function log(data){
-	return map(data, Math.log);
+/* Create a reducer for finding a quantile, skipping missing values.
+ *
+ *	`ds.reduce.nanquantile(q)`
+ */
+dataship.reduce.nanquantile = function nanquantile(q){
+	return dataship.reduce.skipna(dataship.reduce.quantile(q));
 }
 
+/* Create a reducer for finding a percentile, skipping missing values.
+ *
+ *	`ds.reduce.nanpercentile(p)`
+ */
+dataship.reduce.nanpercentile = function nanpercentile(p){
+	return dataship.reduce.skipna(dataship.reduce.percentile(p));
+}
 
-/* Find and return the max in an array or object (with numerical values)
+function isaggregator(obj){
+	return obj != null && typeof obj === "object" && isfunction(obj.init) && isfunction(obj.step) && isfunction(obj.finalize);
+}
 
-	@examples
-	ds.num.max([1, 5, 3, 9, 2, 4])			// => 9
-	ds.num.max([20, 3, 87, 24, 93, 55])		// => 93
-	ds.num.max({"a" : 23, "b" : 12, "c" : 45, "d" : 18})	// => 45
-*/
-dataship.num.max = function max(data){
-	return reduce(data, ds.reduce.max);
+/* aggregator calling a function(agg, val, n) reducer the way Array.prototype.reduce does
+ * @private
+ */
+function legacyAggregator(reducer){
+	return {
+		"init" : function(initial){
+			return {"result" : initial == null ? null : initial, "n" : 0, "initial" : initial != null};
+		},
+		"step" : function(state, val, source){
+			state.result = (state.n === 0 && !state.initial) ? val : reducer(state.result, val, state.n, source);
+			state.n++;
+			return state;
+		},
+		"merge" : function(){
+			throw new Error("this reducer can't be merged, write it as an aggregator with a merge function");
+		},
+		"finalize" : function(state){ return state.result; }
+	};
 }
 
-/* Find and return the min in an array or object (with numerical values)
+/* function(agg, val, n, source) reducer for use with Array.prototype.reduce, backed by
+ *	an aggregator. The state of each reduction is kept per source array, and a new
+ *	one is started whenever a call doesn't continue from the last. Finalizing can be
+ *	costly (sorting, scanning a sketch), so it's only done for the last value of the
+ *	source, earlier calls return a placeholder.
+ * @private
+ */
+function reducerFunction(aggregator){
+	var states = new WeakMap();
 
-	@examples
-	ds.num.min([1, 5, 3, 9, 2, 4])			// => 1
-	ds.num.min([20, 3, 87, 24, 93, 55])		// => 3
-	ds.num.min({"a" : 23, "b" : 12, "c" : 45, "d" : 18})	// => 12
-*/
-dataship.num.min = function min(data){
-	return reduce(data, ds.reduce.min);
-}
+	var reducer = function(agg, val, n, source){
+		var key = (source !== null && typeof source === "object") ? source : reducer;
+		var entry = states.get(key);
 
-/* Find and return the most common value in an array or object (with numerical values),
-	or the first such value if multiple exist.
+		if(n === 0 || entry === void(0) || entry.n !== n || !Object.is(entry.result, agg)){
+			// agg is the initial value, or the first element
+			entry = {"state" : n === 0 ? aggregator.init(agg) : aggregator.step(aggregator.init(), agg)};
+			states.set(key, entry);
+		}
 
-	@examples
-	ds.num.mode([1, 5, 3, 5, 2, 4])			// => 5
-	ds.num.mode([20, 3, 87, 24, 93, 55])		// => 20
-	ds.num.mode({"a" : 23, "b" : 12, "c" : 45, "d" : 12})	// => 12
-*/
-dataship.num.mode = function mode(data){
-	return reduce(data, ds.reduce.mode);
-}
+		entry.state = aggregator.step(entry.state, val);
+		entry.n = n + 1;
 
-/* Find and return the most common value in an array or object (with numerical values),
-	or the first such value if multiple exist.
+		if(key !== reducer && !isLastIndex(source, n)) return entry.result = new PendingResult();
 
-	@examples
-	ds.num.median([1, 5, 3, 5, 2, 4])			// => 3.5
-	ds.num.median([20, 3, 87, 24, 93, 55, 46])		// => 46
-	ds.num.median({"a" : 23, "b" : 12, "c" : 45, "d" : 12})	// => 17.5
-*/
-dataship.num.median = function mode(data){
-	return reduce(data, ds.reduce.median);
+		return entry.result = aggregator.finalize(entry.state);
+	};
+	reducer.aggregator = aggregator;
+
+	return reducer;
 }
 
-/* Sum all them elements in an array or object (with numerical values)
+/* stands in for the result of a reduction that hasn't reached its last value
+ * @private
+ */
+function PendingResult(){}
 
-	@examples
-	ds.num.sum([1, 5, 3, 9, 2, 4])			// => 24
-	ds.num.sum([20, 3, 87, 24, 93, 55])		// => 282
-	ds.num.sum({"a" : 23, "b" : 12, "c" : 45, "d" : 18})	// => 98
-*/
-dataship.num.sum = function sum(data){
-	return reduce(data, ds.reduce.sum);
-}
+/* is n the index of the last element of an array like source? skips holes in
+ * sparse arrays, which reduce doesn't visit
+ * @private
+ */
+function isLastIndex(source, n){
+	if(typeof source.length !== "number") return true;
 
-/* Calculate the arithmetic mean of elements in an array or object (with numerical values)
+	for(var i = n + 1; i < source.length; i++){
+		if(i in source) return false;
+	}
 
-	@examples
-	ds.num.mean([1, 5, 3, 9, 2, 4])			// => 4
-	ds.num.mean([20, 3, 87, 24, 93, 55])	// => 47
-	ds.num.mean({"a" : 23, "b" : 12, "c" : 45, "d" : 18})	// => 24.5
-*/
-dataship.num.mean = function mean(data){
-	return reduce(data, ds.reduce.mean);
+	return true;
 }
 
-/* Create a new Array filled with zeros
+/* the result of an aggregator with no values
+ * @private
+ */
+function initialResult(state){
+	return state.initial != null ? state.initial : null;
+}
 
-	@examples
-	ds.num.zeros(5)		// => [0, 0, 0, 0, 0]
-	ds.num.zeros(7)		// => [0, 0, 0, 0, 0, 0, 0]
+/* aggregator for an associative reducer of two values, like sum or max
+ * @private
  */
-dataship.num.zeros = function zeros(len) { return newFilledArray(len, 0); }
+function foldAggregator(reducer){
+	return {
+		"init" : function(initial){ return {"value" : initial == null ? null : initial, "empty" : initial == null}; },
+		"step" : function(state, val){
+			state.value = state.empty ? val : reducer(state.value, val);
+			state.empty = false;
+			return state;
+		},
+		"merge" : function(a, b){
+			if(b.empty) return a;
+			if(a.empty) return b;
 
-/* Create a new Array filled with ones
+			a.value = reducer(a.value, b.value);
+			return a;
+		},
+		"finalize" : function(state){ return state.value; }
+	};
+}
 
-	@examples
-	ds.num.ones(3)		// => [1, 1, 1]
-	ds.num.ones(8)		// => [1, 1, 1, 1, 1, 1, 1, 1]
+/* aggregator over running central moments (Terriberry's extension of Welford's
+ *	algorithm), merged with Pébay's formulas
+ * @private
+ */
+function momentAggregator(finalize){
+	return {
+		"init" : function(){ return {"count" : 0, "mean" : 0, "m2" : 0, "m3" : 0, "m4" : 0}; },
+		"step" : function(state, val){
+			addMoment(state, val);
+			return state;
+		},
+		"merge" : function(a, b){
+			var n1 = a.count, n2 = b.count, n = n1 + n2;
+			if(n2 === 0) return a;
+			if(n1 === 0) return b;
+
+			var delta = b.mean - a.mean;
+			var delta2 = delta * delta;
+
+			var m4 = a.m4 + b.m4 + delta2 * delta2 * n1 * n2 * (n1 * n1 - n1 * n2 + n2 * n2) / (n * n * n) +
+				6 * delta2 * (n1 * n1 * b.m2 + n2 * n2 * a.m2) / (n * n) + 4 * delta * (n1 * b.m3 - n2 * a.m3) / n;
+			var m3 = a.m3 + b.m3 + delta2 * delta * n1 * n2 * (n1 - n2) / (n * n) + 3 * delta * (n1 * b.m2 - n2 * a.m2) / n;
+			var m2 = a.m2 + b.m2 + delta2 * n1 * n2 / n;
+
+			a.mean += delta * n2 / n;
+			a.m2 = m2;
+			a.m3 = m3;
+			a.m4 = m4;
+			a.count = n;
+			return a;
+		},
+		"finalize" : finalize
+	};
+}
+
+/* aggregator over a sorted copy of the values
+ * @private
+ */
+function sortedAggregator(finalize){
+	return {
+		"init" : function(initial){ return {"values" : [], "initial" : initial}; },
+		"step" : function(state, val){
+			dataship.util.insert(state.values, val);
+			return state;
+		},
+		"merge" : function(a, b){
+			var merged = [], i = 0, j = 0;
+			while(i < a.values.length && j < b.values.length){
+				merged.push(a.values[i] <= b.values[j] ? a.values[i++] : b.values[j++]);
+			}
+			a.values = merged.concat(a.values.slice(i), b.values.slice(j));
+			return a;
+		},
+		"finalize" : function(state){
+			return state.values.length > 0 ? finalize(state.values) : initialResult(state);
+		}
+	};
+}
+
+/* aggregator over a HyperLogLog sketch with 2^precision registers
+ * @private
+ */
+function hyperLogLogAggregator(precision){
+	if(!(isinteger(precision) && precision >= 4 && precision <= 16)) throw new Error("precision must be an integer from 4 to 16");
+
+	var m = 1 << precision;
+	var alpha = m >= 128 ? 0.7213 / (1 + 1.079 / m) : m >= 64 ? 0.709 : m >= 32 ? 0.697 : 0.673;
+
+	// the harmonic sum and number of empty registers are kept up to date, so
+	// estimates don't have to read every register
+	var recount = function(state){
+		state.sum = 0;
+		state.zeros = 0;
+		for(var i = 0; i < m; i++){
+			state.sum += Math.pow(2, -state.registers[i]);
+			if(state.registers[i] === 0) state.zeros++;
+		}
+	};
+
+	return {
+		"init" : function(){
+			return {"precision" : precision, "registers" : new Uint8Array(m), "sum" : m, "zeros" : m};
+		},
+		"step" : function(state, val){
+			var hash = murmur3(hashKey(val), 0);
+			var index = hash >>> (32 - precision);
+			var rest = (hash << precision) >>> 0;
+			var rank = rest === 0 ? 33 - precision : Math.clz32(rest) + 1;
+
+			var current = state.registers[index];
+			if(rank > current){
+				state.sum += Math.pow(2, -rank) - Math.pow(2, -current);
+				if(current === 0) state.zeros--;
+				state.registers[index] = rank;
+			}
+
+			return state;
+		},
+		"merge" : function(a, b){
+			if(a.precision !== b.precision) throw new Error("can't merge sketches with different precision");
+
+			for(var i = 0; i < m; i++){
+				if(b.registers[i] > a.registers[i]) a.registers[i] = b.registers[i];
+			}
+			recount(a);
+
+			return a;
+		},
+		"finalize" : function(state){
+			var estimate = alpha * m * m / state.sum;
+
+			if(estimate <= 2.5 * m && state.zeros > 0){
+				// linear counting is better for small counts
+				estimate = m * Math.log(m / state.zeros);
+			} else if(estimate > 4294967296 / 30){
+				// correct for collisions of 32 bit hashes
+				estimate = -4294967296 * Math.log(1 - estimate / 4294967296);
+			}
+
+			return Math.round(estimate);
+		}
+	};
+}
+
+/* aggregator over a merging t-digest, finding quantile q. The state holds sorted
+ *	clusters (means and weights), and a sorted buffer of values added since they
+ *	were last merged in.
+ * @private
+ */
+function tdigestAggregator(q, compression){
+	if(!(compression >= 10)) throw new Error("compression must be at least 10");
+
+	// values are buffered until there are this many
+	var limit = Math.ceil(compression) * 2;
+
+	// the arcsine scale function, which keeps clusters small near the ends
+	var scale = function(quantile){ return compression / (2 * Math.PI) * Math.asin(2 * quantile - 1); };
+	var inverse = function(k){ return (Math.sin(k * 2 * Math.PI / compression) + 1) / 2; };
+
+	// merge the sorted clusters of several digests, and their buffers, into clusters
+	// as big as the scale function allows
+	var compress = function(state, others){
+		var digests = [state].concat(others || []);
+		var total = 0;
+		digests.forEach(function(digest){ total += digest.count; });
+
+		var lists = [];
+		digests.forEach(function(digest){
+			lists.push({"means" : digest.means, "weights" : digest.weights});
+			lists.push({"means" : digest.buffer, "weights" : null});
+		});
+		var positions = lists.map(function(){ return 0; });
+
+		var means = [], weights = [];
+		var mean = 0, weight = 0, before = 0, bound = inverse(scale(0) + 1);
+		for(;;){
+			// the smallest next item of any list
+			var best = -1;
+			for(var l = 0; l < lists.length; l++){
+				if(positions[l] < lists[l].means.length &&
+					(best < 0 || lists[l].means[positions[l]] < lists[best].means[positions[best]])) best = l;
+			}
+			if(best < 0) break;
+
+			var list = lists[best], i = positions[best]++;
+			var m = list.means[i], w = list.weights === null ? 1 : list.weights[i];
+
+			if(weight === 0 || (before + weight + w) / total <= bound){
+				weight += w;
+				mean += (m - mean) * w / weight;
+			} else {
+				means.push(mean);
+				weights.push(weight);
+				before += weight;
+				bound = inverse(scale(before / total) + 1);
+				mean = m;
+				weight = w;
+			}
+		}
+		if(weight > 0){
+			means.push(mean);
+			weights.push(weight);
+		}
+
+		state.means = means;
+		state.weights = weights;
+		state.buffer = [];
+		state.count = total;
+
+		return state;
+	};
+
+	return {
+		"init" : function(initial){
+			return {"means" : [], "weights" : [], "buffer" : [], "count" : 0, "min" : Infinity, "max" : -Infinity, "initial" : initial};
+		},
+		"step" : function(state, val){
+			dataship.util.insert(state.buffer, val);
+			state.count++;
+			if(val < state.min) state.min = val;
+			if(val > state.max) state.max = val;
+
+			return state.buffer.length >= limit ? compress(state) : state;
+		},
+		"merge" : function(a, b){
+			a.min = Math.min(a.min, b.min);
+			a.max = Math.max(a.max, b.max);
+
+			// small digests are just their values, keep them exact
+			if(a.count + b.count <= compression){
+				for(var i = 0; i < b.buffer.length; i++) dataship.util.insert(a.buffer, b.buffer[i]);
+				a.count += b.count;
+				return a;
+			}
+
+			return compress(a, [b]);
+		},
+		"finalize" : function(state){
+			if(state.count === 0) return initialResult(state);
+
+			// walk the clusters and buffered values in order, without changing the state,
+			// interpolating between the ranks of the middles of the clusters like
+			// ds.num.quantile does between values (clusters of one value)
+			var means = state.means, weights = state.weights, buffer = state.buffer;
+			var i = 0, j = 0;
+			var mean, weight;
+			var next = function(){
+				if(j >= buffer.length || (i < means.length && means[i] <= buffer[j])){
+					mean = means[i];
+					weight = weights[i++];
+				} else {
+					mean = buffer[j++];
+					weight = 1;
+				}
+			};
+
+			var rank = q * (state.count - 1);
+			var end = state.count - 1;
+			var items = means.length + buffer.length;
+
+			next();
+			var middle = (weight - 1) / 2;
+			if(rank <= middle) return middle > 0 ? state.min + (mean - state.min) * rank / middle : mean;
+
+			for(var n = 1; n < items; n++){
+				var previous = mean, previousWeight = weight;
+				next();
+				var following = middle + (previousWeight + weight) / 2;
+				if(rank < following) return previous + (mean - previous) * (rank - middle) / (following - middle);
+				middle = following;
+			}
+
+			return end > middle ? mean + (state.max - mean) * (rank - middle) / (end - middle) : mean;
+		}
+	};
+}
+
+/* aggregator over a count-min sketch, remembering the k values with the highest counts
+ * @private
+ */
+function countMinAggregator(k, width, depth){
+	if(!(isinteger(width) && width > 0 && isinteger(depth) && depth > 0)) throw new Error("width and depth must be positive integers");
+
+	// the rows use hashes h1 + i * h2, which are as good as independent ones
+	var estimate = function(state, candidate, increment){
+		var count = Infinity;
+		for(var i = 0; i < depth; i++){
+			var cell = i * width + ((candidate.h1 + Math.imul(i, candidate.h2)) >>> 0) % width;
+			state.table[cell] += increment;
+			if(state.table[cell] < count) count = state.table[cell];
+		}
+
+		return count;
+	};
+
+	// the candidate with the lowest count
+	var lowest = function(state){
+		var result = null;
+		state.candidates.forEach(function(candidate){
+			if(result === null || candidate.count < result.count) result = candidate;
+		});
+
+		return result;
+	};
+
+	var consider = function(state, candidate){
+		var existing = state.candidates.get(candidate.key);
+		if(existing !== void(0)){
+			existing.count = candidate.count;
+			return;
+		}
+
+		if(state.candidates.size < k){
+			state.candidates.set(candidate.key, candidate);
+			return;
+		}
+
+		// the lowest count only goes up, so it can be skipped when it's no more than the floor
+		if(candidate.count <= state.floor) return;
+
+		var low = lowest(state);
+		if(candidate.count > low.count){
+			state.candidates.delete(low.key);
+			state.candidates.set(candidate.key, candidate);
+			low = lowest(state);
+		}
+		state.floor = low.count;
+	};
+
+	return {
+		"init" : function(){
+			return {"k" : k, "width" : width, "depth" : depth, "table" : new Uint32Array(width * depth), "candidates" : new Map(), "floor" : 0};
+		},
+		"step" : function(state, val){
+			var key = hashKey(val);
+			var candidate = {"key" : key, "value" : val, "h1" : murmur3(key, 0), "h2" : murmur3(key, 0x9747b28c), "count" : 0};
+			candidate.count = estimate(state, candidate, 1);
+			consider(state, candidate);
+
+			return state;
+		},
+		"merge" : function(a, b){
+			if(a.k !== b.k || a.width !== b.width || a.depth !== b.depth){
+				throw new Error("can't merge sketches with different k, width or depth");
+			}
+
+			for(var i = 0; i < a.table.length; i++) a.table[i] += b.table[i];
+
+			// counts of all the candidates change, so choose again
+			var candidates = [];
+			var add = function(candidate){
+				candidate.count = estimate(a, candidate, 0);
+				candidates.push(candidate);
+			};
+			a.candidates.forEach(add);
+			b.candidates.forEach(function(candidate, key){
+				if(!a.candidates.has(key)) add(candidate);
+			});
+
+			a.candidates = new Map();
+			a.floor = 0;
+			candidates.forEach(function(candidate){ consider(a, candidate); });
+
+			return a;
+		},
+		"finalize" : function(state){
+			var result = [];
+			state.candidates.forEach(function(candidate){
+				result.push({"value" : candidate.value, "count" : candidate.count});
+			});
+
+			return result.sort(function(a, b){ return b.count - a.count; });
+		}
+	};
+}
+
+/* a string telling values apart for hashing, see ds.reduce.countDistinct
+ * @private
+ */
+function hashKey(val){
+	if(isdate(val)) return "d" + val.getTime();
+	if(val !== null && typeof val === "object") return "o" + JSON.stringify(val);
+
+	return (typeof val).charAt(0) + String(val);
+}
+
+/* 32 bit MurmurHash3 of a string, taking its UTF-16 code units two at a time
+ * @private
+ */
+function murmur3(key, seed){
+	var hash = seed | 0, block, i;
+	var length = key.length;
+
+	for(i = 0; i + 1 < length; i += 2){
+		block = key.charCodeAt(i) | (key.charCodeAt(i + 1) << 16);
+		block = Math.imul(rotateLeft(Math.imul(block, 0xcc9e2d51), 15), 0x1b873593);
+		hash = (Math.imul(rotateLeft(hash ^ block, 13), 5) + 0xe6546b64) | 0;
+	}
+	if(i < length){
+		block = key.charCodeAt(i);
+		hash ^= Math.imul(rotateLeft(Math.imul(block, 0xcc9e2d51), 15), 0x1b873593);
+	}
+
+	hash ^= length * 2;
+	hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+	hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+
+	return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+function addMoment(state, x){
+	var n1 = state.count;
+	var n = state.count = n1 + 1;
+	var delta = x - state.mean;
+	var delta_n = delta / n;
+	var delta_n2 = delta_n * delta_n;
+	var term1 = delta * delta_n * n1;
+
+	state.mean += delta_n;
+	state.m4 += term1 * delta_n2 * (n * n - 3 * n + 3) + 6 * delta_n2 * state.m2 - 4 * delta_n * state.m3;
+	state.m3 += term1 * delta_n * (n - 2) - 3 * delta_n * state.m2;
+	state.m2 += term1;
+}
+
+function momentVariance(state){
+	return state.count < 2 ? NaN : state.m2 / (state.count - 1);
+}
+
+function momentSkewness(state){
+	var n = state.count;
+	if(n < 3) return NaN;
+	if(state.m2 === 0) return 0;
+
+	var g1 = Math.sqrt(n) * state.m3 / Math.pow(state.m2, 1.5);
+	return g1 * Math.sqrt(n * (n - 1)) / (n - 2);
+}
+
+function momentKurtosis(state){
+	var n = state.count;
+	if(n < 4) return NaN;
+	if(state.m2 === 0) return 0;
+
+	var g2 = n * state.m4 / (state.m2 * state.m2) - 3;
+	return ((n + 1) * g2 + 6) * (n - 1) / ((n - 2) * (n - 3));
+}
+
+/* linearly interpolated quantile of sorted values
+ * @private
+ */
+function sortedQuantile(values, q){
+	if(values.length === 0) return NaN;
+
+	var h = (values.length - 1) * q;
+	var lower = Math.floor(h);
+	if(lower + 1 >= values.length) return values[values.length - 1];
+
+	return values[lower] + (h - lower) * (values[lower + 1] - values[lower]);
+}
+
+/* Elementwise equality
+ */
+dataship.num.equal = function equal(a, b){
+	if(a.length !== b.length) return false;
+
+	for(var i = 0; i < a.length; i++){
+		if(a[i] !== b[i]) return false;
+	}
+
+	return true;
+};
+
+/* Elementwise approximate equality, also for the rows of matrices.
+ */
+dataship.num.allclose = function allclose(a, b, rtol, atol){
+	rtol = rtol || 1e-05;
+	atol = atol || 1e-08;
+
+	if(a.length !== b.length) return false;
+
+	for(var i = 0; i < a.length; i++){
+		// compare the rows of matrices
+		if(isarray(a[i]) || istypedarray(a[i])){
+			if(!dataship.num.allclose(a[i], b[i], rtol, atol)) return false;
+		} else if(Math.abs(a[i] - b[i]) > (atol + rtol * Math.abs(b[i]))) return false;
+	}
+
+	return true;
+};
+
+/* Add values elementwise, returns a copy.
+ *
+ *	Both arguments can be a number, an array (or typed array) or an object like
+ *	the indexes `groupby` returns. A number is combined with every value of the
+ *	other argument, two arrays are combined position by position and two indexes
+ *	key by key. Arrays must have the same length and indexes the same keys,
+ *	otherwise an error is thrown. This works the same way for `subtract`,
+ *	`multiply`, `divide`, `mod`, `pow`, `maximum`, `minimum` and the comparisons
+ *	`eq`, `ne`, `lt`, `le`, `gt` and `ge`.
+ *
+ *	`ds.num.add(a, b)`
+ *
+ *	@examples
+ *	ds.num.add([1, 2, 3], 1)		// => [2, 3, 4]
+ *	ds.num.add(1, [1, 2, 3])		// => [2, 3, 4]
+ *	ds.num.add([1, 2, 3], [10, 20, 30])	// => [11, 22, 33]
+ *	ds.num.add({"a" : 1, "b" : 2}, {"b" : 20, "a" : 10})	// => {"a" : 11, "b" : 22}
+ *	ds.num.add([[1, 2], [3, 4]], [[1, 1], [1, 1]])	// => [[2, 3], [4, 5]]
+ */
+dataship.num.add = function add(a, b){
+	return broadcast(a, b, function(x, y){ return x + y; });
+}
+
+/* Subtract values elementwise, returns a copy.
+ *
+ *	@examples
+ *	ds.num.subtract([5, 5, 5], [1, 2, 3])	// => [4, 3, 2]
+ *	ds.num.subtract(10, {"a" : 1, "b" : 2})	// => {"a" : 9, "b" : 8}
+ */
+dataship.num.subtract = function subtract(a, b){
+	return broadcast(a, b, function(x, y){ return x - y; });
+}
+
+dataship.num.sub = dataship.num.subtract;
+
+/* Divide everything in an array or object by a value, or by the matching values
+ * of another array or object, returns a copy.
+
+	@examples
+	ds.num.divide([2, 4, 6, 8], 2)		// => [1, 2, 3, 4]
+	ds.num.divide({"a" : 4, "b" : 8, "c" : 10}, 2)	// => {"a" : 2, "b" : 4, "c" : 5}
+	ds.num.divide(ds.frame.column(financials, "Gross"), ds.frame.column(financials, "Budget")).map(Math.round)	// => [1, 3, 1]
 */
-dataship.num.ones = function ones(len) { return newFilledArray(len, 1); }
+dataship.num.divide = function divide(data, divisor){
+	return broadcast(data, divisor, function(x, y){ return x / y; });
+}
+
+dataship.num.div = dataship.num.divide;
+
+/* Multiply everything in an array or object by a value, or by the matching values
+ * of another array or object, returns a copy.
+
+	@examples
+	ds.num.multiply([1, 2, 3, 4], 2)		// => [2, 4, 6, 8]
+	ds.num.multiply({"a" : 2, "b" : 4}, 2)	// => {"a" : 4, "b" : 8}
+	ds.num.multiply([1, 2, 3], [4, 5, 6])	// => [4, 10, 18]
+*/
+dataship.num.multiply = function multiply(data, multiplier){
+	return broadcast(data, multiplier, function(x, y){ return x * y; });
+}
+
+dataship.num.mul = dataship.num.multiply;
+
+/* Remainder of dividing values elementwise, with the sign of the dividend like
+ * javascript's `%` operator, returns a copy.
+ *
+ *	@examples
+ *	ds.num.mod([5, 6, 7], 3)		// => [2, 0, 1]
+ *	ds.num.mod([5, 6, 7], [2, 4, 5])	// => [1, 2, 2]
+ */
+dataship.num.mod = function mod(a, b){
+	return broadcast(a, b, function(x, y){ return x % y; });
+}
+
+/* Take the square root of everything in an array or object, returns a copy.
+
+	@examples
+	ds.num.sqrt([1, 4, 9, 16])		// => [1, 2, 3, 4]
+	ds.num.sqrt({"a" : 9, "b" : 16}, 2)	// => {"a" : 3, "b" : 4}
+*/
+dataship.num.sqrt = function sqrt(data){
+	return map(data, Math.sqrt);
+}
+
+/* Raise everything in an array or object to a given power, or to the matching
+ * values of another array or object, returns a copy.
+
+	@examples
+	ds.num.pow([1, 2, 3, 4], 2)		// => [1, 4, 9, 16]
+	ds.num.pow(2, [1, 2, 3])		// => [2, 4, 8]
+*/
+dataship.num.pow = function pow(data, power){
+	return broadcast(data, power, Math.pow);
+}
+
+/* Larger of the values elementwise, returns a copy.
+ *
+ *	@examples
+ *	ds.num.maximum([1, 5, 3], [4, 2, 6])	// => [4, 5, 6]
+ *	ds.num.maximum([-1, 2, -3], 0)	// => [0, 2, 0]
+ */
+dataship.num.maximum = function maximum(a, b){
+	return broadcast(a, b, function(x, y){ return x > y ? x : y; });
+}
+
+/* Smaller of the values elementwise, returns a copy.
+ *
+ *	@examples
+ *	ds.num.minimum([1, 5, 3], [4, 2, 6])	// => [1, 2, 3]
+ */
+dataship.num.minimum = function minimum(a, b){
+	return broadcast(a, b, function(x, y){ return x < y ? x : y; });
+}
+
+/* Compare values elementwise, returning booleans. Unlike `ds.num.equal`, which
+ * checks that every value is equal.
+ *
+ *	@examples
+ *	ds.num.eq([1, 2, 3], [1, 5, 3])	// => [true, false, true]
+ *	ds.num.eq({"a" : 1, "b" : 2}, 2)	// => {"a" : false, "b" : true}
+ */
+dataship.num.eq = function eq(a, b){
+	return broadcast(a, b, function(x, y){ return x === y; }, true);
+}
+
+/* Elementwise not equal, returning booleans.
+ *
+ *	@examples
+ *	ds.num.ne([1, 2, 3], 2)	// => [true, false, true]
+ */
+dataship.num.ne = function ne(a, b){
+	return broadcast(a, b, function(x, y){ return x !== y; }, true);
+}
+
+/* Elementwise less than, returning booleans.
+ *
+ *	@examples
+ *	ds.num.lt([1, 2, 3], 2)	// => [true, false, false]
+ */
+dataship.num.lt = function lt(a, b){
+	return broadcast(a, b, function(x, y){ return x < y; }, true);
+}
+
+/* Elementwise less than or equal, returning booleans.
+ *
+ *	@examples
+ *	ds.num.le([1, 2, 3], 2)	// => [true, true, false]
+ */
+dataship.num.le = function le(a, b){
+	return broadcast(a, b, function(x, y){ return x <= y; }, true);
+}
+
+/* Elementwise greater than, returning booleans.
+ *
+ *	@examples
+ *	ds.num.gt([1, 2, 3], [3, 2, 1])	// => [false, false, true]
+ */
+dataship.num.gt = function gt(a, b){
+	return broadcast(a, b, function(x, y){ return x > y; }, true);
+}
+
+/* Elementwise greater than or equal, returning booleans.
+ *
+ *	@examples
+ *	ds.num.ge(new Float64Array([1, 2, 3]), 2)	// => [false, true, true]
+ */
+dataship.num.ge = function ge(a, b){
+	return broadcast(a, b, function(x, y){ return x >= y; }, true);
+}
+
+/* Apply a binary operation to numbers, arrays or indexes, combining a number
+ * with every value and arrays or indexes with their matching values. Typed arrays
+ * produce a Float64Array (keeping any `shape`), or an array of booleans for
+ * comparisons.
+ * @private
+ */
+function broadcast(a, b, op, comparison){
+	if(iscolumnar(a) || iscolumnar(b)) throw new Error("can't combine a frame, select a column with ds.frame.column");
+
+	var acontainer = isarray(a) || istypedarray(a) || isobject(a);
+	var bcontainer = isarray(b) || istypedarray(b) || isobject(b);
+	var result, i;
+
+	if(!acontainer && !bcontainer) return op(a, b);
+
+	if(!bcontainer) return broadcastMap(a, function(x){ return broadcast(x, b, op, comparison); }, comparison);
+	if(!acontainer) return broadcastMap(b, function(y){ return broadcast(a, y, op, comparison); }, comparison);
+
+	if(isobject(a) || isobject(b)){
+		if(!isobject(a) || !isobject(b)) throw new Error("can't combine an index with an array");
+
+		var keys = Object.keys(a);
+		var missing = keys.filter(function(key){ return !(key in b); })
+			.concat(Object.keys(b).filter(function(key){ return !(key in a); }));
+		if(missing.length > 0) throw new Error("indexes don't have the same keys, \"" + missing[0] + "\" is only in one of them");
+
+		result = {};
+		for(i = 0; i < keys.length; i++) result[keys[i]] = broadcast(a[keys[i]], b[keys[i]], op, comparison);
+		return result;
+	}
+
+	if(a.length !== b.length) throw new Error("can't combine arrays of length " + a.length + " and " + b.length);
+	if(a.shape && b.shape && String(a.shape) !== String(b.shape)) throw new Error("can't combine matrices of shape [" + a.shape + "] and [" + b.shape + "]");
+
+	return broadcastMap(istypedarray(a) ? a : b, function(x, i){ return broadcast(a[i], b[i], op, comparison); }, comparison);
+}
+
+function broadcastMap(data, func, comparison){
+	if(comparison && istypedarray(data)) return Array.prototype.map.call(data, func);
+
+	var result = map(data, func);
+	if(istypedarray(data) && data.shape) result.shape = data.shape.slice();
+
+	return result;
+}
+
+/* Raise Euler's Number to the power of everything in an array or object, returns a copy.
+
+	@examples
+	ds.num.exp([1, 2, 3, 4])		// => [1, 2, 3, 4].map(Math.exp)
+*/
+dataship.num.exp = function exp(data){
+	return map(data, Math.exp);
+}
+
+/* Find and return the absolute value of everything in an array or object, returns a copy.
+
+	@examples
+	ds.num.abs([1, -2, 3, 4, -5])		// => [1, 2, 3, 4, 5]
+*/
+dataship.num.abs = function abs(data){
+	return map(data, Math.abs);
+}
+
+/* Take the natural logarithm of everything in an array or object, returns a copy.
+
+	@examples
+	ds.num.log([1, 2, 3, 4])		// => [1, 2, 3, 4].map(Math.log)
+*/
+dataship.num.log = function log(data){
+	return map(data, Math.log);
+}
+
+
+/* Find and return the max in an array or object (with numerical values)
+
+	@examples
+	ds.num.max([1, 5, 3, 9, 2, 4])			// => 9
+	ds.num.max([20, 3, 87, 24, 93, 55])		// => 93
+	ds.num.max({"a" : 23, "b" : 12, "c" : 45, "d" : 18})	// => 45
+*/
+dataship.num.max = function max(data){
+	return reduce(data, ds.reduce.max);
+}
+
+/* Find and return the min in an array or object (with numerical values)
+
+	@examples
+	ds.num.min([1, 5, 3, 9, 2, 4])			// => 1
+	ds.num.min([20, 3, 87, 24, 93, 55])		// => 3
+	ds.num.min({"a" : 23, "b" : 12, "c" : 45, "d" : 18})	// => 12
+*/
+dataship.num.min = function min(data){
+	return reduce(data, ds.reduce.min);
+}
+
+/* Find and return the most common value in an array or object (with numerical values),
+	or the first such value if multiple exist.
+
+	@examples
+	ds.num.mode([1, 5, 3, 5, 2, 4])			// => 5
+	ds.num.mode([20, 3, 87, 24, 93, 55])		// => 20
+	ds.num.mode({"a" : 23, "b" : 12, "c" : 45, "d" : 12})	// => 12
+*/
+dataship.num.mode = function mode(data){
+	return reduce(data, ds.reduce.mode);
+}
+
+/* Find and return the most common value in an array or object (with numerical values),
+	or the first such value if multiple exist.
+
+	@examples
+	ds.num.median([1, 5, 3, 5, 2, 4])			// => 3.5
+	ds.num.median([20, 3, 87, 24, 93, 55, 46])		// => 46
+	ds.num.median({"a" : 23, "b" : 12, "c" : 45, "d" : 12})	// => 17.5
+*/
+dataship.num.median = function mode(data){
+	return reduce(data, ds.reduce.median);
+}
+
+/* Sum all them elements in an array or object (with numerical values)
+
+	@examples
+	ds.num.sum([1, 5, 3, 9, 2, 4])			// => 24
+	ds.num.sum([20, 3, 87, 24, 93, 55])		// => 282
+	ds.num.sum({"a" : 23, "b" : 12, "c" : 45, "d" : 18})	// => 98
+*/
+dataship.num.sum = function sum(data){
+	return reduce(data, ds.reduce.sum);
+}
+
+/* Calculate the arithmetic mean of elements in an array or object (with numerical values)
+
+	@examples
+	ds.num.mean([1, 5, 3, 9, 2, 4])			// => 4
+	ds.num.mean([20, 3, 87, 24, 93, 55])	// => 47
+	ds.num.mean({"a" : 23, "b" : 12, "c" : 45, "d" : 18})	// => 24.5
+*/
+dataship.num.mean = function mean(data){
+	return reduce(data, ds.reduce.mean);
+}
+
+/* Calculate the sample variance of elements in an array or object (with numerical values)
+
+	`ds.num.variance(data, ddof)`
+
+	* data - array or object of numbers
+	* ddof - (optional) delta degrees of freedom, the divisor is `n - ddof` (default: 1)
+
+	@examples
+	ds.num.variance([2, 4, 4, 4, 5, 5, 7, 9])		// => 32 / 7
+	ds.num.variance([2, 4, 4, 4, 5, 5, 7, 9], 0)	// => 4
+	ds.num.variance({"a" : 1, "b" : 3})				// => 2
+*/
+dataship.num.variance = function variance(data, ddof){
+	ddof = ddof == null ? 1 : ddof;
+
+	var values = numericValues(data);
+	var n = values.length;
+	if(n - ddof <= 0) return NaN;
+
+	var mean = 0, i;
+	for(i = 0; i < n; i++) mean += values[i];
+	mean /= n;
+
+	var sum = 0, delta;
+	for(i = 0; i < n; i++){
+		delta = values[i] - mean;
+		sum += delta * delta;
+	}
+
+	return sum / (n - ddof);
+}
+
+dataship.num.var = dataship.num.variance;
+
+/* Calculate the sample standard deviation of elements in an array or object (with numerical values)
+
+	`ds.num.std(data, ddof)`
+
+	* data - array or object of numbers
+	* ddof - (optional) delta degrees of freedom, as in {@link dataship.num.variance} (default: 1)
+
+	@examples
+	ds.num.std([2, 4, 4, 4, 5, 5, 7, 9], 0)	// => 2
+	ds.num.std({"a" : 1, "b" : 3})			// => Math.SQRT2
+*/
+dataship.num.std = function std(data, ddof){
+	return Math.sqrt(dataship.num.variance(data, ddof));
+}
+
+/* Find the quantile (or quantiles) of elements in an array or object (with numerical
+	values), interpolating linearly between values when it falls between two of them.
+
+	`ds.num.quantile(data, q)`
+
+	* data - array or object of numbers
+	* q - the quantile to find, between 0 and 1, or an array of them
+
+	@examples
+	ds.num.quantile([1, 2, 3, 4, 5], 0.25)	// => 2
+	ds.num.quantile([4, 1, 3, 2], 0.5)		// => 2.5
+	ds.num.quantile([1, 2, 3, 4, 5], [0, 0.1, 1])	// => [1, 1.4, 5]
+*/
+dataship.num.quantile = function quantile(data, q){
+	var values = numericValues(data).slice().sort(function(a, b){ return a - b; });
+
+	var qs = isarray(q) ? q : [q];
+	qs.forEach(function(q){
+		if(!(q >= 0 && q <= 1)) throw new Error("q must be between 0 and 1");
+	});
+
+	var result = qs.map(function(q){ return sortedQuantile(values, q); });
+
+	return isarray(q) ? result : result[0];
+}
+
+/* Find the percentile (or percentiles) of elements in an array or object (with numerical values)
+
+	`ds.num.percentile(data, p)`
+
+	* data - array or object of numbers
+	* p - the percentile to find, between 0 and 100, or an array of them
+
+	@examples
+	ds.num.percentile([1, 2, 3, 4, 5], 75)	// => 4
+	ds.num.percentile([1, 2, 3, 4, 5], [25, 50])	// => [2, 3]
+*/
+dataship.num.percentile = function percentile(data, p){
+	return dataship.num.quantile(data, isarray(p) ? p.map(function(p){ return p / 100; }) : p / 100);
+}
+
+/* Find the interquartile range (the distance between the 25th and 75th percentiles)
+	of elements in an array or object (with numerical values)
+
+	@examples
+	ds.num.iqr([1, 2, 3, 4, 5])	// => 2
+	ds.num.iqr({"a" : 1, "b" : 9})	// => 4
+*/
+dataship.num.iqr = function iqr(data){
+	var quartiles = dataship.num.quantile(data, [0.25, 0.75]);
+
+	return quartiles[1] - quartiles[0];
+}
+
+/* Calculate the sample skewness (bias corrected, as in Excel's SKEW) of elements in an
+	array or object (with numerical values)
+
+	@examples
+	ds.num.skewness([1, 2, 3])		// => 0
+	ds.num.skewness([1, 2, 3, 10]) > 0	// => true
+*/
+dataship.num.skewness = function skewness(data){
+	return momentSkewness(moments(numericValues(data)));
+}
+
+/* Calculate the sample excess kurtosis (bias corrected, as in Excel's KURT) of elements
+	in an array or object (with numerical values)
+
+	@examples
+	ds.num.allclose([ds.num.kurtosis([1, 2, 3, 4])], [-1.2])	// => true
+*/
+dataship.num.kurtosis = function kurtosis(data){
+	return momentKurtosis(moments(numericValues(data)));
+}
+
+/* Versions of the aggregates in `ds.num` which skip missing values (`null`,
+	`undefined` and `NaN`): `nanmax`, `nanmin`, `nanmode`, `nanmedian`, `nansum`,
+	`nanmean`, `nanvariance`, `nanstd`, `nanquantile`, `nanpercentile`, `naniqr`,
+	`nanskewness` and `nankurtosis`. They take the same arguments as the originals.
+	With no values left, the sum is 0 and everything else is `NaN`.
+
+	@examples
+	ds.num.nansum([1, null, 5, NaN])		// => 6
+	ds.num.nanmean({"a" : 2, "b" : null, "c" : 4})	// => 3
+	ds.num.nanmax([undefined, 3, 1])		// => 3
+	ds.num.nanquantile([4, NaN, 1, 3, 2], 0.5)	// => 2.5
+	ds.num.nanmean([null, NaN])			// => NaN
+	ds.num.nansum([])				// => 0
+*/
+dataship.num.nansum = nanAggregate("sum");
+
+var nanAggregates = ["max", "min", "mode", "median", "mean", "variance", "std", "quantile", "percentile", "iqr", "skewness", "kurtosis"];
+nanAggregates.forEach(function(name){
+	dataship.num["nan" + name] = nanAggregate(name);
+});
+
+dataship.num.nanvar = dataship.num.nanvariance;
+
+/* an aggregate from ds.num, applied to the values which aren't missing
+ * @private
+ */
+function nanAggregate(name){
+	return function(data){
+		var args = Array.prototype.slice.call(arguments);
+		args[0] = presentValues(numericValues(data));
+
+		if(args[0].length === 0) return name === "sum" ? 0 : NaN;
+
+		return dataship.num[name].apply(null, args);
+	};
+}
+
+/* values of an array, typed array or object
+ * @private
+ */
+function numericValues(data){
+	if(isarray(data) || istypedarray(data)) return data;
+	if(isobject(data)) return Object.values(data);
+
+	throw new Error("works only on arrays and objects");
+}
+
+/* central moments of an array of numbers
+ * @private
+ */
+function moments(values){
+	var state = {"count" : 0, "mean" : 0, "m2" : 0, "m3" : 0, "m4" : 0};
+	for(var i = 0; i < values.length; i++) addMoment(state, values[i]);
+
+	return state;
+}
+
+/* Create a new Array filled with zeros
+
+	@examples
+	ds.num.zeros(5)		// => [0, 0, 0, 0, 0]
+	ds.num.zeros(7)		// => [0, 0, 0, 0, 0, 0, 0]
+ */
+dataship.num.zeros = function zeros(len) { return newFilledArray(len, 0); }
+
+/* Create a new Array filled with ones
+
+	@examples
+	ds.num.ones(3)		// => [1, 1, 1]
+	ds.num.ones(8)		// => [1, 1, 1, 1, 1, 1, 1, 1]
+*/
+dataship.num.ones = function ones(len) { return newFilledArray(len, 1); }
+
+function newFilledArray(len, val) {
+	var rv = new Array(len);
+	while (--len >= 0) {
+		rv[len] = val;
+	}
+	return rv;
+}
+
+/* Find and return the index or label of the max value in an array
+	or object (with numerical values)
+
+	@examples
+	ds.num.argmax([1, 5, 3, 9, 2, 3])			// => 3
+	ds.num.argmax([20, 3, 87, 24, 93, 54])		// => 4
+	ds.num.argmax({"a" : 23, "b" : 12, "c" : 45, "d" : 18})	// => "c"
+*/
+dataship.num.argmax = function argmax(data){
+
+	var val, arg, max = Number.MIN_SAFE_INTEGER;
+
+	// find max
+	for(key in data){
+		val = data[key];
+		if(val > max){
+			max = val;
+			arg = key;
+		}
+	}
+
+	return (isarray(data) || istypedarray(data)) ? parseInt(arg) : arg;
+}
+
+/* Return the keys in the order which sorts the values.
+ * Works on arrays and objects, when values have a default sort order.
+ *
+ * @examples
+ * var numbers = [10, 3, 125, 42];
+
+ * ds.num.argsort(numbers);	// => [1, 0, 3, 2]
+ *
+ * var animals = { "People" : 21, "Cats" : 0,  "Dogs" : 3};
+ *
+ * ds.num.argsort(animals);	// => ["Cats", "Dogs", "People"]
+ *
+ */
+dataship.num.argsort = function argsort(data){
+
+	if(!isobject(data) && !isarray(data) && !istypedarray(data)) throw new Error("works only on arrays and objects");
+
+	var keys = isobject(data) ? Object.keys(data) : range(0, data.length);
+
+	keys.sort(function(a, b){
+		if(data[a] < data[b]) return -1;
+		if(data[b] < data[a]) return 1;
+
+		return 0;
+	});
+
+	return keys;
+}
+
+/* Running total of an array or index, returns a copy with the same keys.
+ *	Missing values (`null`, `undefined` or `NaN`) are kept and skipped over.
+ *
+ *	Use {@link dataship.frame.transform} to restart within each group of a dataset.
+ *
+ *	@examples
+ *	ds.num.cumsum([1, 2, 3, 4])		// => [1, 3, 6, 10]
+ *	ds.num.cumsum([1, null, 3])		// => [1, null, 4]
+ *	ds.num.cumsum({"1999" : 2, "2006" : 1})	// => {"1999" : 2, "2006" : 3}
+ */
+dataship.num.cumsum = function cumsum(data){
+	return cumulative(data, function(total, x){ return total + x; });
+}
+
+/* Running product of an array or index, returns a copy with the same keys.
+ *
+ *	@examples
+ *	ds.num.cumprod([1, 2, 3, 4])		// => [1, 2, 6, 24]
+ */
+dataship.num.cumprod = function cumprod(data){
+	return cumulative(data, function(product, x){ return product * x; });
+}
+
+/* Running maximum of an array or index, returns a copy with the same keys.
+ *
+ *	@examples
+ *	ds.num.cummax([1, 3, 2, 5, 4])		// => [1, 3, 3, 5, 5]
+ */
+dataship.num.cummax = function cummax(data){
+	return cumulative(data, function(max, x){ return x > max ? x : max; });
+}
+
+/* Running minimum of an array or index, returns a copy with the same keys.
+ *
+ *	@examples
+ *	ds.num.cummin([5, 3, 4, 1, 2])		// => [5, 3, 3, 1, 1]
+ */
+dataship.num.cummin = function cummin(data){
+	return cumulative(data, function(min, x){ return x < min ? x : min; });
+}
+
+/* Difference between each value and the one `n` places before it, returns a copy
+ *	with the same keys. The first `n` values are missing (`null`, or `NaN` in
+ *	typed arrays).
+ *
+ *	`ds.num.diff(data, n)`
+ *
+ *	* data - array, typed array or index
+ *	* n - (optional) number of places back to compare with (default: 1)
+ *
+ *	@examples
+ *	ds.num.diff([1, 4, 9, 16])		// => [null, 3, 5, 7]
+ *	ds.num.diff([1, 4, 9, 16], 2)	// => [null, null, 8, 12]
+ *	ds.num.diff({"Q1" : 10, "Q2" : 12})	// => {"Q1" : null, "Q2" : 2}
+ */
+dataship.num.diff = function diff(data, n){
+	return lagged(data, n, function(x, previous){ return x - previous; });
+}
+
+/* Fractional change between each value and the one `n` places before it, returns
+ *	a copy with the same keys. The first `n` values are missing.
+ *
+ *	`ds.num.pctChange(data, n)`
+ *
+ *	@examples
+ *	ds.num.pctChange([100, 110, 99])	// => [null, 0.1, -0.1]
+ */
+dataship.num.pctChange = function pctChange(data, n){
+	return lagged(data, n, function(x, previous){ return (x - previous) / previous; });
+}
+
+/* Move values `k` places later (or earlier when `k` is negative), keeping the
+ *	keys where they are. Places left empty are filled with `fill`.
+ *
+ *	`ds.num.shift(data, k, fill)`
+ *
+ *	* data - array, typed array or index
+ *	* k - (optional) number of places to move (default: 1)
+ *	* fill - (optional) value for the empty places (default: `null`, or `NaN` in
+ *		typed arrays)
+ *
+ *	@examples
+ *	ds.num.shift([1, 2, 3, 4])		// => [null, 1, 2, 3]
+ *	ds.num.shift([1, 2, 3, 4], -2, 0)	// => [3, 4, 0, 0]
+ *	ds.num.shift({"a" : 1, "b" : 2, "c" : 3})	// => {"a" : null, "b" : 1, "c" : 2}
+ */
+dataship.num.shift = function shift(data, k, fill){
+	k = k == null ? 1 : k;
+	fill = fill === void(0) ? null : fill;
+
+	return sequence(data, function(values){
+		return values.map(function(x, i){
+			var j = i - k;
+			return j >= 0 && j < values.length ? values[j] : fill;
+		});
+	});
+}
+
+/* apply func to the values of an array, typed array or index, and rebuild the
+ * result in the same form
+ * @private
+ */
+function sequence(data, func){
+	if(isarray(data)) return func(data);
+
+	if(istypedarray(data)){
+		var values = func(Array.prototype.slice.call(data));
+		return new Float64Array(values.map(function(x){ return x === null ? NaN : x; }));
+	}
+
+	if(!isobject(data)) throw new Error("works only on arrays and objects");
+
+	var keys = Object.keys(data);
+	var results = func(keys.map(function(key){ return data[key]; }));
+	var result = {};
+	for(var i = 0; i < keys.length; i++) result[keys[i]] = results[i];
+
+	return result;
+}
+
+function cumulative(data, step){
+	return sequence(data, function(values){
+		var running;
+		return values.map(function(x){
+			if(ismissing(x)) return x;
+
+			running = running === void(0) ? x : step(running, x);
+			return running;
+		});
+	});
+}
+
+function lagged(data, n, compare){
+	n = n == null ? 1 : n;
+
+	return sequence(data, function(values){
+		return values.map(function(x, i){
+			if(i < n) return null;
+
+			var previous = values[i - n];
+			return ismissing(x) || ismissing(previous) ? null : compare(x, previous);
+		});
+	});
+}
+
+/* Dot product of two vectors, or the product of matrices and vectors.
+ *
+ *	Matrices are arrays of arrays (one per row), or typed arrays with a `shape`
+ *	property like `[rows, columns]`, holding the values row by row. Results take
+ *	the same form as the input.
+ *
+ *	`ds.num.dot(a, b)`
+ *
+ *	* a, b - vectors or matrices; a vector next to a matrix is used as a row
+ *		(on the left) or column (on the right)
+ *
+ * @examples
+ * ds.num.dot([1, 2, 3], [4, 5, 6])	// => 32
+ * ds.num.dot([[1, 2], [3, 4]], [1, 1])	// => [3, 7]
+ * ds.num.dot([1, 1], [[1, 2], [3, 4]])	// => [4, 6]
+ * ds.num.dot([[1, 2], [3, 4]], [[0, 1], [1, 0]])	// => [[2, 1], [4, 3]]
+ */
+dataship.num.dot = function dot(a, b){
+	var shaped = isshaped(a) || isshaped(b);
+
+	if(ismatrix(a) && ismatrix(b)) return dataship.num.matmul(a, b);
+
+	if(ismatrix(a)){
+		// matrix and column
+		var column = vectorValues(b);
+		return vectorResult(dataship.num.matmul(matrixRows(a), column.map(function(v){ return [v]; })).map(function(row){ return row[0]; }), shaped);
+	}
+
+	if(ismatrix(b)){
+		// row and matrix
+		return vectorResult(dataship.num.matmul([vectorValues(a)], matrixRows(b))[0], shaped);
+	}
+
+	a = vectorValues(a);
+	b = vectorValues(b);
+	if(a.length !== b.length) throw new Error("vectors of length " + a.length + " and " + b.length + " aren't aligned");
+
+	var sum = 0;
+	for(var i = 0; i < a.length; i++) sum += a[i] * b[i];
+
+	return sum;
+}
+
+/* Multiply two matrices.
+ *
+ *	`ds.num.matmul(A, B)`
+ *
+ * @examples
+ * var A = new Float64Array([1, 2, 3, 4, 5, 6]);
+ * A.shape = [2, 3];
+ *
+ * ds.num.matmul([[1, 2, 3], [4, 5, 6]], [[1], [0], [-1]])	// => [[-2], [-2]]
+ * ds.num.matmul(A, ds.num.transpose(A)).shape	// => [2, 2]
+ * Array.from(ds.num.matmul(A, ds.num.transpose(A)))	// => [14, 32, 32, 77]
+ */
+dataship.num.matmul = function matmul(A, B){
+	var shaped = isshaped(A) || isshaped(B);
+	A = matrixRows(A);
+	B = matrixRows(B);
+
+	if(A[0].length !== B.length){
+		throw new Error("matrices of shape [" + A.length + ", " + A[0].length + "] and [" +
+			B.length + ", " + B[0].length + "] aren't aligned");
+	}
+
+	var result = [];
+	var row, sum, i, j, k;
+	for(i = 0; i < A.length; i++){
+		row = [];
+		for(j = 0; j < B[0].length; j++){
+			sum = 0;
+			for(k = 0; k < B.length; k++) sum += A[i][k] * B[k][j];
+			row.push(sum);
+		}
+		result.push(row);
+	}
+
+	return matrixResult(result, shaped);
+}
+
+/* Swap the rows and columns of a matrix.
+ *
+ *	`ds.num.transpose(A)`
+ *
+ * @examples
+ * ds.num.transpose([[1, 2, 3], [4, 5, 6]])	// => [[1, 4], [2, 5], [3, 6]]
+ */
+dataship.num.transpose = function transpose(A){
+	var rows = matrixRows(A);
+
+	var result = [];
+	for(var j = 0; j < rows[0].length; j++){
+		result.push(rows.map(function(row){ return row[j]; }));
+	}
+
+	return matrixResult(result, isshaped(A));
+}
+
+/* Create an identity matrix, as an array of arrays.
+ *
+ *	`ds.num.identity(n)`
+ *
+ * @examples
+ * ds.num.identity(2)	// => [[1, 0], [0, 1]]
+ */
+dataship.num.identity = function identity(n){
+	return range(n).map(function(i){
+		var row = newFilledArray(n, 0);
+		row[i] = 1;
+		return row;
+	});
+}
+
+/* LU decomposition with partial pivoting, so that `P A = L U`.
+ *
+ *	`ds.num.lu(A)`
+ *
+ *	returns - an object with the unit lower triangular `L`, upper triangular `U`
+ *		and permutation matrix `P`
+ *
+ * @examples
+ * var result = ds.num.lu([[1, 2], [3, 4]]);
+ *
+ * result.P	// => [[0, 1], [1, 0]]
+ * ds.num.allclose(result.L, [[1, 0], [1/3, 1]])	// => true
+ * ds.num.allclose(result.U, [[3, 4], [0, 2/3]])	// => true
+ */
+dataship.num.lu = function lu(A){
+	var shaped = isshaped(A);
+	var decomposition = luDecompose(matrixRows(A));
+	var n = decomposition.rows.length;
+
+	var L = [], U = [], i, j;
+	for(i = 0; i < n; i++){
+		L.push(newFilledArray(n, 0));
+		U.push(newFilledArray(n, 0));
+		for(j = 0; j < n; j++){
+			if(j < i) L[i][j] = decomposition.rows[i][j];
+			else U[i][j] = decomposition.rows[i][j];
+		}
+		L[i][i] = 1;
+	}
+
+	var P = decomposition.permutation.map(function(original){
+		var row = newFilledArray(n, 0);
+		row[original] = 1;
+		return row;
+	});
+
+	return {
+		"L" : matrixResult(L, shaped),
+		"U" : matrixResult(U, shaped),
+		"P" : matrixResult(P, shaped)
+	};
+}
+
+/* Determinant of a square matrix.
+ *
+ *	`ds.num.det(A)`
+ *
+ * @examples
+ * ds.num.det([[1, 2], [3, 4]])	// => -2
+ * ds.num.det([[1, 2], [2, 4]])	// => 0
+ * ds.num.det([[1, 0], [0, 1e-13]])	// => 1e-13
+ */
+dataship.num.det = function det(A){
+	var decomposition = luDecompose(matrixRows(A));
+	if(decomposition.singular) return 0;
+
+	var result = decomposition.sign;
+	for(var i = 0; i < decomposition.rows.length; i++) result *= decomposition.rows[i][i];
+
+	return result;
+}
+
+/* Solve the linear system `A x = b` for `x`.
+ *
+ *	`ds.num.solve(A, b)`
+ *
+ *	* A - square matrix
+ *	* b - vector, or matrix with a column per system to solve
+ *
+ * @examples
+ * ds.num.allclose(ds.num.solve([[3, 1], [1, 2]], [9, 8]), [2, 3])	// => true
+ * ds.num.solve([[2, 0], [0, 4]], [[2, 4], [4, 8]])	// => [[1, 2], [1, 2]]
+ * ds.num.solve([[1, 0], [0, 1e-13]], [1, 1e-13])	// => [1, 1]
+ */
+dataship.num.solve = function solve(A, b){
+	var shaped = isshaped(A) || isshaped(b);
+	var decomposition = luDecompose(matrixRows(A));
+	if(decomposition.singular) throw new Error("matrix is singular");
+
+	var vector = !ismatrix(b);
+	var B = vector ? vectorValues(b).map(function(v){ return [v]; }) : matrixRows(b);
+	var n = decomposition.rows.length;
+	if(B.length !== n) throw new Error("b must have " + n + " rows to match A");
+
+	var LU = decomposition.rows;
+	var X = decomposition.permutation.map(function(original){ return B[original].slice(); });
+	var i, j, k;
+
+	for(k = 0; k < X[0].length; k++){
+		// forward substitution through L, then back through U
+		for(i = 0; i < n; i++){
+			for(j = 0; j < i; j++) X[i][k] -= LU[i][j] * X[j][k];
+		}
+		for(i = n - 1; i >= 0; i--){
+			for(j = i + 1; j < n; j++) X[i][k] -= LU[i][j] * X[j][k];
+			X[i][k] /= LU[i][i];
+		}
+	}
+
+	if(vector) return vectorResult(X.map(function(row){ return row[0]; }), shaped);
+
+	return matrixResult(X, shaped);
+}
+
+/* Inverse of a square matrix.
+ *
+ *	`ds.num.inv(A)`
+ *
+ * @examples
+ * ds.num.allclose(ds.num.inv([[4, 7], [2, 6]]), [[0.6, -0.7], [-0.2, 0.4]])	// => true
+ */
+dataship.num.inv = function inv(A){
+	var rows = matrixRows(A);
+
+	return matrixResult(dataship.num.solve(rows, dataship.num.identity(rows.length)), isshaped(A));
+}
+
+/* QR decomposition using Householder reflections, so that `A = Q R`.
+ *
+ *	For an `m` by `n` matrix, this is the reduced decomposition: `Q` is `m` by `k`
+ *	with orthonormal columns and `R` is `k` by `n` upper triangular, where `k`
+ *	is the smaller of `m` and `n`.
+ *
+ *	`ds.num.qr(A)`
+ *
+ * @examples
+ * var A = [[1, 2], [3, 4], [5, 6]];
+ * var result = ds.num.qr(A);
+ *
+ * ds.num.allclose(ds.num.matmul(result.Q, result.R), A)	// => true
+ * ds.num.allclose(ds.num.matmul(ds.num.transpose(result.Q), result.Q), ds.num.identity(2), 1e-5, 1e-12)	// => true
+ * result.R[1][0]	// => 0
+ */
+dataship.num.qr = function qr(A){
+	var shaped = isshaped(A);
+	var R = matrixRows(A);
+	var m = R.length, n = R[0].length, k = Math.min(m, n);
+	var Q = dataship.num.identity(m);
+	var i, j, c, norm, alpha, v, vnorm, s;
+
+	for(c = 0; c < k; c++){
+		norm = 0;
+		for(i = c; i < m; i++) norm += R[i][c] * R[i][c];
+		norm = Math.sqrt(norm);
+		if(norm === 0) continue;
+
+		// reflect column c onto alpha e_c, choosing the sign that avoids cancellation
+		alpha = R[c][c] > 0 ? -norm : norm;
+		v = newFilledArray(m, 0);
+		for(i = c; i < m; i++) v[i] = R[i][c];
+		v[c] -= alpha;
+
+		vnorm = 0;
+		for(i = c; i < m; i++) vnorm += v[i] * v[i];
+		if(vnorm === 0) continue;
+
+		// R = H R and Q = Q H, with H = I - 2 v v' / v'v
+		for(j = 0; j < n; j++){
+			s = 0;
+			for(i = c; i < m; i++) s += v[i] * R[i][j];
+			s = 2 * s / vnorm;
+			for(i = c; i < m; i++) R[i][j] -= s * v[i];
+		}
+		for(j = 0; j < m; j++){
+			s = 0;
+			for(i = c; i < m; i++) s += Q[j][i] * v[i];
+			s = 2 * s / vnorm;
+			for(i = c; i < m; i++) Q[j][i] -= s * v[i];
+		}
+
+		for(i = c + 1; i < m; i++) R[i][c] = 0;
+	}
+
+	return {
+		"Q" : matrixResult(Q.map(function(row){ return row.slice(0, k); }), shaped),
+		"R" : matrixResult(R.slice(0, k), shaped)
+	};
+}
+
+/* Cholesky decomposition of a symmetric, positive definite matrix, so that
+ *	`A = L L'`.
+ *
+ *	`ds.num.cholesky(A)`
+ *
+ *	returns - the lower triangular matrix `L`
+ *
+ * @examples
+ * ds.num.cholesky([[4, 2], [2, 10]])	// => [[2, 0], [1, 3]]
+ */
+dataship.num.cholesky = function cholesky(A){
+	var rows = matrixRows(A);
+	var n = rows.length;
+	if(rows[0].length !== n) throw new Error("matrix must be square");
+
+	var L = [], i, j, k, sum;
+	for(i = 0; i < n; i++){
+		L.push(newFilledArray(n, 0));
+		for(j = 0; j <= i; j++){
+			if(rows[i][j] !== rows[j][i]) throw new Error("matrix must be symmetric");
+
+			sum = rows[i][j];
+			for(k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+
+			if(i === j){
+				if(!(sum > 0)) throw new Error("matrix isn't positive definite");
+				L[i][i] = Math.sqrt(sum);
+			} else {
+				L[i][j] = sum / L[j][j];
+			}
+		}
+	}
+
+	return matrixResult(L, isshaped(A));
+}
+
+/* Doolittle LU decomposition with partial pivoting, with L and U stored together
+ * @private
+ */
+function luDecompose(rows){
+	var n = rows.length;
+	if(rows[0].length !== n) throw new Error("matrix must be square");
+
+	var LU = rows.map(function(row){ return row.slice(); });
+	var permutation = range(n);
+	var sign = 1, singular = false;
+
+	// pivots this small, relative to the largest value that went into their row,
+	// are rounding error left from cancelling and treated as zero
+	var scale = LU.map(function(row){
+		return row.reduce(function(a, v){ return Math.max(a, Math.abs(v)); }, 0);
+	});
+	var i, j, k, pivot, swap, factor;
+
+	for(k = 0; k < n; k++){
+		pivot = k;
+		for(i = k + 1; i < n; i++){
+			if(Math.abs(LU[i][k]) > Math.abs(LU[pivot][k])) pivot = i;
+		}
+		if(!(Math.abs(LU[pivot][k]) > 1e-12 * scale[pivot])){
+			singular = true;
+			continue;
+		}
+
+		if(pivot !== k){
+			swap = LU[k]; LU[k] = LU[pivot]; LU[pivot] = swap;
+			swap = permutation[k]; permutation[k] = permutation[pivot]; permutation[pivot] = swap;
+			swap = scale[k]; scale[k] = scale[pivot]; scale[pivot] = swap;
+			sign = -sign;
+		}
+
+		for(i = k + 1; i < n; i++){
+			factor = LU[i][k] /= LU[k][k];
+			for(j = k + 1; j < n; j++) LU[i][j] -= factor * LU[k][j];
+			scale[i] = Math.max(scale[i], Math.abs(factor) * scale[k]);
+		}
+	}
+
+	return {"rows" : LU, "permutation" : permutation, "sign" : sign, "singular" : singular};
+}
+
+function isshaped(A){
+	return istypedarray(A) && isarray(A.shape) && A.shape.length === 2;
+}
+
+function ismatrix(A){
+	return isshaped(A) || (isarray(A) && A.length > 0 && (isarray(A[0]) || istypedarray(A[0])));
+}
+
+/* copy a matrix into an array of arrays
+ * @private
+ */
+function matrixRows(A){
+	var rows, columns, i;
+
+	if(isshaped(A)){
+		rows = A.shape[0];
+		columns = A.shape[1];
+		if(rows * columns !== A.length) throw new Error("shape [" + A.shape + "] doesn't match " + A.length + " values");
+
+		var result = [];
+		for(i = 0; i < rows; i++) result.push(Array.prototype.slice.call(A.subarray(i * columns, (i + 1) * columns)));
+		return result;
+	}
+
+	if(!ismatrix(A)) throw new Error("expected a matrix: an array of arrays, or a typed array with a shape");
+
+	columns = A[0].length;
+	return A.map(function(row){
+		if(row.length !== columns) throw new Error("matrix rows must all be the same length");
+		return Array.prototype.slice.call(row);
+	});
+}
+
+/* an array of arrays, or a Float64Array with a shape when the input had one
+ * @private
+ */
+function matrixResult(rows, shaped){
+	if(!shaped) return rows;
+
+	var columns = rows.length ? rows[0].length : 0;
+	var result = new Float64Array(rows.length * columns);
+	for(var i = 0; i < rows.length; i++) result.set(rows[i], i * columns);
+	result.shape = [rows.length, columns];
+
+	return result;
+}
+
+function vectorValues(v){
+	if(!isarray(v) && !istypedarray(v)) throw new Error("expected a vector or matrix");
+	return Array.prototype.slice.call(v);
+}
+
+function vectorResult(values, shaped){
+	return shaped ? new Float64Array(values) : values;
+}
+
+
+/* Rename the columns in a dataset or the keys in an object/index.
+ *
+ *	Use the specified mapping from old labels to new to modify labels in the object
+ * or dataset.
+ *
+ *	`relabel(obj, labels)`
+ *
+ *  * obj - object to rename
+ *	* labels - mapping from old labels to new
+ *
+ *	`relabel(dataset, labels)`
+ *
+ *	* dataset - frame containing objects to relabel columns of
+ *	* labels - mapping from old labels to new
+ *
+ *
+ * @examples
+ *
+ * var result = {
+ *    "foo" : 20,
+ *	  "bar" : 30
+ * };
+ *
+ * ds.frame.relabel({"0" : 20, "1": 30}, {"0": "foo", "1" : "bar"})	// => result
+ */
+dataship.frame.relabel = function relabel(obj, labels){
+
+	if(isframe(obj)){
+		for(var i = 0; i < obj.length; i++){
+			relabelObject(obj[i], labels);
+		}
+	} else {
+		relabelObject(obj, labels);
+	}
+
+	return obj;
+}
+
+function relabelObject(obj, labels){
+
+	for(key in obj){
+		if(key in labels){
+			obj[labels[key]] = obj[key];
+			delete obj[key];
+		}
+	}
+
+	return obj;
+}
+
+/* Get an array of column labels for a dataset.
+ *
+ * `ds.frame.labels(dataset)`
+ *
+ * @examples
+ * var movies = [
+ *     {"Title":"Fight Club",            "Year":1999},
+ *     {"Title":"The Matrix",            "Year":1999},
+ *     {"Title":"Stranger Than Fiction", "Year":2006}
+ * ];
+ *
+ * ds.frame.labels(movies)		// => ["Title", "Year"]
+ *
+ */
+dataship.frame.labels = function(dataset){
+	if(iscolumnar(dataset)) return Object.keys(dataset.columns);
+	if(!isframe(dataset)) throw new Error("dataset isn't a valid frame");
+
+	if(dataset.length == 0) return [];
+
+	return Object.keys(dataset[0]);
+}
+
+/* Extract a column (or virtual column) from a dataset and return it as an array.
+ *
+ *	`ds.frame.column(dataset, selector)`
+ *
+ *	* `dataset` - an array of JSON objects
+ *	* `selector` - the name of the field (string) to extract as a column or
+ *		a function taking a row and returning a value (useful for creating
+ *		virtual columns)
+ *
+ *
+ * @examples
+ * var movies = [
+ *     {"Title":"Fight Club",            "Year":1999},
+ *     {"Title":"The Matrix",            "Year":1999},
+ *     {"Title":"Stranger Than Fiction", "Year":2006}
+ * ];
+ *
+ *	ds.frame.column(movies, "Year")		// => [1999, 1999, 2006]
+ *	ds.frame.column(movies, function(row){ return row.Year})	// => [1999, 1999, 2006]
+ *
+ *
+ * function fullTitle(row){
+ *     return row.Title + " (" + row.Year + ")";
+ * }
+ *
+ * var fullTitleResult = [
+ *     "Fight Club (1999)",
+ *     "The Matrix (1999)",
+ *     "Stranger Than Fiction (2006)",
+ * ];
+ *
+ *	ds.frame.column(movies, fullTitle)	// => fullTitleResult
+ *
+ *
+ */
+dataship.frame.column = function column(dataset, selector){
+	if(iscolumnar(dataset)) return dataset.column(selector);
+	if(!isframe(dataset)) throw new Error("dataset isn't a valid frame");
+	if(!isstring(selector) && !isfunction(selector)) throw new Error("selector must be a string or function");
+
+	if(typeof(selector) === "string"){
+		var field_name = selector;
+		selector = function(row){ return row[field_name]; };
+	}
+
+	return dataset.map(selector);
+}
+
+/* Add a column or columns to a dataset, in-place
+ *
+ * `ds.frame.widen(dataset, values, identifier)`
+ *	* dataset - array of JSON objects
+ *	* values - array of values
+ *	* identifier - name to use as the key for the new column
+ *
+ * `ds.frame.widen(dataset, datasetAdd)`
+ *	* dataset - array of JSON objects to add to
+ *	* datasetAdd - array of JSON objects with columns to add, must be same length as dataset
+ *
+ * @example
+ * var movies = [
+ *     {"Title":"Fight Club",            "Year":1999},
+ *     {"Title":"The Matrix",            "Year":1999},
+ *     {"Title":"Stranger Than Fiction", "Year":2006}
+ * ];
+ * var moviesCopy = JSON.parse(JSON.stringify(movies));
+ *
+ * var ratings = [8.9, 8.7, 7.6];
+ *
+ * var result = [
+ *     {"Title":"Fight Club",            "Year":1999, "Rating":8.9},
+ *     {"Title":"The Matrix",            "Year":1999, "Rating":8.7},
+ *     {"Title":"Stranger Than Fiction", "Year":2006, "Rating":7.6}
+ * ];
+ *
+ * ds.frame.widen(movies, ratings, "Rating")	// => result
+ *
+ * var financials = [
+ *    {"Budget": 63000000, "Gross":  37023395},
+ *    {"Budget": 63000000, "Gross": 171383253},
+ *    {"Budget": 38000000, "Gross":  40137776}
+ * ];
+ *
+ * var moviesWithFinancials = [
+ *     {"Title":"Fight Club",            "Year":1999, "Budget": 63000000, "Gross": 37023395},
+ *     {"Title":"The Matrix",            "Year":1999, "Budget": 63000000, "Gross":171383253},
+ *     {"Title":"Stranger Than Fiction", "Year":2006, "Budget": 38000000, "Gross": 40137776}
+ * ];
+ *
+ * ds.frame.widen(moviesCopy, financials)	// => moviesWithFinancials
+ */
+dataship.frame.widen = function widen(dataset, values, identifier){
+	if(iscolumnar(dataset)) return dataset.widen(values, identifier);
+	if(!isframe(dataset)) throw new Error("dataset isn't a valid frame");
+	if(!isarray(values)) throw new Error("values must be an array or frame");
+
+	if(dataset.length != values.length)
+		throw new Error("datasets must be of equal lengths");
+
+	if(dataset.length == 0) return dataset;
+
+	// are we adding an array of numbers?
+	if(isnumber(values[0])){
+		// yes
+		identifier = identifier || "column" + Object.keys(dataset[0]).length;
+
+		var row;
+
+		for(var i = 0; i < dataset.length; i++){
+			row = dataset[i];
+			row[identifier] = values[i];
+			dataset[i] = row;
+		}
+	}
+	else if(isobject(values[0])){
+		// no, it's another dataset
+
+		for(var i = 0; i < dataset.length; i++){
+			Object.assign(dataset[i], values[i]);
+		}
+	}
+
+	return dataset
+}
+
+/* Add a row or rows to a dataset, in place
+ *
+ */
+dataship.frame.lengthen = function(dataset, row){
+
+	if(dataset.length != values.length)
+		throw new Error("datasets must be of equal lengths");
+
+
+	// are we adding a row object
+	if(isobject(row)){
+		// yes
+
+		// validate
+		if(dataset.length == 0) return [row];
+
+		if(!subset(dataset[0], row) || !subset(row, dataset[0]))
+			throw new Error("rows must have the same columns")
+
+		dataset.push(JSON.parse(JSON.stringify(row)));
+	}
+	else if(isarray(row)){
+		// no, it's another dataset
+
+		var datasetAdd = row;
+		// validate
+		if(datasetAdd.length == 0) return dataset;
+		if(dataset.length == 0) return datasetAdd;
+
+		if(!subset(dataset[0], datasetAdd[0]) || !subset(datasetAdd[0], dataset[0]))
+			throw new Error("rows must have the same columns")
+
+
+		for(var i = 0; i < datasetAdd.length; i++){
+			row = datasetAdd[i];
+			dataset.push(JSON.parse(JSON.stringify(row)));
+		}
+	}
+}
+function subset(obj1, obj2){
+	for(key in obj1){
+		if(key in obj2) continue;
+
+		return false;
+	}
+
+	return true;
+}
+
+/* Convert a dataset to a columnar frame, which stores each column in a single array
+ *	rather than one object per row. Numbers are kept in `Int32Array`s (when every
+ *	value is a 32-bit integer) or `Float64Array`s (with missing values as `NaN`), and
+ *	strings are dictionary encoded. Columns of any other type are kept as plain arrays.
+ *
+ *	{@link dataship.frame.labels}, {@link dataship.frame.column},
+ *	{@link dataship.frame.widen} and {@link dataship.frame.groupby} work on columnar
+ *	frames directly, and the columns they return can be passed to the `ds.num` functions.
+ *	Missing numbers are stored as `NaN`, but rows and selectors see them as `null`.
+ *	Selector and grouper functions are passed a single row object that is reused for
+ *	every row, so they shouldn't keep a reference to it.
+ *
+ *	`ds.frame.columnar(dataset)`
+ *
+ *	* dataset - array of javascript objects, one per row
+ *
+ *	`ds.frame.columnar(columns)`
+ *
+ *	* columns - object mapping column labels to arrays (or typed arrays) of equal length
+ *
+ * @examples
+ * var movies = [
+ *     {"Title":"Fight Club",            "Year":1999, "Rating":8.9},
+ *     {"Title":"The Matrix",            "Year":1999, "Rating":8.7},
+ *     {"Title":"Stranger Than Fiction", "Year":2006, "Rating":7.6}
+ * ];
+ *
+ * var columnar = ds.frame.columnar(movies);
+ *
+ * columnar.length	// => 3
+ * ds.frame.labels(columnar)	// => ["Title", "Year", "Rating"]
+ * ds.frame.column(columnar, "Year")	// => new Int32Array([1999, 1999, 2006])
+ * ds.num.max(ds.frame.column(columnar, "Rating"))	// => 8.9
+ * ds.frame.groupby(columnar, "Year")	// => {1999 : 2, 2006 : 1}
+ * ds.frame.rows(columnar)	// => movies
+ *
+ * var years = ds.frame.columnar({"Year" : [1999, 2006], "Title" : ["Fight Club", null]});
+ *
+ * ds.frame.column(years, "Title")	// => ["Fight Club", null]
+ *
+ * var scores = ds.frame.columnar([{"g" : "a", "v" : 5}, {"g" : "a", "v" : null}]);
+ *
+ * ds.frame.groupby(scores, "g", {"total" : ["v", ds.reduce.sum], "top" : ["v", ds.reduce.max]})	// => [{"g" : "a", "total" : 5, "top" : 5}]
+ */
+dataship.frame.columnar = function columnar(dataset){
+	if(iscolumnar(dataset)) return dataset;
+
+	var columns = {};
+	var length = 0;
+	var label;
+
+	if(isframe(dataset)){
+		length = dataset.length;
+
+		// every label in any row
+		var labels = {};
+		for(var i = 0; i < dataset.length; i++){
+			for(label in dataset[i]) labels[label] = true;
+		}
+
+		for(label in labels){
+			columns[label] = toColumn(dataship.frame.column(dataset, label));
+		}
+	} else if(isobject(dataset)){
+		var first = true;
+		for(label in dataset){
+			if(!first && dataset[label].length !== length)
+				throw new Error("columns must be of equal lengths");
+
+			length = dataset[label].length;
+			first = false;
+			columns[label] = toColumn(dataset[label]);
+		}
+	} else {
+		throw new Error("dataset must be a frame or an object of columns");
+	}
+
+	return new ColumnarFrame(columns, length);
+}
+
+/* Convert a columnar frame (see {@link dataship.frame.columnar}) back to an array of
+ *	row objects. Missing numbers (stored as `NaN`) become `null`.
+ *
+ *	`ds.frame.rows(columnar)`
+ *
+ * @examples
+ * var columnar = ds.frame.columnar({"Year" : [1999, null], "Title" : ["Fight Club", "Primer"]});
+ *
+ * ds.frame.rows(columnar)	// => [{"Year" : 1999, "Title" : "Fight Club"}, {"Year" : null, "Title" : "Primer"}]
+ */
+dataship.frame.rows = function rows(columnar){
+	if(isframe(columnar)) return columnar;
+	if(!iscolumnar(columnar)) throw new Error("not a columnar frame");
+
+	var labels = Object.keys(columnar.columns);
+	var getters = labels.map(function(label){ return columnar.accessor(label); });
+
+	var result = new Array(columnar.length);
+	var row, val;
+	for(var i = 0; i < columnar.length; i++){
+		row = {};
+		for(var j = 0; j < labels.length; j++){
+			val = getters[j](i);
+			row[labels[j]] = (val !== val) ? null : val;
+		}
+		result[i] = row;
+	}
+
+	return result;
+}
+
+/* a frame stored as columns, see ds.frame.columnar
+ * @private
+ */
+function ColumnarFrame(columns, length){
+	this.columns = columns;
+	this.length = length;
+}
+
+/* return a function that reads the selected value of the nth row
+ */
+ColumnarFrame.prototype.accessor = function(selector){
+	if(isstring(selector)){
+		var values = this.columns[selector];
+		if(values === void(0)) return function(){ return void(0); };
+		if(values instanceof DictionaryColumn) return function(i){ return values.get(i); };
+
+		// missing numbers are stored as NaN, read them as null like ds.frame.rows does
+		return function(i){
+			var val = values[i];
+			return val !== val ? null : val;
+		};
+	}
+
+	if(!isfunction(selector)) throw new Error("selector must be a string or function");
+
+	var cursor = this.cursor();
+	return function(i){ return selector(cursor.seek(i)); };
+};
+
+/* a single row object with a getter for each column, that can be moved to any row
+ */
+ColumnarFrame.prototype.cursor = function(){
+	var frame = this;
+	var row = {};
+	var index = 0;
+
+	Object.keys(this.columns).forEach(function(label){
+		var get = frame.accessor(label);
+		Object.defineProperty(row, label, {
+			"enumerable" : true,
+			"get" : function(){ return get(index); }
+		});
+	});
+
+	return {
+		"row" : row,
+		"seek" : function(i){ index = i; return row; }
+	};
+};
+
+ColumnarFrame.prototype.column = function(selector){
+	if(isstring(selector)){
+		var values = this.columns[selector];
+		if(values === void(0)) return newFilledArray(this.length, void(0));
+		if(values instanceof DictionaryColumn) return values.decode();
+
+		return values.slice();
+	}
+
+	var get = this.accessor(selector);
+	var result = new Array(this.length);
+	for(var i = 0; i < this.length; i++) result[i] = get(i);
+
+	return result;
+};
+
+ColumnarFrame.prototype.widen = function(values, identifier){
+	var frame = this;
+
+	if(iscolumnar(values) || isframe(values)){
+		// another frame
+		values = dataship.frame.columnar(values);
+		if(values.length !== this.length) throw new Error("datasets must be of equal lengths");
+
+		Object.keys(values.columns).forEach(function(label){
+			frame.columns[label] = values.columns[label];
+		});
+	} else if(isarray(values) || istypedarray(values)){
+		if(values.length !== this.length) throw new Error("datasets must be of equal lengths");
+
+		identifier = identifier || "column" + Object.keys(this.columns).length;
+		this.columns[identifier] = toColumn(values);
+	} else {
+		throw new Error("values must be an array or frame");
+	}
+
+	return this;
+};
+
+/* strings stored as integer codes into an array of distinct values, -1 marks a missing value
+ * @private
+ */
+function DictionaryColumn(codes, values){
+	this.codes = codes;
+	this.values = values;
+	this.length = codes.length;
+}
+
+DictionaryColumn.prototype.get = function(i){
+	var code = this.codes[i];
+	return code < 0 ? null : this.values[code];
+};
+
+DictionaryColumn.prototype.decode = function(){
+	var result = new Array(this.length);
+	for(var i = 0; i < this.length; i++) result[i] = this.get(i);
+
+	return result;
+};
+
+/* pick the most compact storage for an array of values
+ * @private
+ */
+function toColumn(values){
+	if(istypedarray(values) || values instanceof DictionaryColumn) return values;
+
+	var numeric = true, integer = true, missing = false, strings = true;
+	var val;
+	for(var i = 0; i < values.length; i++){
+		val = values[i];
+		if(val == null){
+			missing = true;
+			continue;
+		}
+
+		if(isnumber(val)){
+			strings = false;
+			if(val !== val) missing = true;
+			else if(!isinteger(val) || val > 2147483647 || val < -2147483648) integer = false;
+		} else if(isstring(val)){
+			numeric = false;
+		} else {
+			numeric = strings = false;
+		}
+	}
+
+	var column;
+	if(numeric && !strings){
+		column = (integer && !missing) ? new Int32Array(values.length) : new Float64Array(values.length);
+		for(i = 0; i < values.length; i++) column[i] = values[i] == null ? NaN : values[i];
+
+		return column;
+	}
+
+	if(strings){
+		var codes = new Int32Array(values.length);
+		var lookup = Object.create(null), dictionary = [];
+		for(i = 0; i < values.length; i++){
+			val = values[i];
+			if(val == null){
+				codes[i] = -1;
+				continue;
+			}
+			if(!(val in lookup)){
+				lookup[val] = dictionary.length;
+				dictionary.push(val);
+			}
+			codes[i] = lookup[val];
+		}
+
+		return new DictionaryColumn(codes, dictionary);
+	}
+
+	return values.slice();
+}
+
+/* return a function that reads the selected value of the nth row of a dataset
+ * @private
+ */
+function accessor(dataset, selector){
+	if(iscolumnar(dataset)) return dataset.accessor(selector);
+
+	selector = selectorFunction(selector);
+	return function(i){ return selector(dataset[i]); };
+}
+
+/* Combine the rows of two datasets that share a key, like a database join.
+ *
+ * `ds.frame.join(left, right, on, how, suffixes)`
+ *
+ *	* left - array of JSON objects, or a columnar frame
+ *	* right - array of JSON objects, or a columnar frame
+ *	* on - the label of the column to match rows on, or an array of labels
+ *		for a composite key (the columns must exist in both datasets)
+ *	* how - which unmatched rows to keep, one of "inner", "left", "right" or
+ *		"outer" (default: "inner"). Missing values in kept rows are `null`.
+ *	* suffixes - array of two strings appended to columns (other than the key)
+ *		that appear in both datasets (default: `["_x", "_y"]`)
+ *
+ *	returns - a new dataset, matched rows appear in the order of `left`, followed
+ *		by any unmatched rows from `right`. Rows with a `null` or `undefined` key
+ *		never match.
+ *
+ * @examples
+ * var movies = [
+ *     {"Title":"Fight Club",            "Year":1999},
+ *     {"Title":"The Matrix",            "Year":1999},
+ *     {"Title":"Stranger Than Fiction", "Year":2006}
+ * ];
+ *
+ * var grosses = [
+ *     {"Title":"The Matrix",            "Gross":171383253},
+ *     {"Title":"Fight Club",            "Gross": 37023395},
+ *     {"Title":"Primer",                "Gross":   424760}
+ * ];
+ *
+ * var inner = [
+ *     {"Title":"Fight Club",            "Year":1999, "Gross": 37023395},
+ *     {"Title":"The Matrix",            "Year":1999, "Gross":171383253}
+ * ];
+ *
+ * ds.frame.join(movies, grosses, "Title")	// => inner
+ *
+ * var outer = [
+ *     {"Title":"Fight Club",            "Year":1999, "Gross": 37023395},
+ *     {"Title":"The Matrix",            "Year":1999, "Gross":171383253},
+ *     {"Title":"Stranger Than Fiction", "Year":2006, "Gross":     null},
+ *     {"Title":"Primer",                "Year":null, "Gross":   424760}
+ * ];
+ *
+ * ds.frame.join(movies, grosses, "Title", "outer")	// => outer
+ *
+ * var remakes = [
+ *     {"Title":"The Matrix", "Year":1999, "Director":"Wachowskis"},
+ *     {"Title":"The Matrix", "Year":2021, "Director":"Wachowski"}
+ * ];
+ *
+ * var composite = [
+ *     {"Title":"The Matrix", "Year":1999, "Director":"Wachowskis"}
+ * ];
+ *
+ * ds.frame.join(movies, remakes, ["Title", "Year"])	// => composite
+ *
+ * var clashing = [
+ *     {"Title":"Fight Club", "Year_x":1999, "Year_y":1999, "Director":"Wachowskis"}
+ * ];
+ *
+ * ds.frame.join(movies.slice(0, 1), [{"Title":"Fight Club", "Year":1999, "Director":"Wachowskis"}], "Title")	// => clashing
+ */
+dataship.frame.join = function join(left, right, on, how, suffixes){
+	if(iscolumnar(left)) left = dataship.frame.rows(left);
+	if(iscolumnar(right)) right = dataship.frame.rows(right);
+	if(!isframe(left) || !isframe(right)) throw new Error("dataset isn't a valid frame");
+	if(!isstring(on) && !isarray(on)) throw new Error("on must be a column label or an array of labels");
+
+	how = how || "inner";
+	if(!(how in {"inner" : 1, "left" : 1, "right" : 1, "outer" : 1}))
+		throw new Error("how must be one of 'inner', 'left', 'right' or 'outer'");
+
+	suffixes = suffixes || ["_x", "_y"];
+
+	var keys = isarray(on) ? on : [on];
+	var isKey = {};
+	keys.forEach(function(key){ isKey[key] = true; });
+
+	// work out output names for the non-key columns on each side
+	var leftLabels = left.length ? Object.keys(left[0]) : [];
+	var rightLabels = right.length ? Object.keys(right[0]) : [];
+	var inLeft = {}, inRight = {};
+	leftLabels.forEach(function(label){ inLeft[label] = true; });
+	rightLabels.forEach(function(label){ inRight[label] = true; });
+
+	leftLabels = leftLabels.filter(function(label){ return !isKey[label]; });
+	rightLabels = rightLabels.filter(function(label){ return !isKey[label]; });
+
+	var leftNames = leftLabels.map(function(label){ return label in inRight ? label + suffixes[0] : label; });
+	var rightNames = rightLabels.map(function(label){ return label in inLeft ? label + suffixes[1] : label; });
+
+	// index the right dataset by key
+	var index = {};
+	var i, j, id, matches;
+	for(i = 0; i < right.length; i++){
+		id = joinKey(right[i], keys);
+		if(id === null) continue;
+
+		matches = index[id];
+		if(matches === void(0)) index[id] = [i];
+		else matches.push(i);
+	}
+
+	var result = [];
+	var matched = new Uint8Array(right.length);
+
+	for(i = 0; i < left.length; i++){
+		id = joinKey(left[i], keys);
+		matches = id === null ? void(0) : index[id];
+
+		if(matches === void(0)){
+			if(how === "left" || how === "outer")
+				result.push(joinRows(left[i], null, keys, leftLabels, leftNames, rightLabels, rightNames));
+			continue;
+		}
+
+		for(j = 0; j < matches.length; j++){
+			matched[matches[j]] = 1;
+			result.push(joinRows(left[i], right[matches[j]], keys, leftLabels, leftNames, rightLabels, rightNames));
+		}
+	}
+
+	if(how === "right" || how === "outer"){
+		for(i = 0; i < right.length; i++){
+			if(matched[i]) continue;
+			result.push(joinRows(null, right[i], keys, leftLabels, leftNames, rightLabels, rightNames));
+		}
+	}
+
+	return result;
+}
+
+/* build a string from the key columns of a row, null if any are missing
+ * @private
+ */
+function joinKey(row, keys){
+	var values = new Array(keys.length);
+	var val;
+	for(var i = 0; i < keys.length; i++){
+		val = row[keys[i]];
+		if(val == null) return null;
+		values[i] = val;
+	}
+
+	// plain strings can't collide with the JSON arrays used for everything else
+	return keys.length === 1 && isstring(values[0]) ? "$" + values[0] : JSON.stringify(values);
+}
+
+/* create the output row for a pair of joined rows, either of which may be null
+ * @private
+ */
+function joinRows(leftRow, rightRow, keys, leftLabels, leftNames, rightLabels, rightNames){
+	var row = {};
+	var i, key;
+
+	for(i = 0; i < keys.length; i++){
+		key = keys[i];
+		row[key] = leftRow !== null ? leftRow[key] : rightRow[key];
+	}
+
+	for(i = 0; i < leftLabels.length; i++)
+		row[leftNames[i]] = leftRow !== null ? leftRow[leftLabels[i]] : null;
+
+	for(i = 0; i < rightLabels.length; i++)
+		row[rightNames[i]] = rightRow !== null ? rightRow[rightLabels[i]] : null;
+
+	return row;
+}
+
+/* Statistical summaries for groups in a dataset.
+ *
+ *	`ds.frame.groupby(dataset, grouper, selector, reducer, initial)`
+ *
+ *	* dataset - array of javascript objects, one per row
+ *	* grouper - the label of the column to group by or a
+ *		function taking a row and returning a group label (virtual category)
+ *	* selector - the label of the column to compute on (sum, mean, etc) or a
+ *		function taking a row object and returning a number (virtual column)
+ *	* reducer - `function(agg, val, n)` function to compute over all numbers in a group,
+ *		or an aggregator (see {@link dataship.reduce.aggregator})
+ *		(default: [dataship.reduce.count](#dataship-reduce-count))
+ *	* initial - value to use in first call to reducer, if not specified reducer will
+ *		first be called after two values have been encountered. (see
+ *		[Array.prototype.reduce](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/Reduce) )
+ *
+ *	`ds.frame.groupby(dataset, groupers, aggregations)`
+ *
+ *	* groupers - an array of column labels or grouper functions (like those
+ *		in `ds.frame.groupers`), rows are grouped by the combination of their keys
+ *	* aggregations - an object mapping output column names to either a reducer
+ *		(applied to the column of the same name) or an array of
+ *		`[selector, reducer, initial]` (default: a count, named "count")
+ *
+ *	returns - a frame with one row per key combination, in the order the
+ *		combinations were first encountered. Each row has a column for each
+ *		grouper (named by its label) and one for each aggregation. An aggregation
+ *		named like a grouper's label throws an error, instead of replacing its keys.
+ *
+ * @examples
+ * var movies = [
+ *     {"Title":"Fight Club",            "Year":1999, "Rating":8.9},
+ *     {"Title":"The Matrix",            "Year":1999, "Rating":8.7},
+ *     {"Title":"Stranger Than Fiction", "Year":2006, "Rating":7.6}
+ * ];
+ *
+ * var countByYear = {
+ *     1999 : 2,
+ *     2006 : 1
+ * };
+ *
+ * ds.frame.groupby(movies, "Year")	// => countByYear
+ *
+ * var averageRatingByYear = {
+ *    1999 : 8.8,
+ *    2006 : 7.6
+ * };
+ *
+ * ds.frame.groupby(movies, "Year", "Rating", ds.reduce.mean)	// => averageRatingByYear
+ *
+ * var byYearAndCutoff = [
+ *     {"Year" : 1999, "Rating" : 1, "mean" : 8.8, "count" : 2},
+ *     {"Year" : 2006, "Rating" : 0, "mean" : 7.6, "count" : 1}
+ * ];
+ *
+ * ds.frame.groupby(movies, ["Year", cutoff], {"mean" : ["Rating", ds.reduce.mean], "count" : ds.reduce.count})	// => byYearAndCutoff
+ *
+ * var byYear = [
+ *     {"Year" : 1999, "Rating" : 17.6},
+ *     {"Year" : 2006, "Rating" : 7.6}
+ * ];
+ *
+ * ds.frame.groupby(movies, ["Year"], {"Rating" : ds.reduce.sum})	// => byYear
+ *
+ */
+dataship.frame.groupby = function groupby(dataset, grouper, selector, reducer, initial){
+
+	// multiple groupers or named aggregations?
+	if(isarray(grouper) || isobject(selector)){
+		// yes, build a frame
+		return groupbyFrame(dataset, isarray(grouper) ? grouper : [grouper], selector);
+	}
+
+	// default reducer is a sum
+	if(reducer == null){
+		reducer = ds.reduce.count;
+		initial = 0;
+	}
+
+	selector = selector || grouper;
+
+	// functions reading the group and value of the nth row
+	var group = accessor(dataset, grouper);
+	var select = accessor(dataset, selector);
+
+	var aggregator = dataship.reduce.aggregator(reducer);
+
+	// a state per group, finalized at the end
+	var result = {};
+	var id;
+
+	for(var i = 0; i < dataset.length; i++){
+		id = group(i);
+		if(result[id] === void(0)) result[id] = aggregator.init(initial);
+		result[id] = aggregator.step(result[id], select(i));
+	}
+
+	for(id in result) result[id] = aggregator.finalize(result[id]);
+
+	return result;
+}
+
+/* group a dataset by several keys at once and compute named aggregations,
+ * returns a frame
+ * @private
+ */
+function groupbyFrame(dataset, groupers, aggregations){
+
+	var table = new GroupTable(groupers, aggregations).checkLabels();
+	fillTable(table, dataset, groupers);
+
+	return table.rows();
+}
+
+/* add every row of a dataset to the groups of a table
+ * @private
+ */
+function fillTable(table, dataset, groupers){
+	var specs = table.specs;
+
+	groupers = groupers.map(function(grouper){ return accessor(dataset, grouper); });
+	var selects = specs.map(function(spec){ return accessor(dataset, spec.selector); });
+
+	var keys, group, i, j;
+	for(i = 0; i < dataset.length; i++){
+		keys = new Array(groupers.length);
+		for(j = 0; j < groupers.length; j++) keys[j] = groupers[j](i);
+
+		group = table.group(keys);
+		for(j = 0; j < specs.length; j++) group.state[j] = specs[j].aggregator.step(group.state[j], selects[j](i));
+	}
+}
+
+/* normalize an aggregation given to groupby into a selector, reducer and initial value
+ * @private
+ */
+function aggregationSpec(name, aggregation){
+
+	var selector, reducer, initial;
+	if(isfunction(aggregation) || isaggregator(aggregation)){
+		// just a reducer, select the column with the same name
+		selector = name;
+		reducer = aggregation;
+	} else if(isarray(aggregation)){
+		selector = aggregation[0];
+		reducer = aggregation[1] || ds.reduce.count;
+		initial = aggregation[2];
+	} else {
+		throw new Error("aggregation '" + name + "' must be a reducer or an array of [selector, reducer, initial]");
+	}
+
+	// counts start from zero, even in groups with nothing to count
+	if((reducer === ds.reduce.count || reducer.reducer === ds.reduce.count) && initial == null) initial = 0;
+
+	return {
+		"selector" : selector == null ? function(row){ return row; } : selector,
+		"aggregator" : dataship.reduce.aggregator(reducer),
+		"initial" : initial
+	};
+}
+
+/* Summarize a stream of rows by group, without holding the rows in memory. Works
+ *	like the frame form of {@link dataship.frame.groupby}, with the same groupers
+ *	(like `ds.frame.groupers.interval` and `labeler`) and reducers, but only keeps
+ *	the running state of each group.
+ *
+ *	`ds.stream.groupby(source, groupers, aggregations)`
+ *
+ *	* source - rows from an async iterable (like an async generator, or a Node
+ *		readable stream in object mode, e.g. from {@link dataship.io.csv.parseStream}),
+ *		an iterable, or an event emitter with `data`, `end` and `error` events.
+ *		Items that are arrays (like pages from an API) are taken as several rows.
+ *	* groupers - column label or grouper function, or an array of them
+ *	* aggregations - (optional) an object mapping output column names to
+ *		aggregations, as in {@link dataship.frame.groupby} (default: a count,
+ *		named "count")
+ *
+ *	returns - a Promise of a frame with one row per group, like `ds.frame.groupby`
+ *
+ *	For example, counting the rows of a large csv file by year:
+ *
+ *		var rows = fs.createReadStream("movies.csv").pipe(ds.io.csv.parseStream());
+ *
+ *		ds.stream.groupby(rows, "Year").then(function(counts){
+ *			ds.vis.bar(ds.frame.column(counts, "count"), ds.frame.column(counts, "Year"));
+ *		});
+ *
+ * @examples
+ * var movies = [
+ *     {"Title":"Fight Club",            "Year":1999, "Rating":8.9},
+ *     {"Title":"The Matrix",            "Year":1999, "Rating":8.7},
+ *     {"Title":"Stranger Than Fiction", "Year":2006, "Rating":7.6}
+ * ];
+ *
+ * var byYear = [
+ *     {"Year" : 1999, "count" : 2, "best" : 8.9},
+ *     {"Year" : 2006, "count" : 1, "best" : 7.6}
+ * ];
+ *
+ * var pages = {};
+ * pages[Symbol.asyncIterator] = function(){
+ *     var remaining = [movies.slice(0, 2), movies.slice(2)];
+ *     return {"next" : function(){
+ *         return Promise.resolve(remaining.length ? {"value" : remaining.shift(), "done" : false} : {"done" : true});
+ *     }};
+ * };
+ *
+ * var aggregations = {"count" : [null, ds.reduce.count], "best" : ["Rating", ds.reduce.max]};
+ *
+ * var result = null;
+ * ds.stream.groupby(pages, "Year", aggregations).then(function(rows){ result = rows; });
+ *
+ * ds.stream.groupby(pages, "Year", aggregations) instanceof Promise	// => true
+ * ds.stream.accumulator("Year", aggregations).push(movies[0]).push(movies[1]).push(movies[2]).result()	// => byYear
+ */
+dataship.stream.groupby = function groupby(source, groupers, aggregations){
+	var accumulator;
+	try {
+		accumulator = dataship.stream.accumulator(groupers, aggregations);
+	} catch(e){
+		return Promise.reject(e);
+	}
+
+	return eachItem(source, function(item){
+		if(isarray(item)) item.forEach(function(row){ accumulator.push(row); });
+		else accumulator.push(item);
+	}).then(function(){
+		return accumulator.result();
+	});
+}
+
+/* Create an accumulator which groups and summarizes rows as they are pushed to it,
+ *	for when rows arrive a few at a time. Takes the same groupers and aggregations as
+ *	{@link dataship.stream.groupby}.
+ *
+ *	`ds.stream.accumulator(groupers, aggregations)`
+ *
+ *	returns - an object with the following methods
+ *	* `push(row)` - add a row, returns the accumulator
+ *	* `result()` - a frame summarizing the rows pushed so far, with one row per group.
+ *		More rows can still be pushed afterwards.
+ *
+ * @examples
+ * var accumulator = ds.stream.accumulator(ds.frame.groupers.interval("Rating", [8]), {"mean" : ["Rating", ds.reduce.mean]});
+ *
+ * accumulator.push({"Title":"Fight Club", "Rating":8.9}).push({"Title":"The Matrix", "Rating":8.7});
+ * accumulator.result()	// => [{"Rating" : 1, "mean" : 8.8}]
+ *
+ * accumulator.push({"Title":"Stranger Than Fiction", "Rating":7.6});
+ * accumulator.result()	// => [{"Rating" : 1, "mean" : 8.8}, {"Rating" : 0, "mean" : 7.6}]
+ */
+dataship.stream.accumulator = function accumulator(groupers, aggregations){
+	return new Accumulator(isarray(groupers) ? groupers : [groupers], aggregations);
+}
+
+/* running groups for ds.stream.accumulator
+ * @private
+ */
+function Accumulator(groupers, aggregations){
+	this.table = new GroupTable(groupers, aggregations).checkLabels();
+	this.groupers = groupers.map(selectorFunction);
+	this.selects = this.table.specs.map(function(spec){ return selectorFunction(spec.selector); });
+}
+
+Accumulator.prototype.push = function(row){
+	var keys = new Array(this.groupers.length);
+	for(var j = 0; j < this.groupers.length; j++) keys[j] = this.groupers[j](row);
+
+	var group = this.table.group(keys);
+	var specs = this.table.specs;
+	for(j = 0; j < specs.length; j++) group.state[j] = specs[j].aggregator.step(group.state[j], this.selects[j](row));
+
+	return this;
+};
+
+Accumulator.prototype.result = function(){
+	return this.table.rows();
+};
+
+/* groups keyed by a combination of grouper values, with an aggregator state for
+ * each aggregation. Shared by groupby and the stream accumulator.
+ * @private
+ */
+function GroupTable(groupers, aggregations){
+	aggregations = aggregations || {"count" : [null, ds.reduce.count, 0]};
+
+	this.labels = groupers.map(grouperLabel);
+	this.names = Object.keys(aggregations);
+	this.specs = this.names.map(function(name){ return aggregationSpec(name, aggregations[name]); });
+	this.groups = {};
+	this.order = [];
+}
+
+GroupTable.prototype.group = function(keys){
+	// composite key, distinguishes 1 from "1"
+	var id = JSON.stringify(keys);
+	var group = this.groups[id];
+
+	if(group === void(0)){
+		group = this.groups[id] = {"keys" : keys, "state" : []};
+		for(var j = 0; j < this.specs.length; j++) group.state[j] = this.specs[j].aggregator.init(this.specs[j].initial);
+		this.order.push(group);
+	}
+
+	return group;
+};
+
+/* throw if an aggregation would overwrite a key column in the rows
+ */
+GroupTable.prototype.checkLabels = function(){
+	for(var j = 0; j < this.names.length; j++){
+		if(this.labels.indexOf(this.names[j]) !== -1)
+			throw new Error("aggregation '" + this.names[j] + "' has the same name as a grouper, rename one of them");
+	}
+
+	return this;
+};
+
+GroupTable.prototype.rows = function(){
+	var labels = this.labels, names = this.names, specs = this.specs;
+
+	return this.order.map(function(group){
+		var row = {};
+		for(var j = 0; j < labels.length; j++) row[labels[j]] = group.keys[j];
+		for(j = 0; j < names.length; j++) row[names[j]] = specs[j].aggregator.finalize(group.state[j]);
+
+		return row;
+	});
+};
+
+/* call func with each item of an async iterable, iterable or event emitter, in
+ * order, returning a Promise that resolves when they run out
+ * @private
+ */
+function eachItem(source, func){
+	if(source == null) return Promise.reject(new Error("source must be an iterable, async iterable or stream"));
+
+	if(typeof Symbol !== "undefined" && isfunction(source[Symbol.asyncIterator])){
+		var iterator = source[Symbol.asyncIterator]();
+
+		return new Promise(function(resolve, reject){
+			var next = function(){
+				Promise.resolve(iterator.next()).then(function(step){
+					if(step.done) return resolve();
+
+					try {
+						func(step.value);
+					} catch(e){
+						// let the source clean up, the error to report is the one from func
+						if(isfunction(iterator.return)){
+							new Promise(function(done){ done(iterator.return()); }).catch(function(){});
+						}
+						return reject(e);
+					}
+					next();
+				}, reject);
+			};
+			next();
+		});
+	}
+
+	if(typeof Symbol !== "undefined" && isfunction(source[Symbol.iterator])){
+		return new Promise(function(resolve){
+			var iterator = source[Symbol.iterator]();
+			for(var step = iterator.next(); !step.done; step = iterator.next()) func(step.value);
+			resolve();
+		});
+	}
+
+	if(isfunction(source.on)){
+		return new Promise(function(resolve, reject){
+			source.on("data", function(item){
+				try {
+					func(item);
+				} catch(e){
+					reject(e);
+					if(isfunction(source.destroy)) source.destroy();
+				}
+			});
+			source.on("end", resolve);
+			source.on("error", reject);
+		});
+	}
+
+	return Promise.reject(new Error("source must be an iterable, async iterable or stream"));
+}
+
+/* Group and summarize a dataset like the frame form of {@link dataship.frame.groupby},
+ *	splitting the rows across worker threads (`worker_threads` in Node.js, Web Workers
+ *	in browsers) and merging their partial results. The result is the same as
+ *	`ds.frame.groupby`, with groups in the same order; sums of integers match exactly
+ *	and floating point results may differ in the last few digits.
+ *
+ *	Everything has to be sent to the workers, so
+ *	* groupers must be column labels, or groupers from `ds.frame.groupers.interval`,
+ *		`labeler` (with labels, not a function) or `time`, built on a column label
+ *	* aggregations must use column labels (or `null`) as selectors, and reducers
+ *		from `ds.reduce` that can be merged, like `sum`, `count`, `min`, `max`, `mean`,
+ *		`variance`, `std` and their `nan` versions
+ *
+ *	`ds.parallel.groupby(dataset, groupers, aggregations, options)`
+ *
+ *	* dataset - array of javascript objects, or a columnar frame
+ *	* groupers - column label or grouper, or an array of them
+ *	* aggregations - (optional) as in {@link dataship.frame.groupby} (default: a count)
+ *	* options - (optional) an object with
+ *		* workers - the number of workers to use (default: the number of CPUs).
+ *			With one worker, or where workers aren't available, the work is done
+ *			on the current thread.
+ *
+ *	returns - a Promise of the resulting frame
+ *
+ * @examples
+ * var movies = [
+ *     {"Title":"Fight Club",            "Year":1999, "Rating":8.9},
+ *     {"Title":"The Matrix",            "Year":1999, "Rating":8.7},
+ *     {"Title":"Stranger Than Fiction", "Year":2006, "Rating":7.6}
+ * ];
+ *
+ * ds.parallel.groupby(movies, "Year", {"Rating" : ds.reduce.mean}) instanceof Promise	// => true
+ */
+dataship.parallel.groupby = function groupby(dataset, groupers, aggregations, options){
+	if(iscolumnar(dataset)) dataset = dataship.frame.rows(dataset);
+	if(!isframe(dataset)) return Promise.reject(new Error("dataset isn't a valid frame"));
+
+	groupers = isarray(groupers) ? groupers : [groupers];
+	aggregations = aggregations || {"count" : [null, ds.reduce.count, 0]};
+
+	var table, task;
+	try {
+		table = new GroupTable(groupers, aggregations).checkLabels();
+		task = {
+			"kind" : "groupby",
+			"groupers" : groupers.map(grouperSpec),
+			"aggregations" : table.names.map(function(name){ return aggregationTask(name, aggregations[name]); })
+		};
+	} catch(e){
+		return Promise.reject(e);
+	}
+
+	return runParallel(dataset, task, options).then(function(partials){
+		// partials are in row order, so groups keep the order they were first seen in
+		partials.forEach(function(groups){
+			groups.forEach(function(partial){
+				var group = table.group(partial.keys);
+				for(var j = 0; j < table.specs.length; j++){
+					group.state[j] = table.specs[j].aggregator.merge(group.state[j], partial.state[j]);
+				}
+			});
+		});
+
+		return table.rows();
+	});
+}
+
+/* Reduce an array or typed array (a column, say) to a single value, splitting it
+ *	across worker threads and merging their partial results, with the same
+ *	restrictions on reducers as {@link dataship.parallel.groupby}.
+ *
+ *	`ds.parallel.reduce(data, reducer, options)`
+ *
+ *	* data - array, typed array or object of values
+ *	* reducer - a reducer from `ds.reduce` that can be merged, or its name
+ *	* options - (optional) as in {@link dataship.parallel.groupby}
+ *
+ *	returns - a Promise of the result
+ *
+ * @examples
+ * ds.parallel.reduce(new Float64Array([1, 2, 3, 4]), ds.reduce.sum) instanceof Promise	// => true
+ */
+dataship.parallel.reduce = function reduce(data, reducer, options){
+	var name, aggregator;
+	try {
+		name = reducerName(reducer);
+		aggregator = dataship.reduce.aggregator(dataship.reduce[name]);
+	} catch(e){
+		return Promise.reject(e);
+	}
+
+	if(isobject(data)) data = Object.values(data);
+	if(!isarray(data) && !istypedarray(data)) return Promise.reject(new Error("data must be an array or typed array"));
+
+	return runParallel(data, {"kind" : "reduce", "reducer" : name}, options).then(function(partials){
+		var state = partials.reduce(aggregator.merge, aggregator.init());
+
+		return aggregator.finalize(state);
+	});
+}
+
+/* where workers can load this library from: the file in Node.js, or the script in
+ * a browser
+ * @private
+ */
+var LIBRARY_SOURCE = typeof __filename === "string" ? __filename :
+	(typeof document === "object" && document.currentScript) ? document.currentScript.src : null;
+
+/* split data into chunks, run the task on each in a worker and resolve to the
+ * partial results, in the order of the chunks
+ * @private
+ */
+function runParallel(data, task, options){
+	options = options || {};
+	var workers = options.workers != null ? options.workers : availableThreads();
+	workers = Math.max(1, Math.min(workers | 0, data.length));
+
+	var spawn = workerFactory();
+	if(workers === 1 || spawn === null){
+		return new Promise(function(resolve){ resolve([runTask(task, data)]); });
+	}
+
+	var size = Math.ceil(data.length / workers);
+	workers = Math.ceil(data.length / size);
+	var running = [];
+
+	var jobs = range(workers).map(function(i){
+		var chunk = data.slice(i * size, (i + 1) * size);
+
+		return new Promise(function(resolve, reject){
+			var worker = spawn(function(message){
+				if(message.error) reject(new Error(message.error));
+				else resolve(message.result);
+			}, reject);
+			running.push(worker);
+
+			// hand over typed array memory instead of copying it
+			worker.post({"dataship" : task, "data" : chunk}, istypedarray(chunk) ? [chunk.buffer] : []);
+		});
+	});
+
+	var stop = function(){
+		running.forEach(function(worker){ worker.terminate(); });
+	};
+
+	return Promise.all(jobs).then(function(partials){
+		stop();
+		return partials;
+	}, function(error){
+		stop();
+		throw error;
+	});
+}
+
+/* run a task on a chunk of data, giving partial (unfinalized) results
+ * @private
+ */
+function runTask(task, data){
+	if(task.kind === "reduce"){
+		var aggregator = dataship.reduce.aggregator(dataship.reduce[task.reducer]);
+		var state = aggregator.init();
+		for(var i = 0; i < data.length; i++) state = aggregator.step(state, data[i]);
+
+		return state;
+	}
+
+	// partial states start without initial values, those are added when merging
+	var groupers = task.groupers.map(function(spec){
+		return isobject(spec) ? dataship.frame.groupers[spec.grouper].apply(null, spec.arguments) : spec;
+	});
+	var aggregations = {};
+	task.aggregations.forEach(function(aggregation, j){
+		aggregations[j] = [aggregation[0], dataship.reduce[aggregation[1]]];
+	});
+
+	var table = new GroupTable(groupers, aggregations);
+	fillTable(table, data, groupers);
+
+	return table.order;
+}
+
+/* a grouper in a form that can be sent to a worker
+ * @private
+ */
+function grouperSpec(grouper){
+	if(isstring(grouper) || isnumber(grouper)) return grouper;
+	if(isfunction(grouper) && grouper.spec) return grouper.spec;
+
+	throw new Error("grouper can't be sent to a worker, use a column label or a grouper from ds.frame.groupers built on one");
+}
+
+/* an aggregation as a [selector, reducer name] pair that can be sent to a worker
+ * @private
+ */
+function aggregationTask(name, aggregation){
+	var selector = name, reducer = aggregation;
+	if(isarray(aggregation)){
+		selector = aggregation[0];
+		reducer = aggregation[1] || ds.reduce.count;
+	}
+
+	if(selector != null && !isstring(selector) && !isnumber(selector)){
+		throw new Error("aggregation '" + name + "' can't be sent to a worker, select a column by its label");
+	}
+
+	return [selector, reducerName(reducer)];
+}
+
+/* name of a built in, mergeable reducer
+ * @private
+ */
+function reducerName(reducer){
+	var name = isstring(reducer) ? reducer : null;
+	if(name === null){
+		for(var key in dataship.reduce){
+			if(dataship.reduce[key] === reducer) name = key;
+		}
+	}
+
+	var found = name !== null && isfunction(dataship.reduce[name]) && dataship.reduce[name].aggregator;
+	if(!found || !isfunction(found.merge)){
+		throw new Error("reducer can't run in parallel, use a reducer from ds.reduce that can be merged, like sum, count, min, max, mean or variance");
+	}
+
+	return name;
+}
+
+/* number of threads the machine can run at once
+ * @private
+ */
+function availableThreads(){
+	if(typeof navigator === "object" && navigator.hardwareConcurrency) return navigator.hardwareConcurrency;
+	if(typeof require === "function"){
+		try {
+			return require("os").cpus().length;
+		} catch(e){}
+	}
+
+	return 1;
+}
+
+/* name given to browser workers started by runParallel, so only those answer tasks
+ * @private
+ */
+var WORKER_NAME = "dataship";
+
+/* function starting a worker running this library, which calls onmessage with its
+ * replies, or null when workers aren't available
+ * @private
+ */
+function workerFactory(){
+	if(LIBRARY_SOURCE === null) return null;
+
+	if(typeof require === "function" && typeof window === "undefined"){
+		var threads;
+		try {
+			threads = require("worker_threads");
+		} catch(e){
+			return null;
+		}
+
+		return function(onmessage, onerror){
+			var worker = new threads.Worker(LIBRARY_SOURCE, {"workerData" : {"dataship" : true}});
+			worker.on("message", onmessage);
+			worker.on("error", onerror);
+			// a worker that stops before replying would otherwise leave its job pending
+			worker.on("exit", function(code){
+				onerror(new Error(code === 0 ? "worker stopped without replying" : "worker stopped with exit code " + code));
+			});
+
+			return {
+				"post" : function(message, transfer){ worker.postMessage(message, transfer); },
+				"terminate" : function(){ worker.terminate(); }
+			};
+		};
+	}
+
+	if(typeof Worker === "function"){
+		return function(onmessage, onerror){
+			var worker = new Worker(LIBRARY_SOURCE, {"name" : WORKER_NAME});
+			worker.onmessage = function(event){ onmessage(event.data); };
+			worker.onerror = function(event){ onerror(new Error(event.message)); };
+
+			return {
+				"post" : function(message, transfer){ worker.postMessage(message, transfer); },
+				"terminate" : function(){ worker.terminate(); }
+			};
+		};
+	}
+
+	return null;
+}
+
+/* answer tasks when loaded in a worker started by runParallel
+ * @private
+ */
+function serveTasks(){
+	var reply = function(post, message){
+		try {
+			post({"result" : runTask(message.dataship, message.data)});
+		} catch(e){
+			post({"error" : e.message});
+		}
+	};
+
+	if(typeof require === "function" && typeof window === "undefined"){
+		var threads;
+		try {
+			threads = require("worker_threads");
+		} catch(e){
+			return;
+		}
+
+		if(threads.isMainThread || !threads.workerData || !threads.workerData.dataship) return;
+
+		threads.parentPort.on("message", function(message){
+			reply(function(result){ threads.parentPort.postMessage(result); }, message);
+		});
+	} else if(typeof importScripts === "function" && typeof self === "object"){
+		if(self.name !== WORKER_NAME) return;
+
+		self.addEventListener("message", function(event){
+			if(event.data && event.data.dataship) reply(function(result){ self.postMessage(result); }, event.data);
+		});
+	}
+}
+
+serveTasks();
+
+/* turn a column label into a function selecting that column from a row
+ * @private
+ */
+function selectorFunction(selector){
+	if(isfunction(selector)) return selector;
+	if(!isstring(selector) && !isnumber(selector)) throw new Error("selector must be a string or function");
+
+	var field = selector;
+	var result = function(row){ return row[field]; };
+	result.label = field;
+
+	return result;
+}
+
+/* find a name to use for the column a grouper or selector produces
+ * @private
+ */
+function grouperLabel(grouper, i){
+	if(isstring(grouper)) return grouper;
+
+	return grouper.label || grouper.name || "key" + i;
+}
+
+/* Summarize a dataset as a wide table (a cross-tabulation), with a row for each
+ *	value of one key and a column for each value of another.
+ *
+ *	`ds.frame.pivot(dataset, rowKey, columnKey, selector, reducer, initial)`
+ *
+ *	* dataset - array of javascript objects, one per row, or a columnar frame
+ *	* rowKey - the label of the column, or a grouper function, whose values become rows
+ *	* columnKey - the label of the column, or a grouper function, whose values become columns
+ *	* selector, reducer, initial - what to compute for each cell, as in
+ *		{@link dataship.frame.groupby} (default: a count)
+ *
+ *	returns - a frame with a column named after `rowKey` and one column per value
+ *		of `columnKey`. Cells with no rows are `null`. A value of `columnKey` that
+ *		is the same as the label of `rowKey` throws an error, since its column
+ *		would replace the row keys.
+ *
+ * @examples
+ * var movies = [
+ *     {"Title":"Fight Club",            "Year":1999, "Genre":"Drama",  "Rating":8.9},
+ *     {"Title":"The Matrix",            "Year":1999, "Genre":"Action", "Rating":8.7},
+ *     {"Title":"Stranger Than Fiction", "Year":2006, "Genre":"Drama",  "Rating":7.6}
+ * ];
+ *
+ * var ratings = [
+ *     {"Year":1999, "Drama":8.9, "Action":8.7},
+ *     {"Year":2006, "Drama":7.6, "Action":null}
+ * ];
+ *
+ * ds.frame.pivot(movies, "Year", "Genre", "Rating", ds.reduce.mean)	// => ratings
+ *
+ * var counts = [
+ *     {"Genre":"Drama",  "1999":1, "2006":1},
+ *     {"Genre":"Action", "1999":1, "2006":null}
+ * ];
+ *
+ * ds.frame.pivot(movies, "Genre", "Year")	// => counts
+ * ds.frame.pivot([{"Year":1999, "value":"x"}], "Year", "value")	// => [{"Year":1999, "x":1}]
+ */
+dataship.frame.pivot = function pivot(dataset, rowKey, columnKey, selector, reducer, initial){
+	if(iscolumnar(dataset)) dataset = dataship.frame.rows(dataset);
+	if(!isframe(dataset)) throw new Error("dataset isn't a valid frame");
+
+	// default reducer is a count
+	if(reducer == null){
+		reducer = ds.reduce.count;
+		initial = 0;
+	}
+
+	// read the groups by position, so no column label can collide with another
+	var table = new GroupTable([rowKey, columnKey], {"value" : [selector, reducer, initial]});
+	fillTable(table, dataset, [rowKey, columnKey]);
+
+	var aggregator = table.specs[0].aggregator;
+	var rowLabel = grouperLabel(rowKey, 0);
+
+	// find the columns, in the order they first appear
+	var columns = [], seen = {};
+	var i, j, id, row, column, group;
+	for(i = 0; i < table.order.length; i++){
+		column = table.order[i].keys[1];
+		if(column in seen) continue;
+		seen[column] = true;
+		columns.push(column);
+
+		if(String(column) === String(rowLabel))
+			throw new Error("column value \"" + column + "\" is the same as the row key label, rename one of them");
+	}
+
+	var rows = {}, result = [];
+	for(i = 0; i < table.order.length; i++){
+		group = table.order[i];
+		id = JSON.stringify(group.keys[0]);
+		row = rows[id];
+		if(row === void(0)){
+			row = rows[id] = {};
+			row[rowLabel] = group.keys[0];
+			for(j = 0; j < columns.length; j++) row[columns[j]] = null;
+			result.push(row);
+		}
+		row[group.keys[1]] = aggregator.finalize(group.state[0]);
+	}
+
+	return result;
+}
+
+/* Unpivot a wide dataset into a long one, with one row for each value column
+ *	of each row. The inverse of {@link dataship.frame.pivot}.
+ *
+ *	`ds.frame.melt(dataset, idColumns, valueColumns, labels)`
+ *
+ *	* dataset - array of javascript objects, one per row, or a columnar frame
+ *	* idColumns - label, or array of labels, of the columns to copy into every output row
+ *	* valueColumns - (optional) array of labels of the columns to unpivot
+ *		(default: every column not in `idColumns`)
+ *	* labels - (optional) an array of two strings to use as the labels for the
+ *		variable and value columns (default: `["variable", "value"]`)
+ *
+ * @examples
+ * var ratings = [
+ *     {"Year":1999, "Drama":8.9, "Action":8.7},
+ *     {"Year":2006, "Drama":7.6, "Action":null}
+ * ];
+ *
+ * var long = [
+ *     {"Year":1999, "variable":"Drama",  "value":8.9},
+ *     {"Year":1999, "variable":"Action", "value":8.7},
+ *     {"Year":2006, "variable":"Drama",  "value":7.6},
+ *     {"Year":2006, "variable":"Action", "value":null}
+ * ];
+ *
+ * ds.frame.melt(ratings, "Year")	// => long
+ * ds.frame.melt(ds.frame.columnar(ratings), "Year")	// => long
+ *
+ * var dramas = [
+ *     {"Year":1999, "Genre":"Drama", "Rating":8.9},
+ *     {"Year":2006, "Genre":"Drama", "Rating":7.6}
+ * ];
+ *
+ * ds.frame.melt(ratings, ["Year"], ["Drama"], ["Genre", "Rating"])	// => dramas
+ */
+dataship.frame.melt = function melt(dataset, idColumns, valueColumns, labels){
+	if(iscolumnar(dataset)) dataset = dataship.frame.rows(dataset);
+	if(!isframe(dataset)) throw new Error("dataset isn't a valid frame");
+
+	idColumns = idColumns == null ? [] : isarray(idColumns) ? idColumns : [idColumns];
+	labels = labels || ["variable", "value"];
+
+	if(valueColumns == null){
+		var isId = {};
+		idColumns.forEach(function(label){ isId[label] = true; });
+		valueColumns = dataship.frame.labels(dataset).filter(function(label){ return !isId[label]; });
+	}
+
+	var result = [];
+	var row, out, i, j, k;
+	for(i = 0; i < dataset.length; i++){
+		row = dataset[i];
+		for(j = 0; j < valueColumns.length; j++){
+			out = {};
+			for(k = 0; k < idColumns.length; k++) out[idColumns[k]] = row[idColumns[k]];
+			out[labels[0]] = valueColumns[j];
+			out[labels[1]] = row[valueColumns[j]];
+			result.push(out);
+		}
+	}
+
+	return result;
+}
+
+/* Summarize the numeric columns of a dataset, with a row of statistics for each.
+ *	Missing values (`null`, `undefined` and `NaN`) are left out of the statistics.
+ *
+ *	`ds.frame.describe(dataset, columns)`
+ *
+ *	* dataset - array of javascript objects, or a columnar frame
+ *	* columns - (optional) array of column labels to summarize (default: every
+ *		column whose values are all numbers)
+ *
+ *	returns - a frame with the columns "column", "count", "mean", "std", "min", "25%",
+ *		"50%", "75%" and "max"
+ *
+ * @examples
+ * var movies = [
+ *     {"Title":"Fight Club",            "Year":1999, "Rating":8},
+ *     {"Title":"The Matrix",            "Year":1999, "Rating":null},
+ *     {"Title":"Stranger Than Fiction", "Year":2005, "Rating":6}
+ * ];
+ *
+ * var summary = [
+ *     {"column":"Year",   "count":3, "mean":2001, "std":Math.sqrt(12), "min":1999, "25%":1999, "50%":1999, "75%":2002, "max":2005},
+ *     {"column":"Rating", "count":2, "mean":7,    "std":Math.SQRT2,    "min":6,    "25%":6.5,  "50%":7,    "75%":7.5,  "max":8}
+ * ];
+ *
+ * ds.frame.describe(movies)	// => summary
+ */
+dataship.frame.describe = function describe(dataset, columns){
+	if(!isframe(dataset) && !iscolumnar(dataset)) throw new Error("dataset isn't a valid frame");
+
+	columns = columns || numericLabels(dataset);
+
+	return columns.map(function(label){
+		var values = Array.prototype.filter.call(dataship.frame.column(dataset, label), function(val){ return !ismissing(val); });
+		var quartiles = dataship.num.quantile(values, [0, 0.25, 0.5, 0.75, 1]);
+
+		return {
+			"column" : label,
+			"count" : values.length,
+			"mean" : values.length ? dataship.num.mean(values) : NaN,
+			"std" : dataship.num.std(values),
+			"min" : quartiles[0],
+			"25%" : quartiles[1],
+			"50%" : quartiles[2],
+			"75%" : quartiles[3],
+			"max" : quartiles[4]
+		};
+	});
+}
+
+/* Apply a function to the values of a column within each group of a dataset,
+ *	returning an array of the results aligned with the rows of the dataset. Use
+ *	this for grouped versions of `ds.num.cumsum`, `ds.num.diff`, `ds.num.shift`,
+ *	etc. which restart in each group.
+ *
+ *	`ds.frame.transform(dataset, grouper, selector, func)`
+ *
+ *	* dataset - array of javascript objects, or a columnar frame
+ *	* grouper - column label or function, or an array of them
+ *	* selector - column label or function selecting the values
+ *	* func - function taking the array of a group's values (in row order) and
+ *		returning an array of the same length
+ *
+ * @examples
+ * var sales = [
+ *     {"Region" : "East", "Sales" : 10},
+ *     {"Region" : "West", "Sales" : 5},
+ *     {"Region" : "East", "Sales" : 20},
+ *     {"Region" : "West", "Sales" : 15}
+ * ];
+ *
+ * ds.frame.transform(sales, "Region", "Sales", ds.num.cumsum)	// => [10, 5, 30, 20]
+ * ds.frame.transform(sales, "Region", "Sales", ds.num.diff)	// => [null, null, 10, 10]
+ * ds.frame.transform(sales, "Region", "Sales", function(v){ return ds.num.divide(v, ds.num.sum(v)); })	// => [1/3, 0.25, 2/3, 0.75]
+ */
+dataship.frame.transform = function transform(dataset, grouper, selector, func){
+	if(!isframe(dataset) && !iscolumnar(dataset)) throw new Error("dataset isn't a valid frame");
+
+	var groupers = (isarray(grouper) ? grouper : [grouper]).map(function(g){ return accessor(dataset, g); });
+	var select = accessor(dataset, selector);
+
+	var groups = {}, order = [];
+	var keys, id, i, j;
+	for(i = 0; i < dataset.length; i++){
+		keys = new Array(groupers.length);
+		for(j = 0; j < groupers.length; j++) keys[j] = groupers[j](i);
+
+		id = JSON.stringify(keys);
+		if(!(id in groups)){
+			groups[id] = {"rows" : [], "values" : []};
+			order.push(groups[id]);
+		}
+		groups[id].rows.push(i);
+		groups[id].values.push(select(i));
+	}
+
+	var result = new Array(dataset.length);
+	order.forEach(function(group){
+		var values = func(group.values);
+		if(!values || values.length !== group.rows.length) throw new Error("func must return an array with a value for each row of the group");
+
+		for(var k = 0; k < group.rows.length; k++) result[group.rows[k]] = values[k];
+	});
+
+	return result;
+}
+
+/* Drop the rows of a dataset with missing values (`null`, `undefined` or `NaN`).
+ *
+ *	`ds.frame.dropna(dataset, columns, how)`
+ *
+ *	* dataset - array of javascript objects, or a columnar frame
+ *	* columns - (optional) labels of the columns to check (default: all of them)
+ *	* how - (optional) `"any"` drops rows missing any of the columns, `"all"` only
+ *		rows missing all of them (default: `"any"`)
+ *
+ * @examples
+ * var rows = [
+ *     {"Title" : "Fight Club", "Rating" : 8.9, "Gross" : 37023395},
+ *     {"Title" : "The Matrix", "Rating" : null, "Gross" : 171383253},
+ *     {"Title" : "Stranger Than Fiction", "Rating" : NaN}
+ * ];
+ *
+ * ds.frame.dropna(rows).length	// => 1
+ * ds.frame.dropna(rows, ["Gross"]).length	// => 2
+ * ds.frame.dropna(rows, ["Rating", "Gross"], "all").length	// => 2
+ */
+dataship.frame.dropna = function dropna(dataset, columns, how){
+	if(iscolumnar(dataset)) dataset = dataship.frame.rows(dataset);
+	if(!isframe(dataset)) throw new Error("dataset isn't a valid frame");
+
+	columns = columns == null ? allLabels(dataset) : (isarray(columns) ? columns : [columns]);
+	how = how || "any";
+	if(how !== "any" && how !== "all") throw new Error("how must be \"any\" or \"all\"");
+
+	return dataset.filter(function(row){
+		var missing = columns.filter(function(column){ return ismissing(row[column]); }).length;
+
+		return how === "any" ? missing === 0 : missing < columns.length;
+	});
+}
+
+/* Fill in missing values (`null`, `undefined` or `NaN`) in a dataset, returns a
+ *	copy.
+ *
+ *	`ds.frame.fillna(dataset, value, options)`
+ *
+ *	* dataset - array of javascript objects, or a columnar frame
+ *	* value - value to fill in, or an object mapping column labels to values
+ *	* options - (optional) an object with any of the following
+ *		* method - fill from the data instead of `value`: `"ffill"` uses the last
+ *			value before in the column, `"bfill"` the next value after and `"mean"`
+ *			the mean of the column
+ *		* columns - labels of the columns to fill (default: all of them)
+ *		* grouper - column label or function; fill from within each group only,
+ *			e.g. with the group's mean
+ *
+ * @examples
+ * var readings = [
+ *     {"Station" : "A", "Temp" : 10},
+ *     {"Station" : "B", "Temp" : 20},
+ *     {"Station" : "A", "Temp" : null},
+ *     {"Station" : "B", "Temp" : NaN},
+ *     {"Station" : "A", "Temp" : 14}
+ * ];
+ *
+ * ds.frame.column(ds.frame.fillna(readings, 0), "Temp")	// => [10, 20, 0, 0, 14]
+ * ds.frame.column(ds.frame.fillna(readings, null, {"method" : "ffill"}), "Temp")	// => [10, 20, 20, 20, 14]
+ * ds.frame.column(ds.frame.fillna(readings, null, {"method" : "bfill"}), "Temp")	// => [10, 20, 14, 14, 14]
+ * ds.frame.column(ds.frame.fillna(readings, null, {"method" : "mean", "grouper" : "Station"}), "Temp")	// => [10, 20, 12, 20, 14]
+ * readings[2].Temp	// => null
+ */
+dataship.frame.fillna = function fillna(dataset, value, options){
+	if(iscolumnar(dataset)) dataset = dataship.frame.rows(dataset);
+	if(!isframe(dataset)) throw new Error("dataset isn't a valid frame");
+
+	options = options || {};
+	var method = options.method;
+	if(method != null && ["ffill", "bfill", "mean"].indexOf(method) === -1) throw new Error("method must be \"ffill\", \"bfill\" or \"mean\"");
+
+	var columns = options.columns == null ? allLabels(dataset) : (isarray(options.columns) ? options.columns : [options.columns]);
+	var group = options.grouper == null ? function(){ return ""; } : accessor(dataset, options.grouper);
+
+	var result = dataset.map(function(row){ return Object.assign({}, row); });
+
+	columns.forEach(function(column){
+		if(method == null){
+			var fill = isobject(value) ? value[column] : value;
+			if(isobject(value) && !(column in value)) return;
+
+			result.forEach(function(row){
+				if(ismissing(row[column])) row[column] = fill;
+			});
+			return;
+		}
+
+		// positions of the rows in each group
+		var groups = {}, id, i;
+		for(i = 0; i < result.length; i++){
+			id = group(i);
+			(groups[id] = groups[id] || []).push(i);
+		}
+
+		Object.keys(groups).forEach(function(id){
+			var rows = groups[id].map(function(i){ return result[i]; });
+			var fill, k;
+
+			if(method === "mean"){
+				fill = dataship.num.nanmean(rows.map(function(row){ return row[column]; }));
+				rows.forEach(function(row){
+					if(ismissing(row[column])) row[column] = fill;
+				});
+			} else if(method === "ffill"){
+				for(k = 1; k < rows.length; k++){
+					if(ismissing(rows[k][column]) && !ismissing(rows[k - 1][column])) rows[k][column] = rows[k - 1][column];
+				}
+			} else {
+				for(k = rows.length - 2; k >= 0; k--){
+					if(ismissing(rows[k][column]) && !ismissing(rows[k + 1][column])) rows[k][column] = rows[k + 1][column];
+				}
+			}
+		});
+	});
+
+	return result;
+}
+
+/* Count the missing values (`null`, `undefined` or `NaN`) in each column of a
+ *	dataset. Rows without a column count as missing it.
+ *
+ *	`ds.frame.isna(dataset)`
+ *
+ *	* dataset - array of javascript objects, or a columnar frame
+ *
+ * @examples
+ * var rows = [
+ *     {"Title" : "Fight Club", "Rating" : 8.9},
+ *     {"Title" : "The Matrix", "Rating" : null},
+ *     {"Title" : "Stranger Than Fiction", "Rating" : NaN, "Gross" : 40137776}
+ * ];
+ *
+ * ds.frame.isna(rows)	// => {"Title" : 0, "Rating" : 2, "Gross" : 2}
+ * ds.frame.isna(ds.frame.columnar({"Rating" : [8.9, null]}))	// => {"Rating" : 1}
+ */
+dataship.frame.isna = function isna(dataset){
+	if(iscolumnar(dataset)) dataset = dataship.frame.rows(dataset);
+	if(!isframe(dataset)) throw new Error("dataset isn't a valid frame");
+
+	var result = {};
+	allLabels(dataset).forEach(function(column){
+		result[column] = dataset.filter(function(row){ return ismissing(row[column]); }).length;
+	});
+
+	return result;
+}
+
+/* labels of every column found in any row, in the order first seen
+ * @private
+ */
+function allLabels(dataset){
+	var seen = {}, result = [];
+	for(var i = 0; i < dataset.length; i++){
+		for(var key in dataset[i]){
+			if(!(key in seen)){
+				seen[key] = true;
+				result.push(key);
+			}
+		}
+	}
+
+	return result;
+}
+
+/* Sort the rows of a dataset by one or more columns, returns a sorted copy (the
+ *	rows themselves aren't copied). The sort is stable, so rows that compare equal
+ *	keep their order, and strings are compared with `Intl.Collator` so that accents
+ *	and case sort the way readers expect.
+ *
+ *	`ds.frame.sortBy(dataset, by, options)`
+ *
+ *	* dataset - array of javascript objects, or a columnar frame
+ *	* by - a column label or selector function, an object describing how to sort
+ *		on a column, or an array of them (later ones break ties in earlier ones).
+ *		The objects have the following fields
+ *		* column - column label or selector function
+ *		* order - `"asc"` or `"desc"` (default: `"asc"`)
+ *		* nulls - where missing values (`null`, `undefined` or `NaN`) go,
+ *			`"first"` or `"last"` (default: `"last"`, whatever the order)
+ *		* comparator - `function(a, b)` comparing two values, returning a negative
+ *			number, zero or a positive number, used instead of the default ordering
+ *	* options - (optional) an object with any of the following
+ *		* locale - locale (or array of them) for comparing strings, as in `Intl.Collator`
+ *			(default: the runtime's locale)
+ *		* collation - other `Intl.Collator` options, e.g. `{"numeric" : true}`
+ *
+ * @examples
+ * var movies = [
+ *     {"Title":"Fight Club",            "Year":1999, "Rating":8.9},
+ *     {"Title":"Stranger Than Fiction", "Year":2006, "Rating":7.6},
+ *     {"Title":"The Matrix",            "Year":1999, "Rating":8.7},
+ *     {"Title":"Memento",               "Year":2000, "Rating":null}
+ * ];
+ *
+ * ds.frame.column(ds.frame.sortBy(movies, [{"column" : "Year"}, {"column" : "Rating", "order" : "desc"}]), "Title")	// => ["Fight Club", "The Matrix", "Memento", "Stranger Than Fiction"]
+ * ds.frame.column(ds.frame.sortBy(movies, "Rating"), "Rating")	// => [7.6, 8.7, 8.9, null]
+ * ds.frame.column(ds.frame.sortBy(movies, {"column" : "Rating", "nulls" : "first"}), "Rating")	// => [null, 7.6, 8.7, 8.9]
+ * ds.frame.column(ds.frame.sortBy(movies, {"column" : "Title", "comparator" : function(a, b){ return a.length - b.length; }}), "Title")	// => ["Memento", "Fight Club", "The Matrix", "Stranger Than Fiction"]
+ *
+ * var names = [{"name" : "eve"}, {"name" : "Émile"}, {"name" : "Zoe"}, {"name" : "adam"}];
+ *
+ * ds.frame.column(ds.frame.sortBy(names, "name", {"locale" : "fr"}), "name")	// => ["adam", "Émile", "eve", "Zoe"]
+ * ds.frame.column(ds.frame.sortBy([{"v" : "item10"}, {"v" : "item9"}], "v", {"collation" : {"numeric" : true}}), "v")	// => ["item9", "item10"]
+ */
+dataship.frame.sortBy = function sortBy(dataset, by, options){
+	var rows = sortableRows(dataset);
+	var compare = rowComparator(by, options, false);
+
+	return decorate(rows, compare.keys).sort(compare).map(function(item){ return item.row; });
+}
+
+/* Find the `k` rows with the largest values, without sorting the whole dataset.
+ *	Returns them largest first, as `ds.frame.sortBy` would with every order
+ *	reversed (missing values still go last).
+ *
+ *	`ds.frame.top(dataset, k, by, options)`
+ *
+ *	* dataset - array of javascript objects, or a columnar frame
+ *	* k - the number of rows to return
+ *	* by - the columns to rank by, as in {@link dataship.frame.sortBy}
+ *	* options - (optional) as in {@link dataship.frame.sortBy}
+ *
+ * @examples
+ * var movies = [
+ *     {"Title":"Fight Club",            "Year":1999, "Rating":8.9},
+ *     {"Title":"Stranger Than Fiction", "Year":2006, "Rating":7.6},
+ *     {"Title":"The Matrix",            "Year":1999, "Rating":8.7},
+ *     {"Title":"Memento",               "Year":2000, "Rating":null}
+ * ];
+ *
+ * ds.frame.top(movies, 2, "Rating")	// => [movies[0], movies[2]]
+ * ds.frame.top(movies, 3, ["Year", "Rating"])	// => [movies[1], movies[3], movies[0]]
+ * ds.frame.top(movies, 10, "Year").length	// => 4
+ */
+dataship.frame.top = function top(dataset, k, by, options){
+	return selectRows(sortableRows(dataset), k, rowComparator(by, options, true));
+}
+
+/* Find the `k` rows with the smallest values, without sorting the whole dataset.
+ *	Returns the same rows as the first `k` of `ds.frame.sortBy`, in that order.
+ *
+ *	`ds.frame.bottom(dataset, k, by, options)`
+ *
+ * @examples
+ * var movies = [
+ *     {"Title":"Fight Club",            "Year":1999, "Rating":8.9},
+ *     {"Title":"Stranger Than Fiction", "Year":2006, "Rating":7.6},
+ *     {"Title":"The Matrix",            "Year":1999, "Rating":8.7},
+ *     {"Title":"Memento",               "Year":2000, "Rating":null}
+ * ];
+ *
+ * ds.frame.bottom(movies, 2, "Rating")	// => [movies[1], movies[2]]
+ * ds.frame.bottom(movies, 1, "Year")	// => [movies[0]]
+ */
+dataship.frame.bottom = function bottom(dataset, k, by, options){
+	return selectRows(sortableRows(dataset), k, rowComparator(by, options, false));
+}
+
+function sortableRows(dataset){
+	if(iscolumnar(dataset)) return dataship.frame.rows(dataset);
+	if(!isframe(dataset)) throw new Error("dataset isn't a valid frame");
+
+	return dataset;
+}
+
+/* pair each row with its sort key values and position
+ * @private
+ */
+function decorate(rows, keys){
+	return rows.map(function(row, i){
+		return {"row" : row, "index" : i, "values" : keys.map(function(key){ return key(row); })};
+	});
+}
+
+/* comparator of decorated rows for a sortBy specification, ties are broken by
+ * position so sorts are stable
+ * @private
+ */
+function rowComparator(by, options, reverse){
+	if(by == null) throw new Error("by must be a column, selector or an array of them");
+
+	options = options || {};
+	var collator = new Intl.Collator(options.locale, options.collation);
+
+	var specs = (isarray(by) ? by : [by]).map(function(spec){
+		if(!isobject(spec)) spec = {"column" : spec};
+
+		var order = spec.order || "asc";
+		if(order !== "asc" && order !== "desc") throw new Error("order must be \"asc\" or \"desc\"");
+		var nulls = spec.nulls || "last";
+		if(nulls !== "first" && nulls !== "last") throw new Error("nulls must be \"first\" or \"last\"");
+		if(spec.comparator != null && !isfunction(spec.comparator)) throw new Error("comparator must be a function");
+
+		return {
+			"key" : selectorFunction(spec.column),
+			"sign" : (order === "desc") !== !!reverse ? -1 : 1,
+			"nulls" : nulls === "first" ? -1 : 1,
+			"compare" : spec.comparator || function(a, b){
+				if(isstring(a) && isstring(b)) return collator.compare(a, b);
+
+				return a < b ? -1 : (b < a ? 1 : 0);
+			}
+		};
+	});
+
+	var compare = function(a, b){
+		var spec, x, y, result;
+		for(var i = 0; i < specs.length; i++){
+			spec = specs[i];
+			x = a.values[i];
+			y = b.values[i];
+
+			if(ismissing(x) || ismissing(y)){
+				if(ismissing(x) && ismissing(y)) continue;
+				return ismissing(x) ? spec.nulls : -spec.nulls;
+			}
+
+			result = spec.compare(x, y);
+			if(result) return spec.sign * result;
+		}
+
+		return a.index - b.index;
+	};
+	compare.keys = specs.map(function(spec){ return spec.key; });
+
+	return compare;
+}
+
+/* the first k rows in the order of compare, keeping a heap of the best k seen so
+ * far with the worst of them on top
+ * @private
+ */
+function selectRows(rows, k, compare){
+	if(!isinteger(k) || k < 0) throw new Error("k must be a non-negative integer");
+
+	var heap = [];
+	var item, i, parent, child, swap;
+
+	for(i = 0; i < rows.length; i++){
+		item = decorate([rows[i]], compare.keys)[0];
+		item.index = i;
+
+		if(heap.length < k){
+			// sift up
+			heap.push(item);
+			child = heap.length - 1;
+			while(child > 0){
+				parent = (child - 1) >> 1;
+				if(compare(heap[child], heap[parent]) <= 0) break;
+				swap = heap[child]; heap[child] = heap[parent]; heap[parent] = swap;
+				child = parent;
+			}
+		} else if(k > 0 && compare(item, heap[0]) < 0){
+			// replace the worst and sift down
+			heap[0] = item;
+			parent = 0;
+			while(true){
+				child = 2 * parent + 1;
+				if(child >= heap.length) break;
+				if(child + 1 < heap.length && compare(heap[child + 1], heap[child]) > 0) child++;
+				if(compare(heap[child], heap[parent]) <= 0) break;
+				swap = heap[child]; heap[child] = heap[parent]; heap[parent] = swap;
+				parent = child;
+			}
+		}
+	}
+
+	return heap.sort(compare).map(function(item){ return item.row; });
+}
+
+/* Infer the schema of a dataset: the type of each column, whether it has missing
+ *	values and how many distinct values it has. Unlike `ds.frame.labels`, every row
+ *	is checked, so ragged rows and mixed types show up here.
+ *
+ *	`ds.frame.schema(dataset)`
+ *
+ *	* dataset - array of javascript objects, or a columnar frame
+ *
+ *	returns - an object mapping each column label to an object with
+ *		* type - the name {@link type} gives the column's values, `"float"` for a mix
+ *			of integers and floats, `"mixed"` for other mixtures and `"null"` when
+ *			there are no values
+ *		* nullable - whether any row has a missing value (`null`, `undefined`, `NaN`
+ *			or no such column)
+ *		* cardinality - the number of distinct values
+ *		* types - the number of values of each type
+ *
+ * @examples
+ * var rows = [
+ *     {"Title" : "Fight Club", "Year" : 1999, "Rating" : 8.9},
+ *     {"Title" : "The Matrix", "Year" : 1999, "Rating" : 9},
+ *     {"Title" : "Memento", "Year" : "2000"}
+ * ];
+ *
+ * var result = {
+ *     "Title" : {"type" : "string", "nullable" : false, "cardinality" : 3, "types" : {"string" : 3}},
+ *     "Year" : {"type" : "mixed", "nullable" : false, "cardinality" : 2, "types" : {"integer" : 2, "string" : 1}},
+ *     "Rating" : {"type" : "float", "nullable" : true, "cardinality" : 2, "types" : {"float" : 1, "integer" : 1}}
+ * };
+ *
+ * ds.frame.schema(rows)	// => result
+ */
+dataship.frame.schema = function schema(dataset){
+	if(iscolumnar(dataset)) dataset = dataship.frame.rows(dataset);
+	if(!isframe(dataset)) throw new Error("dataset isn't a valid frame");
+
+	var result = {};
+	allLabels(dataset).forEach(function(column){
+		var types = {}, distinct = {}, nullable = false;
+		var val, name;
+
+		for(var i = 0; i < dataset.length; i++){
+			val = dataset[i][column];
+			if(ismissing(val)){
+				nullable = true;
+				continue;
+			}
+
+			name = type(val);
+			types[name] = (types[name] || 0) + 1;
+			distinct[name + ":" + (isdate(val) ? val.getTime() : isobject(val) || isarray(val) ? JSON.stringify(val) : val)] = true;
+		}
+
+		var names = Object.keys(types);
+		var columnType = names.length === 0 ? "null" : names.length === 1 ? names[0] : "mixed";
+		if(names.length === 2 && "integer" in types && "float" in types) columnType = "float";
+
+		result[column] = {
+			"type" : columnType,
+			"nullable" : nullable,
+			"cardinality" : Object.keys(distinct).length,
+			"types" : types
+		};
+	});
+
+	return result;
+}
+
+/* Check a dataset against a schema, reporting every value that doesn't fit.
+ *
+ *	`ds.frame.validate(dataset, schema, options)`
+ *
+ *	* dataset - array of javascript objects
+ *	* schema - an object mapping column labels to a type name (as given by
+ *		{@link type}, or `"number"` for integers and floats), or to an object with
+ *		`type` and `nullable` like the ones {@link dataship.frame.schema} returns.
+ *		Integers fit a `"float"` column, and `"mixed"` or `"null"` accept anything.
+ *	* options - (optional) an object with any of the following
+ *		* coerce - convert values to the schema's type where possible: numeric
+ *			strings to numbers, ISO-8601 strings to dates, `"true"`/`"false"` to
+ *			booleans and numbers to strings (default: `false`)
+ *		* strict - report columns which aren't in the schema (default: `false`)
+ *
+ *	returns - an object with
+ *		* valid - whether there were no errors
+ *		* errors - an array of `{row, column, expected, actual, value}` for each bad
+ *			value, where `expected` and `actual` are type names (`"null"` for a
+ *			missing value, `"none"` for a column the schema doesn't have)
+ *		* dataset - the dataset, or a copy with the coerced values when `coerce` is set
+ *
+ * @examples
+ * var rows = [
+ *     {"Title" : "Fight Club", "Year" : 1999},
+ *     {"Title" : "The Matrix", "Year" : "1999"},
+ *     {"Title" : null, "Year" : 2006.5}
+ * ];
+ *
+ * var schema = {"Title" : {"type" : "string", "nullable" : false}, "Year" : "integer"};
+ *
+ * var errors = [
+ *     {"row" : 1, "column" : "Year", "expected" : "integer", "actual" : "string", "value" : "1999"},
+ *     {"row" : 2, "column" : "Title", "expected" : "string", "actual" : "null", "value" : null},
+ *     {"row" : 2, "column" : "Year", "expected" : "integer", "actual" : "float", "value" : 2006.5}
+ * ];
+ *
+ * ds.frame.validate(rows, schema).errors	// => errors
+ * ds.frame.validate(rows, schema, {"coerce" : true}).errors.length	// => 2
+ * ds.frame.validate(rows, schema, {"coerce" : true}).dataset[1].Year	// => 1999
+ * ds.frame.validate(rows, {"Title" : "string"}, {"strict" : true}).errors[0]	// => {"row" : 0, "column" : "Year", "expected" : "none", "actual" : "integer", "value" : 1999}
+ * ds.frame.validate(rows, ds.frame.schema(rows)).valid	// => true
+ * ds.frame.validate([{"When" : "2006-04-01"}], {"When" : "date"}, {"coerce" : true}).dataset[0].When	// => new Date("2006-04-01")
+ */
+dataship.frame.validate = function validate(dataset, schema, options){
+	if(!isframe(dataset)) throw new Error("dataset isn't a valid frame");
+	if(!isobject(schema)) throw new Error("schema must be an object mapping column labels to types");
+
+	options = options || {};
+
+	var columns = Object.keys(schema);
+	var specs = columns.map(function(column){
+		var spec = isstring(schema[column]) ? {"type" : schema[column]} : schema[column];
+		if(!isobject(spec) || !isstring(spec.type)) throw new Error("schema for column '" + column + "' must be a type name or an object with a type");
+
+		return {"type" : spec.type, "nullable" : spec.nullable !== false};
+	});
+
+	var errors = [];
+	var result = options.coerce ? dataset.map(function(row){ return Object.assign({}, row); }) : dataset;
+
+	result.forEach(function(row, i){
+		var val, spec, actual;
+
+		for(var j = 0; j < columns.length; j++){
+			spec = specs[j];
+			val = row[columns[j]];
+
+			if(ismissing(val)){
+				if(!spec.nullable) errors.push({"row" : i, "column" : columns[j], "expected" : spec.type, "actual" : "null", "value" : val === void(0) ? null : val});
+				continue;
+			}
+
+			if(options.coerce && !fitsType(type(val), spec.type)){
+				val = coerceValue(val, spec.type);
+				row[columns[j]] = val;
+			}
+
+			actual = type(val);
+			if(!fitsType(actual, spec.type)) errors.push({"row" : i, "column" : columns[j], "expected" : spec.type, "actual" : actual, "value" : val});
+		}
+
+		if(options.strict){
+			for(var key in row){
+				if(!(key in schema)) errors.push({"row" : i, "column" : key, "expected" : "none", "actual" : type(row[key]), "value" : row[key]});
+			}
+		}
+	});
+
+	return {"valid" : errors.length === 0, "errors" : errors, "dataset" : result};
+}
+
+function fitsType(actual, expected){
+	if(actual === expected || expected === "mixed" || expected === "null") return true;
+
+	if(actual === "integer") return expected === "float" || expected === "number";
+	if(actual === "float") return expected === "number";
+
+	return false;
+}
+
+/* convert a value to a type if it can be done without losing anything, using the
+ * same rules as the csv parser for strings, otherwise return it unchanged
+ * @private
+ */
+function coerceValue(val, expected){
+	if(isstring(val)){
+		var text = val.trim();
+		var found = fieldType(text);
+
+		if(fitsType(found, expected)) return fieldConverters[found](text);
+		if(expected === "boolean" && (text === "true" || text === "false")) return text === "true";
+
+		return val;
+	}
+
+	if(expected === "string" && (isnumber(val) || type(val) === "boolean")) return String(val);
+
+	return val;
+}
+
+/* labels of the columns in a dataset whose values are all numbers (or missing)
+ * @private
+ */
+function numericLabels(dataset){
+	return dataship.frame.labels(dataset).filter(function(label){
+		var values = dataship.frame.column(dataset, label);
+		if(istypedarray(values)) return true;
+
+		var found = false;
+		for(var i = 0; i < values.length; i++){
+			if(ismissing(values[i])) continue;
+			if(!isnumber(values[i])) return false;
+			found = true;
+		}
+
+		return found;
+	});
+}
+
+dataship.frame.groupers.labeler = function(selector, labeler){
+
+	if(isstring(selector)){
+		var select_field = selector;
+		selector = function(row){ return row[select_field]; };
+		selector.label = select_field;
+	}
+
+	if(!isfunction(labeler)){
+		var labels = labeler;
+		labeler = function(i){ return (i in labels) ? labels[i] : i; };
+	}
+
+	var grouper = function(row){
+		var val = selector(row);
+		return labeler(val);
+	}
+
+	grouper.label = selector.label;
+
+	// lets ds.parallel rebuild the grouper in a worker
+	if(select_field !== void(0) && labels !== void(0)) grouper.spec = {"grouper" : "labeler", "arguments" : [select_field, labels]};
+
+	return grouper;
+}
+
+/* Return a function that selects a column containing numbers and puts
+ *	them into numerical groups (also called bins or buckets) based on intervals.
+ *
+ *	`ds.frame.groupers.interval(selector, bounds, labels)`
+ *
+ *	* selector - the label of the column to form groups from, or a
+ *		function taking a row object and returning a number (virtual column).
+ *	* bounds - an array of upper bounds for the intervals, `n` values produce `n + 1` intervals.
+ *	* labels - an array labels to use for the groups, instead of integers (length should be `n + 1`)
+ *
+ *	returns - `function(row)` takes a row and returns the label for the interval
+ *    containing the selected value in that row. Returned labels are an integer in `[0, n+1]`,
+ *    or the corresponding label provided in the initial constructor.
+ *
+ *  `[-Inf, b0), [b0, b1), ..., [bn-1, bn), [bn, Inf)`
+ *
+ * @examples
+ * var movies = [
+ *     {"Title":"Fight Club",            "Year":1999, "Rating":8.9},
+ *     {"Title":"The Matrix",            "Year":1999, "Rating":8.7},
+ *     {"Title":"Stranger Than Fiction", "Year":2006, "Rating":7.6}
+ * ];
+ *
+ * var round = ds.frame.groupers.interval("Rating", [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+ *
+ * round(movies[0])		// => 8
+ * round(movies[1])		// => 8
+ * round(movies[2])		// => 7
+ *
+ * var cutoff = ds.frame.groupers.interval("Rating", [8]);
+ *
+ * cutoff(movies[0])	// => 1
+ * cutoff(movies[1])	// => 1
+ * cutoff(movies[2])	// => 0
+ *
+ * var middle = ds.frame.groupers.interval("Rating", [5]);
+ *
+ * middle(movies[0])	// => 1
+ * middle(movies[1])	// => 1
+ * middle(movies[2])	// => 1
+ *
+ * var noneShallPass = ds.frame.groupers.interval("Rating", [9]);
+ *
+ * noneShallPass(movies[0])	// => 0
+ * noneShallPass(movies[1])	// => 0
+ * noneShallPass(movies[2])	// => 0
+ */
+dataship.frame.groupers.interval = function interval(selector, bounds, labels){
+
+	if(isstring(selector)){
+		var select_field = selector;
+		selector = function(row){ return row[select_field]; };
+		selector.label = select_field;
+	}
+
+	var labeler;
+	if(labels == null || labels.length < bounds.length){
+		labeler = function(i){ return i; };
+	} else if(labels.length >= (bounds.length + 1)){
+		 labeler = function(i){ return labels[i]; };
+	} else if(labels.length == bounds.length){
+		labeler = function(i){
+			return (i < labels.length ? labels[i] : ">" + labels[i - 1]);
+		}
+	}
+
+	var grouper = function(row){
+
+		var val = selector(row);
+
+		for(var i = 0; i < bounds.length; i++){
+			if(val < bounds[i]){
+				return labeler(i);
+			}
+		}
+		return labeler(i);
+	};
+	grouper.label = selector.label;
+
+	// lets ds.parallel rebuild the grouper in a worker
+	if(select_field !== void(0)) grouper.spec = {"grouper" : "interval", "arguments" : [select_field, bounds, labels]};
+
+	return grouper;
+}
+
+/* Return a function that selects a column containing dates and puts them into
+ *	calendar periods.
+ *
+ *	`ds.frame.groupers.time(selector, unit, options)`
+ *
+ *	* selector - the label of the column to form groups from, or a function taking a
+ *		row object and returning a date. Dates can be `Date` objects, timestamps in
+ *		milliseconds or strings `Date.parse` understands, like ISO-8601. Dates
+ *		without a time, like `"2006-04-01"`, are that day in any time zone.
+ *	* unit - one of `"hour"`, `"day"`, `"week"` (ISO weeks, starting on Monday),
+ *		`"month"`, `"quarter"` or `"year"`
+ *	* options - (optional) an object with
+ *		* timezone - the time zone periods start in: `"local"`, `"UTC"`, an IANA
+ *			name like `"America/New_York"` or a fixed offset like `"+05:30"` or `330`
+ *			(minutes) (default: `"local"`)
+ *
+ *	returns - `function(row)` takes a row and returns the start of its period as an
+ *		ISO-8601 string, precise to the unit: `"2006-04-01T13:00"` for hours,
+ *		`"2006-04-01"` for days and weeks, `"2006-04"` for months and quarters and
+ *		`"2006"` for years. These sort in time order and work as labels for
+ *		`ds.vis.line`. Missing or invalid dates return `null`.
+ *
+ * @examples
+ * var events = [
+ *     {"time" : "2006-04-01T13:45:00Z", "value" : 1},
+ *     {"time" : "2006-05-17T02:10:00Z", "value" : 2}
+ * ];
+ *
+ * ds.frame.groupers.time("time", "hour", {"timezone" : "UTC"})(events[0])	// => "2006-04-01T13:00"
+ * ds.frame.groupers.time("time", "week", {"timezone" : "UTC"})(events[0])	// => "2006-03-27"
+ * ds.frame.groupers.time("time", "quarter", {"timezone" : "UTC"})(events[1])	// => "2006-04"
+ * ds.frame.groupers.time("time", "day", {"timezone" : "-05:00"})(events[1])	// => "2006-05-16"
+ * ds.frame.groupers.time("time", "day", {"timezone" : "Asia/Tokyo"})(events[0])	// => "2006-04-01"
+ * ds.frame.groupers.time("time", "hour", {"timezone" : "Asia/Kolkata"})(events[0])	// => "2006-04-01T19:00"
+ * ds.frame.groupers.time("time", "year")({"time" : null})	// => null
+ * ds.frame.groupers.time("date", "month")({"date" : "2006-04-01"})	// => "2006-04"
+ * ds.frame.groupers.time("date", "day", {"timezone" : "-05:00"})({"date" : "2006-04-01"})	// => "2006-04-01"
+ * ds.frame.groupby(events, ds.frame.groupers.time("time", "month", {"timezone" : "UTC"}), "value", ds.reduce.sum)	// => {"2006-04" : 1, "2006-05" : 2}
+ */
+dataship.frame.groupers.time = function time(selector, unit, options){
+
+	if(isstring(selector)){
+		var select_field = selector;
+		selector = function(row){ return row[select_field]; };
+		selector.label = select_field;
+	}
+
+	var calendar = timeCalendar(unit, (options || {}).timezone);
+
+	var grouper = function(row){
+		var fields = calendar.floor(selector(row));
+		return fields === null ? null : calendar.label(fields);
+	};
+	grouper.label = selector.label || selector.name || "period";
+	grouper.calendar = calendar;
+
+	// lets ds.parallel rebuild the grouper in a worker
+	if(select_field !== void(0)) grouper.spec = {"grouper" : "time", "arguments" : [select_field, unit, options]};
+
+	return grouper;
+}
+
+/* Aggregate rows into regular calendar periods, filling in the periods with no rows
+ *	so the result is an evenly spaced series, in time order.
+ *
+ *	`ds.frame.resample(dataset, dateColumn, freq, aggregations, options)`
+ *
+ *	* dataset - array of javascript objects, or a columnar frame
+ *	* dateColumn - the label of the column of dates, or a function selecting them
+ *	* freq - the period, one of the units of {@link dataship.frame.groupers.time}
+ *	* aggregations - (optional) an object mapping output columns to aggregations, as
+ *		in {@link dataship.frame.groupby} (default: `count`)
+ *	* options - (optional) an object with `timezone`, as in {@link dataship.frame.groupers.time}
+ *
+ *	returns - a frame with a row per period, labeled with the start of the period in
+ *		`dateColumn` (or `"period"`, for a function without a label or name). Filled in periods get the initial value of each aggregation, or
+ *		`null` if it has none. Rows with missing dates are dropped.
+ *
+ * @examples
+ * var log = [
+ *     {"date" : "2006-01-15", "amount" : 10},
+ *     {"date" : "2006-01-20", "amount" : 5},
+ *     {"date" : "2006-04-02", "amount" : 7}
+ * ];
+ *
+ * var result = [
+ *     {"date" : "2006-01", "events" : 2, "amount" : 15},
+ *     {"date" : "2006-02", "events" : 0, "amount" : 0},
+ *     {"date" : "2006-03", "events" : 0, "amount" : 0},
+ *     {"date" : "2006-04", "events" : 1, "amount" : 7}
+ * ];
+ *
+ * ds.frame.resample(log, "date", "month", {"events" : [null, ds.reduce.count], "amount" : ["amount", ds.reduce.sum, 0]}, {"timezone" : "UTC"})	// => result
+ * ds.frame.resample(log, "date", "quarter", {"amount" : ds.reduce.max}, {"timezone" : "UTC"})	// => [{"date" : "2006-01", "amount" : 10}, {"date" : "2006-04", "amount" : 7}]
+ * ds.frame.resample(log, function(row){ return row.date; }, "year")	// => [{"period" : "2006", "count" : 3}]
+ */
+dataship.frame.resample = function resample(dataset, dateColumn, freq, aggregations, options){
+	if(!isframe(dataset) && !iscolumnar(dataset)) throw new Error("dataset isn't a valid frame");
+
+	var grouper = dataship.frame.groupers.time(dateColumn, freq, options);
+	var label = grouperLabel(grouper, 0);
+	var calendar = grouper.calendar;
+
+	aggregations = aggregations || {"count" : [null, ds.reduce.count, 0]};
+	var names = Object.keys(aggregations);
+	var initials = names.map(function(name){
+		var initial = aggregationSpec(name, aggregations[name]).initial;
+		return initial != null ? initial : null;
+	});
+
+	var rows = groupbyFrame(dataset, [grouper], aggregations).filter(function(row){ return row[label] !== null; });
+	if(rows.length === 0) return [];
+
+	var found = {};
+	rows.forEach(function(row){ found[row[label]] = row; });
+	var periods = Object.keys(found).sort();
+	var last = periods[periods.length - 1];
+
+	// step through every period from the first to the last
+	var result = [];
+	var fields = calendar.parse(periods[0]);
+	var period = periods[0];
+	while(period <= last){
+		if(period in found){
+			result.push(found[period]);
+		} else {
+			var row = {};
+			row[label] = period;
+			for(var j = 0; j < names.length; j++) row[names[j]] = initials[j];
+			result.push(row);
+		}
+
+		fields = calendar.next(fields);
+		period = calendar.label(fields);
+	}
+
+	return result;
+}
+
+var TIME_UNITS = ["hour", "day", "week", "month", "quarter", "year"];
+
+/* period arithmetic for a time unit and zone, working on wall clock fields
+ *	{year, month, day, hour} (month from 0) in that zone
+ * @private
+ */
+function timeCalendar(unit, timezone){
+	if(TIME_UNITS.indexOf(unit) === -1) throw new Error("unit must be one of " + TIME_UNITS.join(", "));
+
+	var wallClock = zoneFields(timezone == null ? "local" : timezone);
+
+	function truncate(fields){
+		var year = fields.year, month = fields.month, day = fields.day, hour = fields.hour;
+
+		if(unit !== "hour") hour = 0;
+		if(unit === "week"){
+			// back to Monday
+			var weekday = new Date(Date.UTC(year, month, day)).getUTCDay();
+			day -= (weekday + 6) % 7;
+		}
+		if(unit === "month" || unit === "quarter" || unit === "year") day = 1;
+		if(unit === "quarter") month -= month % 3;
+		if(unit === "year") month = 0;
+
+		return normalizeFields(year, month, day, hour);
+	}
+
+	return {
+		"floor" : function(value){
+			if(ismissing(value)) return null;
+
+			// a date without a time is a calendar day wherever it's read, not UTC midnight
+			var dateOnly = isstring(value) && /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(value);
+			if(dateOnly){
+				return truncate(normalizeFields(Number(dateOnly[1]), Number(dateOnly[2] || 1) - 1, Number(dateOnly[3] || 1), 0));
+			}
+
+			var date = isdate(value) ? value : new Date(isstring(value) ? Date.parse(value) : value);
+			if(isNaN(date.getTime())) return null;
+
+			return truncate(wallClock(date));
+		},
+		"label" : function(fields){
+			var label = padNumber(fields.year, 4);
+			if(unit === "year") return label;
+
+			label += "-" + padNumber(fields.month + 1, 2);
+			if(unit === "month" || unit === "quarter") return label;
+
+			label += "-" + padNumber(fields.day, 2);
+			if(unit !== "hour") return label;
+
+			return label + "T" + padNumber(fields.hour, 2) + ":00";
+		},
+		"parse" : function(label){
+			var parts = label.split(/[-T:]/).map(Number);
+			return normalizeFields(parts[0], (parts[1] || 1) - 1, parts[2] || 1, parts[3] || 0);
+		},
+		"next" : function(fields){
+			var steps = {
+				"hour" : [0, 0, 0, 1], "day" : [0, 0, 1, 0], "week" : [0, 0, 7, 0],
+				"month" : [0, 1, 0, 0], "quarter" : [0, 3, 0, 0], "year" : [1, 0, 0, 0]
+			}[unit];
+
+			return normalizeFields(fields.year + steps[0], fields.month + steps[1], fields.day + steps[2], fields.hour + steps[3]);
+		}
+	};
+}
+
+/* function reading the wall clock fields of a date in a time zone
+ * @private
+ */
+function zoneFields(timezone){
+	if(timezone === "local"){
+		return function(date){
+			return {"year" : date.getFullYear(), "month" : date.getMonth(), "day" : date.getDate(), "hour" : date.getHours()};
+		};
+	}
+
+	var offset = null;
+	if(timezone === "UTC" || timezone === "Z") offset = 0;
+	else if(isnumber(timezone)) offset = timezone;
+	else if(isstring(timezone)){
+		var match = /^([+-])(\d{2}):?(\d{2})$/.exec(timezone);
+		if(match) offset = (match[1] === "-" ? -1 : 1) * (60 * Number(match[2]) + Number(match[3]));
+	}
+
+	if(offset !== null){
+		return function(date){
+			var shifted = new Date(date.getTime() + offset * 60000);
+			return {"year" : shifted.getUTCFullYear(), "month" : shifted.getUTCMonth(), "day" : shifted.getUTCDate(), "hour" : shifted.getUTCHours()};
+		};
+	}
+
+	// IANA zone names need Intl
+	var format;
+	try {
+		format = new Intl.DateTimeFormat("en-US", {
+			"timeZone" : timezone, "hourCycle" : "h23",
+			"year" : "numeric", "month" : "numeric", "day" : "numeric", "hour" : "numeric"
+		});
+	} catch(e){
+		throw new Error("unknown timezone \"" + timezone + "\", use \"local\", \"UTC\", an IANA name or an offset like \"+05:30\"");
+	}
+
+	return function(date){
+		var parts = {};
+		format.formatToParts(date).forEach(function(part){ parts[part.type] = Number(part.value); });
+
+		return {"year" : parts.year, "month" : parts.month - 1, "day" : parts.day, "hour" : parts.hour % 24};
+	};
+}
+
+function normalizeFields(year, month, day, hour){
+	// setUTCFullYear, since Date.UTC maps years 0 - 99 to the 1900s
+	var date = new Date(0);
+	date.setUTCFullYear(year, month, day);
+	date.setUTCHours(hour);
+
+	return {"year" : date.getUTCFullYear(), "month" : date.getUTCMonth(), "day" : date.getUTCDate(), "hour" : date.getUTCHours()};
+}
+
+function padNumber(n, width){
+	var text = String(Math.abs(n));
+	while(text.length < width) text = "0" + text;
+
+	return (n < 0 ? "-" : "") + text;
+}
+
+/* Start a chainable query over a dataset. Each step returns a new query, and
+ *	nothing is computed until `collect` (or `plot`) is called. Consecutive
+ *	`filter`, `derive`, `select` and `limit` steps are fused into a single pass
+ *	over the rows, and rows of the original dataset are never modified.
+ *
+ *	`ds.query(dataset)`
+ *
+ *	* dataset - array of javascript objects, or a columnar frame (see {@link dataship.frame.columnar})
+ *
+ *	returns - a query with the following methods
+ *	* `filter(predicate)` - keep rows for which `predicate(row)` is truthy
+ *	* `derive(label, selector)` - add a virtual column, `selector` is a function taking
+ *		a row and returning a value, as in {@link dataship.frame.column}. Also accepts
+ *		an object mapping labels to selectors.
+ *	* `select(labels)` - keep only the columns in an array of labels
+ *	* `limit(n)` - keep only the first `n` rows
+ *	* `groupby(groupers, aggregations)` - group and summarize the rows, as in
+ *		{@link dataship.frame.groupby} (always produces a frame)
+ *	* `sortBy(selector, order)` - sort by a column label or selector function,
+ *		`order` is "asc" (default) or "desc". Also accepts the sort specifications
+ *		of {@link dataship.frame.sortBy}.
+ *	* `collect()` - run the query and return the resulting dataset
+ *	* `plot(kind, valueColumn, labelColumn, name, title)` - run the query and draw
+ *		the result with `ds.vis[kind]` ("bar", "line", "scatter" or "pie"). Without
+ *		`valueColumn` the resulting frame is drawn, as in {@link dataship.vis.bar}.
+ *
+ * @examples
+ * var movies = [
+ *     {"Title":"Fight Club",            "Year":1999, "Rating":8.9},
+ *     {"Title":"The Matrix",            "Year":1999, "Rating":8.7},
+ *     {"Title":"Stranger Than Fiction", "Year":2006, "Rating":7.6}
+ * ];
+ *
+ * var recent = [
+ *     {"Title":"Stranger Than Fiction", "Decade":2000}
+ * ];
+ *
+ * ds.query(movies).filter(function(row){ return row.Year > 2000; }).derive("Decade", function(row){ return row.Year - row.Year % 10; }).select(["Title", "Decade"]).collect()	// => recent
+ *
+ * var best = [
+ *     {"Year":2006, "Rating":7.6},
+ *     {"Year":1999, "Rating":8.9}
+ * ];
+ *
+ * ds.query(movies).groupby("Year", {"Rating" : ds.reduce.max}).sortBy("Rating").collect()	// => best
+ *
+ * ds.query(movies).sortBy("Rating", "desc").limit(1).collect()	// => [movies[0]]
+ * ds.query(movies).groupby("Year", {"Rating" : ds.reduce.max}).plot("bar").match(/<rect class="bar"/g).length	// => 2
+ */
+dataship.query = function query(dataset){
+	if(!isframe(dataset) && !iscolumnar(dataset)) throw new Error("dataset isn't a valid frame");
+
+	return new Query(dataset, []);
+}
+
+/* a lazy sequence of steps over a dataset, see ds.query
+ * @private
+ */
+function Query(source, steps){
+	this.source = source;
+	this.steps = steps;
+}
+
+Query.prototype.append = function(step){
+	return new Query(this.source, this.steps.concat([step]));
+};
+
+Query.prototype.filter = function(predicate){
+	if(!isfunction(predicate)) throw new Error("predicate must be a function");
+
+	return this.append({"kind" : "filter", "predicate" : predicate});
+};
+
+Query.prototype.derive = function(label, selector){
+	var selectors = {};
+	if(isobject(label)) selectors = label;
+	else selectors[label] = selector;
+
+	var labels = Object.keys(selectors);
+	var functions = labels.map(function(label){ return selectorFunction(selectors[label]); });
+
+	return this.append({"kind" : "derive", "labels" : labels, "selectors" : functions});
+};
+
+Query.prototype.select = function(labels){
+	if(!isarray(labels)) labels = Array.prototype.slice.call(arguments);
+
+	return this.append({"kind" : "select", "labels" : labels});
+};
+
+Query.prototype.limit = function(n){
+	return this.append({"kind" : "limit", "n" : n});
+};
+
+Query.prototype.groupby = function(groupers, aggregations){
+	return this.append({"kind" : "groupby", "groupers" : isarray(groupers) ? groupers : [groupers], "aggregations" : aggregations});
+};
+
+Query.prototype.sortBy = function(selector, order){
+	var by = isarray(selector) || isobject(selector) ? selector : {"column" : selector, "order" : order || "asc"};
+
+	return this.append({"kind" : "sortBy", "by" : by});
+};
+
+Query.prototype.collect = function(){
+	var rows = this.source;
+	var segment = [];
+	var step;
+
+	for(var i = 0; i < this.steps.length; i++){
+		step = this.steps[i];
+
+		// steps that need every row end a pass
+		if(step.kind === "groupby" || step.kind === "sortBy"){
+			rows = runSteps(rows, segment);
+			segment = [];
+
+			if(step.kind === "groupby") rows = groupbyFrame(rows, step.groupers, step.aggregations);
+			else rows = dataship.frame.sortBy(rows, step.by);
+		} else {
+			segment.push(step);
+		}
+	}
+
+	rows = dataship.frame.rows(runSteps(rows, segment));
+
+	// never hand back the source itself
+	return rows === this.source ? rows.slice() : rows;
+};
+
+Query.prototype.plot = function(kind, valueColumn, labelColumn, name, title){
+	if(!isfunction(dataship.vis[kind])) throw new Error("unknown chart type '" + kind + "'");
+
+	var rows = this.collect();
+
+	// charts take the frame itself, and its first two columns, like a groupby gives
+	if(valueColumn == null) return dataship.vis[kind](rows, labelColumn, void(0), title);
+
+	var values = dataship.frame.column(rows, valueColumn);
+	var labels = labelColumn == null ? void(0) : dataship.frame.column(rows, labelColumn);
+
+	if(kind === "pie") return dataship.vis.pie(values, labels, title);
+
+	return dataship.vis[kind](values, labels, name || valueColumn, title);
+};
+
+/* apply fused row steps (filter, derive, select, limit) in one pass
+ * @private
+ */
+function runSteps(rows, steps){
+	if(steps.length === 0) return rows;
+
+	var cursor = iscolumnar(rows) ? rows.cursor() : null;
+	var counts = steps.map(function(){ return 0; });
+	var result = [];
+	var row, copied, step, done = false;
+	var i, j, k;
+
+	for(i = 0; i < rows.length && !done; i++){
+		row = cursor === null ? rows[i] : cursor.seek(i);
+		copied = false;
+
+		for(j = 0; j < steps.length && row !== null; j++){
+			step = steps[j];
+
+			if(step.kind === "filter"){
+				if(!step.predicate(row)) row = null;
+			} else if(step.kind === "limit"){
+				if(counts[j] >= step.n){
+					// nothing more can get past this step
+					done = true;
+					row = null;
+				} else {
+					counts[j]++;
+				}
+			} else if(step.kind === "derive"){
+				if(!copied){
+					row = Object.assign({}, row);
+					copied = true;
+				}
+				for(k = 0; k < step.labels.length; k++) row[step.labels[k]] = step.selectors[k](row);
+			} else if(step.kind === "select"){
+				var selected = {};
+				for(k = 0; k < step.labels.length; k++) selected[step.labels[k]] = row[step.labels[k]];
+				row = selected;
+				copied = true;
+			}
+		}
+
+		if(row === null) continue;
+
+		// rows from a columnar frame are a reused cursor
+		result.push(cursor !== null && !copied ? Object.assign({}, row) : row);
+	}
+
+	return result;
+}
+
+/* Draw a histogram chart, a bar chart created by applying {@link dataship.frame.groupby}
+ * to a dataset.
+ *
+ *  `ds.vis.histogram(dataset, grouper, selector, reducer, fill, title)`
+ *
+ *
+dataship.vis.histogram = histogram;
+*/
+
+/* Draw a summary bar chart, created by first applying {@link dataship.frame.groupby}
+ * to a dataset.
+ *
+ *  `ds.vis.groupby.bar(dataset, grouper, selector, reducer, fill, title)`
+ *
+ *
+ */
+dataship.vis.groupby.bar = function histogram(dataset, grouper, selector, reducer, fill, title){
+
+	index = dataship.frame.groupby(dataset, grouper, selector, reducer, fill);
+
+	var name = isstring(grouper) ? grouper : grouper.label;
+	title = title || titleify(name);
+
+	return dataship.vis.bar(index, name, title);
+}
+
+/* Draw a summary pie chart, a pie chart created by first applying {@link dataship.frame.groupby}
+ * to a dataset.
+ *
+ *  `ds.vis.groupby.pie(dataset, grouper, selector, reducer, fill, title)`
+ *
+ *
+ */
+dataship.vis.groupby.pie = function(dataset, grouper, selector, reducer, fill, title){
+
+	index = dataship.frame.groupby(dataset, grouper, selector, reducer, fill);
+
+	var title = titleify(isstring(grouper) ? grouper : grouper.label);
+
+	return dataship.vis.pie(index, title);
+}
+
+// list of things not to capitalize in titles
+var lowers = {'a':true, 'an':true, 'the':true, 'and':true, 'but':true, 'or':true, 'nor':true, 'of':true, 'on':true, 'at':true, 'from':true,  'to':true, 'by':true, 'for':true, 'in':true, 'as':true}
+function titleify(identifier){
+	// add spaces
+	identifier = identifier.replace(/\-/g, ' ');
+	identifier = identifier.replace(/\_/g, ' ');
+	identifier = identifier.replace(/\./g, ' ');
+
+	// capitalize words
+	words = identifier.split(" ");
+	for(i = 0; i < words.length; i++){
+		word = words[i];
+		if(!(word in lowers) || i == 0) word = capitalize(word);
+		words[i] = word;
+	}
+
+	return words.join(' ');
+}
+
+function capitalize(string){
+	return string.charAt(0).toUpperCase() + string.slice(1);
+}
+
+var MAX_LABEL_LENGTH = 27;
+
+/* Draw a bar chart.
+ *
+ *	`ds.vis.bar(values, labels, name, title, axis, options)`
+ *
+ *	* values - array of values (y axis)
+ *	* labels - array of labels (x axis)
+ *	* name - (optional) name for the data set
+ *	* title - (optional) title for the chart
+ *	* axis - (optional) c3 axis options
+ *	* options - (optional) an object with `gaps`, to leave a gap for missing values
+ *		(`null`, `undefined` or `NaN`) instead of dropping them (default: `false`),
+ *		and `width`, `height` and `file` as in {@link dataship.vis.svg.bar}
+ *
+ *	`ds.vis.bar(index, name, title, axis, options)`
+ *
+ *	* index - object mapping labels to values
+ *	* name - (optional) name for the data set
+ *	* title - (optional) title for the chart
+ *
+ *	`ds.vis.bar(frame, labelColumn, valueColumn, title, axis, options)`
+ *
+ *	* frame - array of javascript objects, or a columnar frame, like the frame
+ *		form of {@link dataship.frame.groupby} returns
+ *	* labelColumn - (optional) label of the column to use as labels (default: the first)
+ *	* valueColumn - (optional) label of the column to use as values, and the name
+ *		for the data set (default: the second)
+ *
+ *	Charts are drawn with c3 when it's loaded, otherwise (in Node.js, say) they're
+ *	returned as SVG strings, see {@link dataship.vis.svg.bar}.
+ */
+dataship.vis.bar = function bar(values, labels, name, title, axis, options){
+	return draw(barChart.apply(null, arguments));
+}
+
+/* configuration for a bar chart, see ds.vis.bar
+ * @private
+ */
+function barChart(values, labels, name, title, axis, options){
+
+	// did we get a frame?
+	if(iscolumnar(values) || (isframe(values) && values.length > 0)){
+		var series = frameSeries(values, labels, name);
+		values = series.values;
+		labels = series.labels;
+		name = series.name;
+	}
+
+	// did we get an index object?
+	if(isobject(values)){
+		// yes, parse it out
+		var obj = values;
+		options = axis;
+		axis = title;
+		title = name;
+		name = labels;
+
+		labels = Object.keys(obj);
+		values = Object.values(obj);
+	}
+
+	name = name || "data";
+	title = title || titleify(name);
+	labels = labels || range(values.length);
+
+	var points = missingPoints(values, labels, options);
+	values = points.values;
+	labels = points.labels;
+
+	if(!presentValues(values).every(isnumber)) throw new Error("values must be numeric");
+
+	axis = axis || {};
+	axis.x = axis.x || {};
+	axis.y = axis.y || {};
+
+	axis.x.type = 'category';
+	var xAxis = { "tick" : {}, "padding" : {}};
+
+	if(isstring(labels[0])){
+
+		// scale x axis height to make room for labels
+		var maxLabelLength = dataship.num.max(labels.map(function(s){return s.length;}));
+		// more than 7?
+		if(labels.length <= 7){
+			// just increase the height
+			xAxis.height = Math.min(25 + (maxLabelLength / 10 | 0) * 12, 100);
+		} else {
+			// rotate labels
+			xAxis.height = Math.min(25 + maxLabelLength * 3 | 0, 100);
+			xAxis.tick.rotate = 40;
+			xAxis.tick.width = 200;
+			xAxis.padding.right = 1;
+
+			// more than 30?
+			if(labels.length > 30){
+				// don't show them all
+				xAxis.tick.culling = {"max" : 30};
+				xAxis.tick.fit = true;
+			}
+
+			// some labels really long?
+			if(maxLabelLength > MAX_LABEL_LENGTH){
+				// truncate the long ones
+				labels = labels.map(function(s){ return (s.length <= MAX_LABEL_LENGTH ? s : s.substring(0, MAX_LABEL_LENGTH - 3) + "...");});
+			}
+		}
+	}
+	axis.x = Object.assign(xAxis, axis.x);
+	axis.x.categories = labels;
+
+	return chartSpec({
+		"data" : {
+			"columns" : [
+				[name].concat(values)
+			],
+			"type" : "bar"
+		},
+		"axis": axis,
+		"title": { "text": title }
+	}, options);
+}
+
+/* Draw a pie chart
+ *	`ds.vis.pie(values, labels, title, options)`
+ *
+ *	* values - array of values
+ *	* labels - array of labels
+ *	* title - (optional) title for the chart
+ *	* options - (optional) `width`, `height` and `file` as in {@link dataship.vis.svg.bar}
+ *
+ *	`ds.vis.pie(index, title, options)`
+ *
+ *	* index - object mapping labels to values
+ *
+ *	`ds.vis.pie(frame, labelColumn, valueColumn, title, options)`
+ *
+ *	* frame - array of javascript objects, or a columnar frame, as in {@link dataship.vis.bar}
+ *	* labelColumn - (optional) label of the column to use as labels (default: the first)
+ *	* valueColumn - (optional) label of the column to use as values (default: the second)
+ *
+ *	Like {@link dataship.vis.bar}, draws with c3 when it's loaded and otherwise
+ *	returns an SVG string.
+ */
+dataship.vis.pie = function(values, labels, title, options){
+	return draw(pieChart.apply(null, arguments));
+}
+
+/* configuration for a pie chart, see ds.vis.pie
+ * @private
+ */
+function pieChart(values, labels, title, options){
+
+	var MAX_VALUES = 20;
+
+	// did we get a frame?
+	if(iscolumnar(values) || (isframe(values) && values.length > 0)){
+		var series = frameSeries(values, labels, title);
+		options = arguments[4];
+		title = arguments[3];
+		values = series.values;
+		labels = series.labels;
+	}
+
+	// did we get an index object?
+	if(isobject(values)){
+		// yes, parse it out
+		var obj = values;
+		options = title;
+		title = labels;
+
+		labels = Object.keys(obj)
+		values = Object.keys(obj).map(function(k){ return obj[k];})
+	}
+
+	labels = labels || range(values.length);
+
+	var columns = [], label;
+	for(var i = 0; i < values.length && i < MAX_VALUES; i++){
+		label = labels.length > i ? labels[i] : i;
+
+		columns.push([label, values[i]]);
+	}
+
+	return chartSpec({
+		data: {
+			columns: columns,
+			type : 'pie',
+		},
+		title: { text: title }
+	}, options);
+}
+
+// timeseries(dataset, value_selector, label_selector)
+// line (with automatic timeseries detection)
+// scatter
+
+var MAX_AXIS_PRECISION = 6;
+/* Draw a line chart, values must be numeric, labels must be numeric or strings
+ * representing [ISO-8601](https://xkcd.com/1179/) timestamps.
+ *
+ *	`ds.vis.line(values, labels, name, title, axis, options)`
+ *
+ *	* values - array of values (y axis)
+ *	* labels - array of numeric labels (x axis)
+ *	* name - (optional) name for the data set
+ *	* title - (optional) title for the chart
+ *  * axis - (optional) c3 axis options
+ *	* options - (optional) an object with `gaps`, to break the line at missing values
+ *		(`null`, `undefined` or `NaN`) instead of dropping them (default: `false`),
+ *		and `width`, `height` and `file` as in {@link dataship.vis.svg.bar}
+ *
+ *	`ds.vis.line(index, name, title, axis, options)`
+ *
+ *	* index - object mapping labels to values
+ *
+ *	`ds.vis.line(frame, labelColumn, valueColumn, title, axis, options)`
+ *
+ *	* frame - a frame, with columns used as in {@link dataship.vis.bar}
+ *
+ *	Like {@link dataship.vis.bar}, draws with c3 when it's loaded and otherwise
+ *	returns an SVG string. Date labels are shown in UTC, and date strings without
+ *	an offset are read as UTC.
+ */
+dataship.vis.line = function(values, labels, name, title, axis, options){
+	return draw(lineChart.apply(null, arguments));
+}
+
+/* configuration for a line chart, see ds.vis.line
+ * @private
+ */
+function lineChart(values, labels, name, title, axis, options){
+
+	// did we get a frame?
+	if(iscolumnar(values) || (isframe(values) && values.length > 0)){
+		var series = frameSeries(values, labels, name);
+		values = series.values;
+		labels = series.labels;
+		name = series.name;
+	}
+
+	// did we get an index object?
+	if(isobject(values)){
+		// yes, parse it out
+		var obj = values;
+		options = axis;
+		axis = title;
+		title = name;
+		name = labels;
+
+		labels = Object.keys(obj);
+		values = labels.map(function(k){ return obj[k];});
+	}
+
+	name = name || "data";
+	title = title || titleify(name);
+	labels = labels || range(values.length);
+
+	var points = missingPoints(values, labels, options);
+	values = points.values;
+	labels = points.labels;
+	var present = presentValues(values);
+
+	if(present.length == 0 || labels.length == 0) return null;
+
+	if(!isnumber(present[0])) throw new Error("values must be numeric");
+
+	axis = axis || {};
+	axis.x = axis.x || {};
+	axis.y = axis.y || {};
+
+	var dates,
+		valid = false;
+	var xAxis = {"tick" : {}, "padding": {}},
+		textLength = 12;
+
+	if(isstring(labels[0])){
+
+		// try to parse as date-time
+		if(typeof moment !== "undefined"){
+			var m = moment.utc(labels[0], ["YYYY", moment.ISO_8601], true)
+			valid = m.isValid();
+
+			dates = valid ? labels.map(function(x){ return moment.utc(x, ["YYYY", moment.ISO_8601], true).toDate(); }) : [];
+		} else {
+			valid = !isNaN(parseLabelDate(labels[0]));
+
+			dates = valid ? labels.map(function(x){ return new Date(parseLabelDate(x));}) : [];
+		}
+
+		if(valid){
+			labels = dates;
+			xAxis.type = "timeseries";
+			xAxis.localtime = false;
+			xAxis.tick.format = minimalDateFormat(dates);
+			textLength = xAxis.tick.format.length;
+
+			//Object.assign(axis.x, { "type":"timeseries", "tick" : { "format" : dateFormat } });
+		} else  {
+			valid = !isNaN(parseFloat(labels[0]));
+			labels = valid ? labels.map(parseFloat) : labels;
+			textLength = 12;
+		}
+
+	} else if(isdate(labels[0])){
+
+		valid = true;
+		xAxis.type = "timeseries";
+		xAxis.localtime = false;
+		xAxis.tick.format = minimalDateFormat(labels);
+		textLength = xAxis.tick.format.length;
+		//Object.assign(axis.x, { "type":"timeseries", "tick" : { "format" : dateFormat } });
+	}
+
+	// scale x axis height to make room for labels
+	if(labels.length <= 7){
+		xAxis.height = Math.min(25 + (textLength / 10 | 0) * 12, 100);
+	} else {
+		xAxis.height = Math.min(25 + textLength * 3 | 0, 100);
+		xAxis.tick.rotate = 40;
+		xAxis.tick.width = 200;
+		xAxis.padding.right = 1;
+
+		if(labels.length > 30){
+			// too many labels to show all
+			xAxis.tick.culling = {"max" : 30};
+			xAxis.tick.fit = true;
+		}
+	}
+
+	axis.x = Object.assign(xAxis, axis.x);
+
+	if(!isnumber(labels[0]) && !valid) throw new Error("labels must be numeric, or valid date-time strings");
+
+	if(!isinteger(present[0])){
+		var precision = Math.min(minimalPrecision(present), MAX_AXIS_PRECISION);
+
+		Object.assign(axis.y, { "tick" : { "format" : function(x){ return x.toFixed(precision)}}});
+	}
+
+	return chartSpec({
+		"data" : {
+			"x" : 'labels',
+			"columns" : [
+				['labels'].concat(labels),
+				[name].concat(values)
+			]
+		},
+		"line" : { "connectNull" : false },
+		"axis" : axis,
+		"title": { "text": title }
+	}, options);
+}
+
+/* drop the points with missing values or labels, or with `options.gaps` pass
+ * missing values through as null so the chart leaves a gap
+ * @private
+ */
+function missingPoints(values, labels, options){
+	var gaps = options && options.gaps;
+	var result = {"values" : [], "labels" : []};
+
+	for(var i = 0; i < values.length; i++){
+		if(ismissing(labels[i]) || (ismissing(values[i]) && !gaps)) continue;
+
+		result.values.push(ismissing(values[i]) ? null : values[i]);
+		result.labels.push(labels[i]);
+	}
+
+	return result;
+}
+
+/* labels, values and series name from two columns of a frame, by default the
+ * first two, like the key and aggregation of a frame from ds.frame.groupby
+ * @private
+ */
+function frameSeries(frame, labelColumn, valueColumn){
+	frame = dataship.frame.rows(frame);
+
+	var columns = Object.keys(frame[0]);
+	labelColumn = labelColumn != null ? labelColumn : columns[0];
+	valueColumn = valueColumn != null ? valueColumn : columns[1];
+
+	if(valueColumn === void(0)) throw new Error("frame needs a column of values");
+
+	return {
+		"labels" : frame.map(function(row){ return row[labelColumn]; }),
+		"values" : frame.map(function(row){ return row[valueColumn]; }),
+		"name" : String(valueColumn)
+	};
+}
+
+/* find the minimal number of digits for floating point display
+ * @private
+ */
+function minimalPrecision(values){
+	if(values.length == 0) return 0;
+
+	var max = Number.MIN_SAFE_INTEGER, min = Number.MAX_SAFE_INTEGER;
+
+	for(var i = 0; i < values.length; i++){
+		max = max < values[i] ? values[i] : max;
+		min = min > values[i] ? values[i] : min;
+	}
+
+	return Math.max(1, Math.ceil(Math.log10(1 / (max - min)) + 1));
+}
+
+/* find the right display format for an array of dates, by checking the range
+they cover in UTC
+ @private
+ */
+function minimalDateFormat(dates){
+
+	if(dates.length == 0) return "%Y";
+
+	// generate list of indices to check
+	//var indices = {0: true, (dates.length - 1) : true};
+
+	// see precisions in chosen subsample
+	var found = {};
+	var show = {};
+	var date;
+	for(var i = 0; i < dates.length; i++){
+		date = dates[i];
+
+		if(found.year !== void(0) && found.year !== date.getUTCFullYear()) show.year = true;
+		else found.year = date.getUTCFullYear();
+
+		if(found.month !== void(0) && found.month !== date.getUTCMonth()){show.month = true;}
+		else{found.month = date.getUTCMonth();}
+
+		if(found.day !== void(0) && found.day !== date.getUTCDate()){show.day = true;}
+		else{found.day = date.getUTCDate();}
+
+		if(found.hour !== void(0) && found.hour !== date.getUTCHours()) show.hour = true;
+		else found.hour = date.getUTCHours();
+
+		if(found.minute !== void(0) && found.minute !== date.getUTCMinutes()) show.minute = true;
+		else found.minute = date.getUTCMinutes();
+
+		if(found.second !== void(0) && found.second !== date.getUTCSeconds()) show.second = true;
+		else found.second = date.getUTCSeconds();
+	}
+	show.time = show.hour || show.minute || show.second;
+	show.date = show.year || show.month || show.day;
+
+	// show both?
+	if(show.date && show.time){
+		// yes, use the full format
+		return '%Y-%m-%d %H:%M:%S';
+	} else if(show.date){
+		if(show.day) return '%Y-%m-%d';
+		else if(show.month) return '%Y-%m';
+		else return '%Y';
+	} else {
+		return '%H:%M:%S';
+	}
+}
+
+/* milliseconds for a date label, reading ISO-8601 strings without an offset as
+UTC, like date-only ones, so charts don't depend on the local timezone
+ @private
+ */
+function parseLabelDate(text){
+	if(/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) return Date.parse(text.replace(" ", "T") + "Z");
+
+	return Date.parse(text);
+}
+
+/* Draw a scatter plot, values and labels must both be numeric.
+ *
+ * `ds.vis.scatter(values, labels, name, title, axis, options)`
+ *
+ *	* values - array of values (y axis)
+ *	* labels - array of numeric labels (x axis)
+ *	* name - (optional) name for the data set
+ *	* title - (optional) title for the chart
+ *  * axis - (optional) c3 axis options
+ *	* options - (optional) an object with `gaps`, to pass missing values (`null`,
+ *		`undefined` or `NaN`) through to the chart instead of dropping them
+ *		(default: `false`), and `width`, `height` and `file` as in
+ *		{@link dataship.vis.svg.bar}
+ *
+ * `ds.vis.scatter(index, name, title)`
+ *
+ *	* index - object mapping labels to values
+ *
+ * `ds.vis.scatter(frame, labelColumn, valueColumn, title, axis, options)`
+ *
+ *	* frame - a frame, with columns used as in {@link dataship.vis.bar}
+ *
+ *	* values - array of values (y axis)
+ *	* labels - array of labels (x axis)
+ *	* name - (optional) name for the data set
+ *	* title - (optional) title for the chart
+ *  * axis - (optional) c3 axis options
+ *
+ *	Like {@link dataship.vis.bar}, draws with c3 when it's loaded and otherwise
+ *	returns an SVG string.
+ */
+dataship.vis.scatter = function scatter(values, labels, name, title, axis, options){
+	return draw(scatterChart.apply(null, arguments));
+}
+
+/* configuration for a scatter plot, see ds.vis.scatter
+ * @private
+ */
+function scatterChart(values, labels, name, title, axis, options){
+
+	// did we get a frame?
+	if(iscolumnar(values) || (isframe(values) && values.length > 0)){
+		var series = frameSeries(values, labels, name);
+		values = series.values;
+		labels = series.labels;
+		name = series.name;
+	}
+
+	// did we get an index object?
+	if(isobject(values)){
+		// yes, parse it out
+		var obj = values;
+		options = axis;
+		axis = title;
+		title = name;
+		name = labels;
+
+		labels = Object.keys(obj);
+		values = labels.map(function(k){ return obj[k];})
+	}
+
+	name = name || "data";
+	title = title || titleify(name);
+	labels = labels || range(values.length);
+
+	var points = missingPoints(values, labels, options);
+	values = points.values;
+	labels = points.labels;
+	var present = presentValues(values);
+
+	if(present.length == 0 || labels.length == 0) return null;
+	var valid = false;
+
+	if(isstring(labels[0])){
+		valid = !isNaN(parseFloat(labels[0]));
+		labels = valid ? labels.map(parseFloat) : labels;
+	}
+
+	if(!isnumber(present[0]) || (!isnumber(labels[0]) && !valid)) throw new Error("values and labels must be numeric");
+
+	axis = axis || {};
+	axis.x = axis.x || {};
+	axis.y = axis.y || {};
+
+	var precision;
+	if(!isinteger(present[0])){
+		precision = Math.min(minimalPrecision(present), MAX_AXIS_PRECISION);
+
+		Object.assign(axis.y, { "tick" : { "format" : function(x){ return x.toFixed(precision)}}});
+	}
+
+	if(!isinteger(labels[0])){
+		precision = Math.min(minimalPrecision(present), MAX_AXIS_PRECISION);
+
+		Object.assign(axis.x, { "tick" : { "format" : function(x){ return x.toFixed(precision)}}});
+	}
+
+	return chartSpec({
+		"data": {
+			"x": "labels",
+			"columns": [
+				["labels"].concat(labels),
+				[name].concat(values),
+			],
+			"type": 'scatter'
+		},
+		"axis" : axis,
+		"title": { "text": title }
+	}, options);
+}
+
+/* Render a bar chart as a self-contained SVG document, without a browser or c3,
+ *	to put charts in reports or compare them in tests. Takes the same arguments as
+ *	{@link dataship.vis.bar} and lays out the axes the same way: labels are rotated
+ *	when there are more than 7, truncated when they're long, and thinned out when
+ *	there are more than 30. The same arguments always give the same SVG.
+ *
+ *	`ds.vis.svg.bar(values, labels, name, title, axis, options)`
+ *
+ *	* options - (optional) an object with
+ *		* gaps - as in {@link dataship.vis.bar}
+ *		* width - width of the image in pixels (default: 640)
+ *		* height - height of the image in pixels (default: 400)
+ *		* file - (Node.js only) path of a file to write the SVG to
+ *
+ *	`ds.vis.svg.bar(index, name, title, axis, options)`
+ *
+ *	returns - the SVG, as a string
+ *
+ * @examples
+ * var svg = ds.vis.svg.bar([3, 1, 2], ["a", "b", "c"], "count");
+ *
+ * svg.indexOf("<svg ")	// => 0
+ * svg.match(/<rect class="bar"/g).length	// => 3
+ * ds.vis.svg.bar({"a" : 3, "b" : null}, "count", "Counts", {}, {"gaps" : true}).match(/<rect class="bar"/g).length	// => 1
+ *
+ * var years = ds.frame.groupby([{"Year" : 1999}, {"Year" : 1999}, {"Year" : 2006}], ["Year"]);
+ *
+ * ds.vis.svg.bar(years).match(/<rect class="bar"/g).length	// => 2
+ * ds.vis.svg.bar(years).indexOf(">2006</text>") > 0	// => true
+ *
+ * var snapshot = [
+ *     '<svg xmlns="http://www.w3.org/2000/svg" width="160" height="100" viewBox="0 0 160 100" font-family="sans-serif" font-size="10">',
+ *     '<rect width="160" height="100" fill="#fff"/>',
+ *     '<text class="title" x="80" y="20" text-anchor="middle" font-size="14">N</text>',
+ *     '<g class="axis x"><line x1="40" y1="51" x2="140" y2="51" stroke="#000"/><line x1="65" y1="51" x2="65" y2="57" stroke="#000"/><text x="65" y="69" text-anchor="middle">a</text><line x1="115" y1="51" x2="115" y2="57" stroke="#000"/><text x="115" y="69" text-anchor="middle">b</text></g>',
+ *     '<g class="axis y"><line x1="40" y1="35" x2="40" y2="51" stroke="#000"/><line x1="34" y1="51" x2="40" y2="51" stroke="#000"/><text x="31" y="54" text-anchor="end">0.0</text><line x1="34" y1="47" x2="40" y2="47" stroke="#000"/><text x="31" y="50" text-anchor="end">0.5</text><line x1="34" y1="43" x2="40" y2="43" stroke="#000"/><text x="31" y="46" text-anchor="end">1.0</text><line x1="34" y1="39" x2="40" y2="39" stroke="#000"/><text x="31" y="42" text-anchor="end">1.5</text><line x1="34" y1="35" x2="40" y2="35" stroke="#000"/><text x="31" y="38" text-anchor="end">2.0</text></g>',
+ *     '<rect class="bar" x="50" y="35" width="30" height="16" fill="#1f77b4"/>',
+ *     '<rect class="bar" x="100" y="43" width="30" height="8" fill="#1f77b4"/>',
+ *     '<g class="legend"><rect x="62" y="82" width="10" height="10" fill="#1f77b4"/><text x="77" y="91">n</text></g>',
+ *     '</svg>'
+ * ].join("\n") + "\n";
+ *
+ * ds.vis.svg.bar([2, 1], ["a", "b"], "n", "N", null, {"width" : 160, "height" : 100})	// => snapshot
+ */
+dataship.vis.svg.bar = function bar(values, labels, name, title, axis, options){
+	return drawSVG(barChart.apply(null, arguments));
+}
+
+/* Render a pie chart as an SVG string, like {@link dataship.vis.svg.bar}.
+ *
+ *	`ds.vis.svg.pie(values, labels, title, options)`
+ *
+ *	`ds.vis.svg.pie(index, title, options)`
+ *
+ *	`ds.vis.svg.pie(frame, labelColumn, valueColumn, title, options)`
+ *
+ * @examples
+ * ds.vis.svg.pie({"cats" : 3, "dogs" : 1}).match(/<path class="slice"/g).length	// => 2
+ * ds.vis.svg.pie([1, 3], ["dogs", "cats"], "Pets").indexOf(">75.0%</text>") > 0	// => true
+ *
+ * var pets = [{"Pet" : "cat"}, {"Pet" : "cat"}, {"Pet" : "dog"}];
+ *
+ * ds.vis.svg.pie(ds.frame.groupby(pets, ["Pet"])).match(/<path class="slice"/g).length	// => 2
+ * ds.vis.svg.pie(ds.frame.groupby(pets, ["Pet"])).indexOf(">cat</text>") > 0	// => true
+ */
+dataship.vis.svg.pie = function pie(values, labels, title, options){
+	return drawSVG(pieChart.apply(null, arguments));
+}
+
+/* Render a line chart as an SVG string, like {@link dataship.vis.svg.bar}. Date
+ *	labels are formatted with just the parts that change between them. Dates are
+ *	shown in UTC, and date strings without an offset are read as UTC, so the result
+ *	doesn't depend on the local timezone.
+ *
+ *	`ds.vis.svg.line(values, labels, name, title, axis, options)`
+ *
+ *	`ds.vis.svg.line(index, name, title, axis, options)`
+ *
+ *	returns - the SVG as a string, or `null` when there are no values to draw
+ *
+ * @examples
+ * var svg = ds.vis.svg.line([1.5, 2.25, 2], ["2016-01-01", "2016-02-01", "2016-03-01"], "price");
+ *
+ * svg.indexOf(">2016-02</text>") > 0	// => true
+ * svg.match(/<circle class="point"/g).length	// => 3
+ * ds.vis.svg.line([], [])	// => null
+ *
+ * var snapshot = [
+ *     '<svg xmlns="http://www.w3.org/2000/svg" width="160" height="100" viewBox="0 0 160 100" font-family="sans-serif" font-size="10">',
+ *     '<rect width="160" height="100" fill="#fff"/>',
+ *     '<text class="title" x="80" y="20" text-anchor="middle" font-size="14">N</text>',
+ *     '<g class="axis x"><line x1="40" y1="51" x2="140" y2="51" stroke="#000"/><line x1="50" y1="51" x2="50" y2="57" stroke="#000"/><text x="50" y="69" text-anchor="middle">2016-01</text><line x1="130" y1="51" x2="130" y2="57" stroke="#000"/><text x="130" y="69" text-anchor="middle">2016-02</text></g>',
+ *     '<g class="axis y"><line x1="40" y1="35" x2="40" y2="51" stroke="#000"/><line x1="34" y1="51" x2="40" y2="51" stroke="#000"/><text x="31" y="54" text-anchor="end">1.0</text><line x1="34" y1="47.8" x2="40" y2="47.8" stroke="#000"/><text x="31" y="50.8" text-anchor="end">1.2</text><line x1="34" y1="44.6" x2="40" y2="44.6" stroke="#000"/><text x="31" y="47.6" text-anchor="end">1.4</text><line x1="34" y1="41.4" x2="40" y2="41.4" stroke="#000"/><text x="31" y="44.4" text-anchor="end">1.6</text><line x1="34" y1="38.2" x2="40" y2="38.2" stroke="#000"/><text x="31" y="41.2" text-anchor="end">1.8</text><line x1="34" y1="35" x2="40" y2="35" stroke="#000"/><text x="31" y="38" text-anchor="end">2.0</text></g>',
+ *     '<circle class="point" cx="50" cy="51" r="2.5" fill="#1f77b4"/>',
+ *     '<circle class="point" cx="130" cy="35" r="2.5" fill="#1f77b4"/>',
+ *     '<path class="line" d="M50,51L130,35" fill="none" stroke="#1f77b4"/>',
+ *     '<g class="legend"><rect x="62" y="82" width="10" height="10" fill="#1f77b4"/><text x="77" y="91">n</text></g>',
+ *     '</svg>'
+ * ].join("\n") + "\n";
+ *
+ * ds.vis.svg.line([1, 2], ["2016-01-01", "2016-02-01"], "n", "N", null, {"width" : 160, "height" : 100})	// => snapshot
+ */
+dataship.vis.svg.line = function line(values, labels, name, title, axis, options){
+	return drawSVG(lineChart.apply(null, arguments));
+}
+
+/* Render a scatter plot as an SVG string, like {@link dataship.vis.svg.bar}.
+ *
+ *	`ds.vis.svg.scatter(values, labels, name, title, axis, options)`
+ *
+ *	`ds.vis.svg.scatter(index, name, title, axis, options)`
+ *
+ *	returns - the SVG as a string, or `null` when there are no values to draw
+ *
+ * @examples
+ * ds.vis.svg.scatter([1, 4, 9], [1, 2, 3], "squares").match(/<circle class="point"/g).length	// => 3
+ */
+dataship.vis.svg.scatter = function scatter(values, labels, name, title, axis, options){
+	return drawSVG(scatterChart.apply(null, arguments));
+}
+
+/* c3 configuration for a chart, with the options for drawing it
+ * @private
+ */
+function chartSpec(config, options){
+	return {"config" : config, "options" : options || {}};
+}
+
+/* draw a chart with c3 when it's loaded, otherwise render it as SVG
+ * @private
+ */
+function draw(chart){
+	if(typeof c3 === "undefined") return drawSVG(chart);
+	if(chart === null) return;
+
+	var options = chart.options;
+	if(options.width || options.height) chart.config.size = {"width" : options.width, "height" : options.height};
+
+	c3.generate(chart.config);
+}
+
+/* render a chart as SVG, writing it to options.file if given
+ * @private
+ */
+function drawSVG(chart){
+	if(chart === null) return null;
+
+	var svg = renderSVG(chart.config, chart.options);
+
+	if(chart.options.file){
+		if(typeof require !== "function") throw new Error("writing files needs Node.js");
+		require("fs").writeFileSync(chart.options.file, svg);
+	}
+
+	return svg;
+}
+
+// the default c3 (and d3) colors
+var CHART_COLORS = ["#1f77b4", "#ff7f0e", "#2ca02c", "#d62728", "#9467bd", "#8c564b", "#e377c2", "#7f7f7f", "#bcbd22", "#17becf"];
+
+// rough width of a character of 10px sans-serif text
+var CHARACTER_WIDTH = 6;
+
+/* render a c3 chart configuration as an SVG document
+ * @private
+ */
+function renderSVG(config, options){
+	var width = options.width || 640,
+		height = options.height || 400;
+	var title = config.title && config.title.text;
+
+	var parts = [svgElement("rect", {"width" : width, "height" : height, "fill" : "#fff"})];
+	if(title) parts.push(svgElement("text", {"class" : "title", "x" : width / 2, "y" : 20, "text-anchor" : "middle", "font-size" : 14}, escapeXML(title)));
+
+	// the legend goes along the bottom, the chart fills what's left
+	var pie = config.data.type === "pie";
+	var names = config.data.columns.map(function(column){ return column[0]; })
+		.filter(function(name){ return name !== config.data.x; });
+	var legend = legendSVG(names, width, height);
+
+	var box = {"left" : 10, "right" : width - 20, "top" : title ? 35 : 10, "bottom" : height - legend.height};
+	parts = parts.concat(pie ? pieSVG(config, box) : cartesianSVG(config, box), legend.parts);
+
+	return svgElement("svg", {
+		"xmlns" : "http://www.w3.org/2000/svg",
+		"width" : width,
+		"height" : height,
+		"viewBox" : "0 0 " + width + " " + height,
+		"font-family" : "sans-serif",
+		"font-size" : 10
+	}, "\n" + parts.join("\n") + "\n") + "\n";
+}
+
+/* legend for the named series, wrapped into centered rows at the bottom
+ * @private
+ */
+function legendSVG(names, width, height){
+	var rows = [[]], used = 0;
+	names.forEach(function(name, i){
+		var item = {"name" : String(name), "color" : CHART_COLORS[i % CHART_COLORS.length]};
+		item.width = 15 + item.name.length * CHARACTER_WIDTH + 15;
+
+		if(used + item.width > width - 20 && rows[rows.length - 1].length > 0){
+			rows.push([]);
+			used = 0;
+		}
+		rows[rows.length - 1].push(item);
+		used += item.width;
+	});
+
+	var parts = [];
+	var top = height - rows.length * 16 - 4;
+	rows.forEach(function(row, r){
+		var x = (width - row.reduce(function(total, item){ return total + item.width; }, 0)) / 2;
+		var y = top + r * 16;
+
+		row.forEach(function(item){
+			parts.push(svgElement("g", {"class" : "legend"},
+				svgElement("rect", {"x" : x, "y" : y + 2, "width" : 10, "height" : 10, "fill" : item.color}) +
+				svgElement("text", {"x" : x + 15, "y" : y + 11}, escapeXML(item.name))));
+			x += item.width;
+		});
+	});
+
+	return {"parts" : parts, "height" : rows.length * 16 + 8};
+}
 
-function newFilledArray(len, val) {
-	var rv = new Array(len);
-	while (--len >= 0) {
-		rv[len] = val;
+/* the axes and series of a bar, line or scatter chart
+ * @private
+ */
+function cartesianSVG(config, box){
+	var data = config.data, axis = config.axis || {};
+	var xAxis = axis.x || {}, yAxis = axis.y || {};
+	var xTick = xAxis.tick || {}, yTick = yAxis.tick || {};
+	var type = data.type || "line";
+
+	var xs = null, series = [];
+	data.columns.forEach(function(column){
+		if(column[0] === data.x) xs = column.slice(1);
+		else series.push(column.slice(1));
+	});
+
+	// y axis, with bars starting from zero
+	var present = presentValues([].concat.apply([], series));
+	var low = dataship.num.min(present), high = dataship.num.max(present);
+	if(type === "bar"){
+		low = Math.min(low, 0);
+		high = Math.max(high, 0);
 	}
-	return rv;
+	var yTicks = niceTicks(low, high, 5);
+	var yFormat = isfunction(yTick.format) ? yTick.format : numberFormat(yTicks.step);
+	var yLabels = yTicks.ticks.map(function(tick){ return String(yFormat(tick)); });
+
+	var left = box.left + Math.max(30, dataship.num.max(yLabels.map(function(label){ return label.length; })) * CHARACTER_WIDTH + 10);
+	var right = box.right, top = box.top;
+	var bottom = box.bottom - (xAxis.height || 30);
+
+	var y = function(val){
+		return bottom - (val - yTicks.min) / (yTicks.max - yTicks.min) * (bottom - top);
+	};
+
+	// x axis, as categories, dates or numbers
+	var xValues, x, xTicks, xFormat, band = 0;
+	if(xAxis.type === "category" || xs === null){
+		var categories = xAxis.categories || range(series[0].length);
+		band = (right - left) / categories.length;
+
+		xValues = range(categories.length);
+		x = function(i){ return left + band * (i + 0.5); };
+		xTicks = xValues;
+		xFormat = function(i){ return categories[i]; };
+	} else {
+		var timeseries = xAxis.type === "timeseries";
+		xValues = xs.map(function(val){ return timeseries ? new Date(val).getTime() : +val; });
+
+		var first = dataship.num.min(xValues), last = dataship.num.max(xValues);
+		if(timeseries || xTick.fit){
+			// ticks at the points themselves
+			var pad = 10;
+			if(first === last){
+				first -= 1;
+				last += 1;
+			}
+			x = function(val){ return left + pad + (val - first) / (last - first) * (right - left - 2 * pad); };
+			xTicks = xValues.filter(function(val, i){ return xValues.indexOf(val) === i; }).sort(function(a, b){ return a - b; });
+		} else {
+			var nice = niceTicks(first, last, 8);
+			x = function(val){ return left + (val - nice.min) / (nice.max - nice.min) * (right - left); };
+			xTicks = nice.ticks;
+		}
+
+		if(timeseries){
+			var dateFormat = isstring(xTick.format) ? xTick.format : "%Y-%m-%d";
+			var utc = xAxis.localtime === false;
+			xFormat = isfunction(xTick.format) ? function(val){ return xTick.format(new Date(val)); } :
+				function(val){ return formatDate(new Date(val), dateFormat, utc); };
+		} else {
+			xFormat = isfunction(xTick.format) ? xTick.format : numberFormat(nice ? nice.step : 0);
+		}
+	}
+
+	// thin out ticks at the points, keeping every nth
+	if(nice === void(0)){
+		var culling = xTick.culling && xTick.culling.max ? xTick.culling.max : (xAxis.type === "category" ? Infinity : 10);
+		var every = Math.max(1, Math.ceil(xTicks.length / culling));
+		xTicks = xTicks.filter(function(tick, i){ return i % every === 0; });
+	}
+
+	var parts = [];
+
+	// axes
+	var xParts = [svgElement("line", {"x1" : left, "y1" : bottom, "x2" : right, "y2" : bottom, "stroke" : "#000"})];
+	xTicks.forEach(function(tick){
+		var position = x(tick);
+		var label = escapeXML(xFormat(tick));
+
+		xParts.push(svgElement("line", {"x1" : position, "y1" : bottom, "x2" : position, "y2" : bottom + 6, "stroke" : "#000"}));
+		if(xTick.rotate){
+			xParts.push(svgElement("text", {"x" : position, "y" : bottom + 12, "text-anchor" : "start",
+				"transform" : "rotate(" + xTick.rotate + " " + svgNumber(position) + " " + svgNumber(bottom + 12) + ")"}, label));
+		} else {
+			xParts.push(svgElement("text", {"x" : position, "y" : bottom + 18, "text-anchor" : "middle"}, label));
+		}
+	});
+	parts.push(svgElement("g", {"class" : "axis x"}, xParts.join("")));
+
+	var yParts = [svgElement("line", {"x1" : left, "y1" : top, "x2" : left, "y2" : bottom, "stroke" : "#000"})];
+	yTicks.ticks.forEach(function(tick, i){
+		var position = y(tick);
+		yParts.push(svgElement("line", {"x1" : left - 6, "y1" : position, "x2" : left, "y2" : position, "stroke" : "#000"}));
+		yParts.push(svgElement("text", {"x" : left - 9, "y" : position + 3, "text-anchor" : "end"}, escapeXML(yLabels[i])));
+	});
+	parts.push(svgElement("g", {"class" : "axis y"}, yParts.join("")));
+
+	// series
+	series.forEach(function(values, s){
+		var color = CHART_COLORS[s % CHART_COLORS.length];
+		var width = band * 0.6 / series.length;
+		var zero = y(Math.min(Math.max(0, yTicks.min), yTicks.max));
+		var path = "", drawing = false;
+
+		values.forEach(function(val, i){
+			if(ismissing(val)){
+				drawing = false;
+				return;
+			}
+			var px = x(xValues[i]), py = y(val);
+
+			if(type === "bar"){
+				parts.push(svgElement("rect", {"class" : "bar", "x" : px - band * 0.3 + s * width, "y" : Math.min(py, zero),
+					"width" : width, "height" : Math.abs(zero - py), "fill" : color}));
+				return;
+			}
+
+			if(type === "line"){
+				path += (drawing ? "L" : "M") + svgNumber(px) + "," + svgNumber(py);
+				drawing = true;
+			}
+			parts.push(svgElement("circle", {"class" : "point", "cx" : px, "cy" : py, "r" : 2.5, "fill" : color}));
+		});
+
+		if(path) parts.push(svgElement("path", {"class" : "line", "d" : path, "fill" : "none", "stroke" : color}));
+	});
+
+	return parts;
 }
 
-/* Find and return the index or label of the max value in an array
-	or object (with numerical values)
+/* the slices of a pie chart, starting at the top and going clockwise
+ * @private
+ */
+function pieSVG(config, box){
+	var slices = config.data.columns.map(function(column, i){
+		return {"value" : column[1], "color" : CHART_COLORS[i % CHART_COLORS.length]};
+	}).filter(function(slice){ return !ismissing(slice.value) && slice.value > 0; });
+
+	var total = slices.reduce(function(sum, slice){ return sum + slice.value; }, 0);
+	var radius = Math.min(box.right - box.left, box.bottom - box.top) / 2 * 0.95;
+	var cx = (box.left + box.right) / 2, cy = (box.top + box.bottom) / 2;
+
+	var parts = [], angle = -Math.PI / 2;
+	slices.forEach(function(slice){
+		var ratio = slice.value / total;
+		var end = angle + ratio * 2 * Math.PI;
+
+		var d = slices.length === 1 ?
+			// a whole circle, as two halves
+			"M" + svgNumber(cx) + "," + svgNumber(cy - radius) +
+				"A" + svgNumber(radius) + "," + svgNumber(radius) + " 0 1 1 " + svgNumber(cx) + "," + svgNumber(cy + radius) +
+				"A" + svgNumber(radius) + "," + svgNumber(radius) + " 0 1 1 " + svgNumber(cx) + "," + svgNumber(cy - radius) + "Z" :
+			"M" + svgNumber(cx) + "," + svgNumber(cy) +
+				"L" + svgNumber(cx + radius * Math.cos(angle)) + "," + svgNumber(cy + radius * Math.sin(angle)) +
+				"A" + svgNumber(radius) + "," + svgNumber(radius) + " 0 " + (ratio > 0.5 ? 1 : 0) + " 1 " +
+				svgNumber(cx + radius * Math.cos(end)) + "," + svgNumber(cy + radius * Math.sin(end)) + "Z";
+		parts.push(svgElement("path", {"class" : "slice", "d" : d, "fill" : slice.color, "stroke" : "#fff"}));
+
+		// label slices big enough to hold one, like c3
+		if(ratio >= 0.05){
+			var middle = (angle + end) / 2;
+			parts.push(svgElement("text", {"x" : cx + radius * 0.6 * Math.cos(middle), "y" : cy + radius * 0.6 * Math.sin(middle) + 3,
+				"text-anchor" : "middle", "fill" : "#fff"}, (ratio * 100).toFixed(1) + "%"));
+		}
 
-	@examples
-	ds.num.argmax([1, 5, 3, 9, 2, 3])			// => 3
-	ds.num.argmax([20, 3, 87, 24, 93, 54])		// => 4
-	ds.num.argmax({"a" : 23, "b" : 12, "c" : 45, "d" : 18})	// => "c"
-*/
-dataship.num.argmax = function argmax(data){
+		angle = end;
+	});
 
-	var val, arg, max = Number.MIN_SAFE_INTEGER;
+	return parts;
+}
 
-	// find max
-	for(key in data){
-		val = data[key];
-		if(val > max){
-			max = val;
-			arg = key;
+/* evenly spaced ticks at round numbers covering min to max, about count of them
+ * @private
+ */
+function niceTicks(min, max, count){
+	if(min === max){
+		min -= 1;
+		max += 1;
+	}
+
+	var step = Math.pow(10, Math.floor(Math.log10((max - min) / count)));
+	var error = (max - min) / count / step;
+	if(error >= Math.sqrt(50)) step *= 10;
+	else if(error >= Math.sqrt(10)) step *= 5;
+	else if(error >= Math.sqrt(2)) step *= 2;
+
+	var start = Math.floor(min / step), stop = Math.ceil(max / step);
+	var ticks = [];
+	for(var i = start; i <= stop; i++) ticks.push(Number((i * step).toPrecision(12)));
+
+	return {"ticks" : ticks, "step" : step, "min" : ticks[0], "max" : ticks[ticks.length - 1]};
+}
+
+/* format numbers with as many decimals as a tick step needs
+ * @private
+ */
+function numberFormat(step){
+	if(!(step > 0)) return function(val){ return String(val); };
+
+	var decimals = Math.max(0, -Math.floor(Math.log10(step)));
+
+	return function(val){ return isnumber(val) ? val.toFixed(decimals) : String(val); };
+}
+
+/* format a date with a d3 style format string, like those from minimalDateFormat,
+ * in UTC or local time
+ * @private
+ */
+function formatDate(date, format, utc){
+	var fields = utc ? {
+		"Y" : date.getUTCFullYear(),
+		"m" : padNumber(date.getUTCMonth() + 1, 2),
+		"d" : padNumber(date.getUTCDate(), 2),
+		"H" : padNumber(date.getUTCHours(), 2),
+		"M" : padNumber(date.getUTCMinutes(), 2),
+		"S" : padNumber(date.getUTCSeconds(), 2),
+		"%" : "%"
+	} : {
+		"Y" : date.getFullYear(),
+		"m" : padNumber(date.getMonth() + 1, 2),
+		"d" : padNumber(date.getDate(), 2),
+		"H" : padNumber(date.getHours(), 2),
+		"M" : padNumber(date.getMinutes(), 2),
+		"S" : padNumber(date.getSeconds(), 2),
+		"%" : "%"
+	};
+
+	return format.replace(/%([YmdHMS%])/g, function(match, field){ return fields[field]; });
+}
+
+function svgElement(name, attributes, content){
+	var text = "<" + name;
+	for(var key in attributes){
+		var val = attributes[key];
+		text += " " + key + "=\"" + escapeXML(isnumber(val) ? svgNumber(val) : val) + "\"";
+	}
+
+	return content == null ? text + "/>" : text + ">" + content + "</" + name + ">";
+}
+
+// round coordinates, to keep the output small and stable
+function svgNumber(x){
+	return String(Math.round(x * 100) / 100);
+}
+
+function escapeXML(text){
+	return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+dataship.stats.linearRegression = function linearRegression(y,x){
+/* Simple linear regression
+ *
+ * @examples
+ * var y = [1, 2, 3, 4];
+ * var x = [1, 2, 3, 4];
+ *
+ * var result = {
+ *    slope: 1,
+ *    intercept: 0,
+ *    r2: 1
+ * };
+ *
+ * ds.frame.stats.linearRegression(y, x)		// => result
+ */
+
+	// did we get an index object?
+	if(isobject(y)){
+		// yes, parse it out
+		var obj = y;
+
+		x = Object.keys(obj);
+		y = x.map(function(k){ return obj[k];})
+	}
+
+	if(isstring(x[0])){
+		valid = !isNaN(parseFloat(x[0]));
+		x = valid ? x.map(parseFloat) : x;
+	}
+
+	// from here:
+	// http://www.localwisdom.com/blog/2014/01/get-trend-line-javascript-graph-linear-regression/
+	var lr = {};
+	var n = y.length;
+	var sum_x = 0;
+	var sum_y = 0;
+	var sum_xy = 0;
+	var sum_xx = 0;
+	var sum_yy = 0;
+
+	for (var i = 0; i < y.length; i++) {
+
+		sum_x += x[i];
+		sum_y += y[i];
+		sum_xy += (x[i]*y[i]);
+		sum_xx += (x[i]*x[i]);
+		sum_yy += (y[i]*y[i]);
+	}
+
+	lr['slope'] = (n * sum_xy - sum_x * sum_y) / (n*sum_xx - sum_x * sum_x);
+	lr['intercept'] = (sum_y - lr.slope * sum_x)/n;
+	lr['r2'] = Math.pow((n*sum_xy - sum_x*sum_y)/Math.sqrt((n*sum_xx-sum_x*sum_x)*(n*sum_yy-sum_y*sum_y)),2);
+
+	return lr;
+}
+
+/* Multiple linear regression, fit by ordinary least squares, with the statistics
+ *	needed to judge each coefficient. Rows missing any of the values (`null`,
+ *	`undefined` or `NaN`) are left out of the fit.
+ *
+ *	`ds.stats.ols(dataset, yColumn, xColumns, options)`
+ *
+ *	* dataset - array of javascript objects, or a columnar frame
+ *	* yColumn - the label of the column to predict, or a function taking a row and
+ *		returning a number (virtual column), as in {@link dataship.frame.column}
+ *	* xColumns - an array of labels or functions for the predictors. Functions are
+ *		named by their `label` or `name` property, or "x0", "x1", ... otherwise.
+ *	* options - (optional) an object with any of the following
+ *		* intercept - fit an intercept term, named "intercept" (default: `true`)
+ *
+ *	returns - an object with
+ *	* coefficients, standardErrors, tStatistics, pValues - objects mapping each
+ *		term to a value, p-values are two sided
+ *	* r2, adjustedR2 - the coefficient of determination, and the version adjusted
+ *		for the number of predictors
+ *	* residuals - array with the residual of each row (`null` for rows left out)
+ *	* n, df, sigma - number of rows used, residual degrees of freedom, and the
+ *		residual standard error
+ *	* predict(rows) - predict the values for a row, or an array of rows
+ *
+ * @examples
+ * var houses = [
+ *     {"Price" : 10, "Rooms" : 1, "Age" : 1},
+ *     {"Price" : 13, "Rooms" : 2, "Age" : 3},
+ *     {"Price" : 18, "Rooms" : 3, "Age" : 2},
+ *     {"Price" : 21, "Rooms" : 4, "Age" : 4},
+ *     {"Price" : 25, "Rooms" : 5, "Age" : 3}
+ * ];
+ *
+ * var fit = ds.stats.ols(houses, "Price", ["Rooms", "Age"]);
+ *
+ * ds.num.allclose(Object.values(fit.coefficients), [6.488888888888889, 4.022222222222222, -0.4444444444444444])	// => true
+ * ds.num.allclose([fit.r2, fit.adjustedR2], [0.9981634527089073, 0.9963269054178145])	// => true
+ * ds.num.allclose(Object.values(fit.pValues), [0.004866662177144, 0.001583484047088, 0.183503419072274])	// => true
+ * fit.df	// => 2
+ * ds.num.allclose([fit.predict({"Rooms" : 6, "Age" : 2})], [29.733333333333333])	// => true
+ *
+ * function rooms(row){ return row.Rooms; }
+ *
+ * ds.num.allclose(Object.values(ds.stats.ols(houses, "Price", [rooms], {"intercept" : false}).coefficients), [299 / 55])	// => true
+ */
+dataship.stats.ols = function ols(dataset, yColumn, xColumns, options){
+	if(!isframe(dataset) && !iscolumnar(dataset)) throw new Error("dataset isn't a valid frame");
+	if(!isarray(xColumns)) xColumns = [xColumns];
+
+	options = options || {};
+	var intercept = options.intercept !== false;
+
+	var names = xColumns.map(function(selector, i){
+		return isstring(selector) ? selector : (selector.label || selector.name || "x" + i);
+	});
+	if(intercept) names.unshift("intercept");
+
+	var selectors = xColumns.map(selectorFunction);
+	var ys = dataship.frame.column(dataset, yColumn);
+	var xs = selectors.map(function(selector){ return dataship.frame.column(dataset, selector); });
+
+	// design matrix, from the complete rows
+	var X = [], y = [], used = [];
+	var row, i, j, complete;
+	for(i = 0; i < ys.length; i++){
+		complete = !ismissing(ys[i]);
+		row = intercept ? [1] : [];
+		for(j = 0; j < xs.length && complete; j++){
+			if(ismissing(xs[j][i])) complete = false;
+			row.push(xs[j][i]);
+		}
+		if(!complete) continue;
+
+		X.push(row);
+		y.push(ys[i]);
+		used.push(i);
+	}
+
+	var n = X.length, p = names.length;
+	var df = n - p;
+	if(df <= 0) throw new Error("not enough complete rows to fit " + p + " terms");
+
+	// solve the normal equations
+	var Xt = dataship.num.transpose(X);
+	var XtXinv = dataship.num.inv(dataship.num.matmul(Xt, X));
+	var beta = dataship.num.dot(XtXinv, dataship.num.dot(Xt, y));
+
+	var residuals = newFilledArray(ys.length, null);
+	var sse = 0, mean = 0, sst = 0, fitted, e;
+	for(i = 0; i < n; i++) mean += y[i] / n;
+	for(i = 0; i < n; i++){
+		fitted = 0;
+		for(j = 0; j < p; j++) fitted += X[i][j] * beta[j];
+		e = y[i] - fitted;
+		residuals[used[i]] = e;
+		sse += e * e;
+		// without an intercept, r2 is measured against zero
+		sst += intercept ? (y[i] - mean) * (y[i] - mean) : y[i] * y[i];
+	}
+
+	var sigma2 = sse / df;
+	var result = {
+		"coefficients" : {},
+		"standardErrors" : {},
+		"tStatistics" : {},
+		"pValues" : {},
+		"r2" : 1 - sse / sst,
+		"residuals" : residuals,
+		"n" : n,
+		"df" : df,
+		"sigma" : Math.sqrt(sigma2)
+	};
+	result.adjustedR2 = 1 - (1 - result.r2) * (intercept ? n - 1 : n) / df;
+
+	var se, t;
+	for(j = 0; j < p; j++){
+		se = Math.sqrt(XtXinv[j][j] * sigma2);
+		t = beta[j] / se;
+		result.coefficients[names[j]] = beta[j];
+		result.standardErrors[names[j]] = se;
+		result.tStatistics[names[j]] = t;
+		result.pValues[names[j]] = studentTwoSided(t, df);
+	}
+
+	result.predict = function(rows){
+		var single = !isarray(rows);
+		var predictions = (single ? [rows] : rows).map(function(row){
+			var value = intercept ? beta[0] : 0;
+			for(var j = 0; j < selectors.length; j++) value += beta[j + (intercept ? 1 : 0)] * selectors[j](row);
+			return value;
+		});
+
+		return single ? predictions[0] : predictions;
+	};
+
+	return result;
+}
+
+/* Student's t-test for the mean of one sample, the mean difference of paired samples,
+ *	or the difference between the means of two samples (Welch's test, which doesn't
+ *	assume equal variances). Missing values (`null`, `undefined` and `NaN`) are left out.
+ *
+ *	`ds.stats.ttest(sample, mu, options)` - one sample, is the mean `mu` (default: 0)?
+ *
+ *	`ds.stats.ttest(sample1, sample2, options)` - two samples, are the means equal?
+ *		Samples can be arrays or indexes (objects mapping labels to values), paired
+ *		samples that are indexes are paired up by label.
+ *
+ *	`ds.stats.ttest(dataset, grouper, selector, options)` - two samples, the values
+ *		selected from each of the two groups produced by the grouper (as in
+ *		{@link dataship.frame.groupby})
+ *
+ *	* options - (optional) an object with any of the following, other keys throw an
+ *		error (so an index with one of these keys can't be the second sample)
+ *		* paired - treat the two samples as pairs, and test the mean of their differences (default: `false`)
+ *		* alternative - "two-sided", "less" or "greater" (default: "two-sided")
+ *
+ *	returns - an object with the `statistic` (t), degrees of freedom `df` and `pValue`
+ *
+ * @examples
+ * var one = ds.stats.ttest([1, 2, 3, 4, 5], 2);
+ *
+ * ds.num.allclose([one.statistic, one.df, one.pValue], [Math.SQRT2, 4, 0.2301996])	// => true
+ *
+ * var two = ds.stats.ttest([1, 2, 3, 4, 5], [2, 4, 6, 8, 10]);
+ *
+ * ds.num.allclose([two.statistic, two.df, two.pValue], [-1.8973666, 5.8823529, 0.1075312])	// => true
+ *
+ * var paired = ds.stats.ttest([1, 2, 3], [2, 4, 5], {"paired" : true});
+ *
+ * ds.num.allclose([paired.statistic, paired.df, paired.pValue], [-5, 2, 1 - 5 / Math.sqrt(27)])	// => true
+ *
+ * var indexed = ds.stats.ttest({"a" : 1, "b" : 2, "c" : 3}, {"c" : 5, "a" : 2, "b" : 4}, {"paired" : true});
+ *
+ * ds.num.allclose([indexed.statistic, indexed.df], [-5, 2])	// => true
+ * ds.stats.ttest({"a" : 1, "b" : 2, "c" : 3, "d" : 4, "e" : 5}, {"a" : 2, "b" : 4, "c" : 6, "d" : 8, "e" : 10}).df	// => two.df
+ *
+ * var movies = [
+ *     {"Year":1999, "Rating":8.9},
+ *     {"Year":1999, "Rating":8.7},
+ *     {"Year":2006, "Rating":7.6},
+ *     {"Year":2006, "Rating":7.2}
+ * ];
+ *
+ * ds.stats.ttest(movies, "Year", "Rating", {"alternative" : "greater"}).pValue < 0.05	// => true
+ */
+dataship.stats.ttest = function ttest(a, b, options){
+	// dataset, grouper and selector?
+	if(isframe(a) && a.length && isobject(a[0]) || iscolumnar(a)){
+		var groups = Object.values(groupValues(a, b, options));
+		if(groups.length !== 2) throw new Error("grouper must produce exactly two groups, found " + groups.length);
+
+		return dataship.stats.ttest(groups[0], groups[1], arguments[3]);
+	}
+
+	// an object of options, or a second sample as an index?
+	if(isobject(b) && Object.keys(b).some(function(key){ return key in TTEST_OPTIONS; })){
+		options = b;
+		b = void(0);
+	}
+	options = options || {};
+	Object.keys(options).forEach(function(key){
+		if(!(key in TTEST_OPTIONS)) throw new Error("unknown option '" + key + "', the options are " + Object.keys(TTEST_OPTIONS).join(" and "));
+	});
+
+	// samples as indexes, paired up by key
+	if(isobject(b)) b = isobject(a) && options.paired ? Object.keys(a).map(function(key){ return b[key]; }) : Object.values(b);
+	if(isobject(a)) a = Object.values(a);
+
+	var x = presentValues(a);
+	var t, df;
+
+	if(b == null || isnumber(b)){
+		// one sample
+		var mu = b || 0;
+		df = x.length - 1;
+		t = (dataship.num.mean(x) - mu) / Math.sqrt(dataship.num.variance(x) / x.length);
+	} else if(options.paired){
+		if(a.length !== b.length) throw new Error("paired samples must be of equal lengths");
+
+		var differences = [];
+		for(var i = 0; i < a.length; i++){
+			if(ismissing(a[i]) || ismissing(b[i])) continue;
+			differences.push(a[i] - b[i]);
+		}
+
+		return dataship.stats.ttest(differences, 0, {"alternative" : options.alternative});
+	} else {
+		var y = presentValues(b);
+		if(x.length < 2 || y.length < 2) throw new Error("samples must have at least two values each");
+
+		var vx = dataship.num.variance(x) / x.length;
+		var vy = dataship.num.variance(y) / y.length;
+
+		t = (dataship.num.mean(x) - dataship.num.mean(y)) / Math.sqrt(vx + vy);
+		// Welch-Satterthwaite
+		df = (vx + vy) * (vx + vy) / (vx * vx / (x.length - 1) + vy * vy / (y.length - 1));
+	}
+
+	var lower = studentCdf(t, df);
+	var alternative = options.alternative || "two-sided";
+	var p = alternative === "less" ? lower :
+		alternative === "greater" ? 1 - lower :
+		studentTwoSided(t, df);
+
+	return {"statistic" : t, "df" : df, "pValue" : p};
+}
+
+var TTEST_OPTIONS = {"paired" : true, "alternative" : true};
+
+/* Pearson's chi-square test of independence for a contingency table of counts.
+ *
+ *	`ds.stats.chisquare(table)`
+ *
+ *	* table - an array of arrays of counts, or a matrix (an object of objects), with
+ *		no rows or columns of only zeros
+ *
+ *	`ds.stats.chisquare(dataset, rowGrouper, columnGrouper)`
+ *
+ *	* dataset - array of javascript objects, the table is built by counting the rows
+ *		for each combination of the two groupers (as in {@link dataship.frame.groupby})
+ *
+ *	returns - an object with the `statistic` (chi-square), degrees of freedom `df` and `pValue`
+ *
+ * @examples
+ * var table = [
+ *     [10, 20],
+ *     [20, 20]
+ * ];
+ *
+ * var result = ds.stats.chisquare(table);
+ *
+ * ds.num.allclose([result.statistic, result.df, result.pValue], [1.9444444, 1, 0.1631868])	// => true
+ *
+ * var movies = [
+ *     {"Genre":"Drama",  "Decade":1990},
+ *     {"Genre":"Action", "Decade":1990},
+ *     {"Genre":"Drama",  "Decade":2000},
+ *     {"Genre":"Drama",  "Decade":2000}
+ * ];
+ *
+ * ds.stats.chisquare(movies, "Genre", "Decade").df	// => 1
+ * ds.stats.chisquare(ds.frame.columnar(movies), "Genre", "Decade").df	// => 1
+ */
+dataship.stats.chisquare = function chisquare(table, rowGrouper, columnGrouper){
+
+	if(isframe(table) && table.length && isobject(table[0]) || iscolumnar(table)){
+		// count the combinations
+		var counts = dataship.frame.pivot(dataship.frame.rows(table), rowGrouper, columnGrouper);
+		var rowLabel = grouperLabel(rowGrouper, 0);
+		table = counts.map(function(row){
+			return Object.keys(row).filter(function(key){ return key !== rowLabel; }).map(function(key){ return row[key] || 0; });
+		});
+	} else if(isobject(table)){
+		table = Object.values(table).map(Object.values);
+	}
+
+	var rows = table.length, columns = table[0].length;
+	var rowTotals = table.map(dataship.num.sum);
+	var columnTotals = range(columns).map(function(j){
+		return dataship.num.sum(table.map(function(row){ return row[j]; }));
+	});
+	var total = dataship.num.sum(rowTotals);
+
+	// expected counts of zero would divide by zero
+	if(!rowTotals.concat(columnTotals).every(function(sum){ return sum > 0; }))
+		throw new Error("table must not have a row or column of only zeros");
+
+	var statistic = 0, expected, i, j;
+	for(i = 0; i < rows; i++){
+		for(j = 0; j < columns; j++){
+			expected = rowTotals[i] * columnTotals[j] / total;
+			statistic += (table[i][j] - expected) * (table[i][j] - expected) / expected;
 		}
 	}
 
-	return isarray(data) ? parseInt(arg) : arg;
+	var df = (rows - 1) * (columns - 1);
+
+	return {"statistic" : statistic, "df" : df, "pValue" : chiSquareUpper(statistic, df)};
+}
+
+/* One-way analysis of variance, do groups have the same mean?
+ *
+ *	`ds.stats.anova(groups)`
+ *
+ *	* groups - an array of arrays of numbers, or an object mapping labels to arrays
+ *
+ *	`ds.stats.anova(dataset, grouper, selector)`
+ *
+ *	* dataset - array of javascript objects, the groups are the values selected
+ *		from each group produced by the grouper (as in {@link dataship.frame.groupby})
+ *
+ *	returns - an object with the `statistic` (F), degrees of freedom `df` (an array
+ *		of the between and within group degrees of freedom) and `pValue`
+ *
+ * @examples
+ * var result = ds.stats.anova([[1, 2, 3], [2, 3, 4], [5, 6, 7]]);
+ *
+ * ds.num.allclose([result.statistic, result.pValue], [13, Math.pow(1 + 26 / 6, -3)])	// => true
+ * result.df	// => [2, 6]
+ */
+dataship.stats.anova = function anova(groups, grouper, selector){
+	groups = sampleGroups(groups, grouper, selector);
+
+	var k = groups.length;
+	var n = 0, grand = 0;
+	groups.forEach(function(group){
+		n += group.length;
+		grand += dataship.num.sum(group);
+	});
+	grand /= n;
+
+	var between = 0, within = 0;
+	groups.forEach(function(group){
+		var mean = dataship.num.mean(group);
+		between += group.length * (mean - grand) * (mean - grand);
+		for(var i = 0; i < group.length; i++) within += (group[i] - mean) * (group[i] - mean);
+	});
+
+	var df1 = k - 1, df2 = n - k;
+	var F = (between / df1) / (within / df2);
+
+	return {"statistic" : F, "df" : [df1, df2], "pValue" : fisherUpper(F, df1, df2)};
+}
+
+/* Mann-Whitney U test (also called the Wilcoxon rank-sum test), do two samples come
+ *	from the same distribution? Uses the normal approximation, with corrections for
+ *	ties and continuity, so needs more than a handful of values in each sample.
+ *
+ *	`ds.stats.mannWhitney(sample1, sample2)`
+ *
+ *	`ds.stats.mannWhitney(dataset, grouper, selector)`
+ *
+ *	returns - an object with the `statistic` (U for the first sample), `df` (always
+ *		`null`, the test has no degrees of freedom) and a two sided `pValue`. Throws
+ *		an error if a sample is empty or all the values are tied.
+ *
+ * @examples
+ * var result = ds.stats.mannWhitney([1, 2, 3, 4, 5, 6, 7], [5, 6, 7, 8, 9, 10, 11, 12]);
+ *
+ * result.statistic	// => 4.5
+ * ds.num.allclose([result.pValue], [0.0076102])	// => true
+ */
+dataship.stats.mannWhitney = function mannWhitney(a, b, selector){
+	var groups = isarray(a) && !isobject(a[0]) ? [presentValues(a), presentValues(b)] : sampleGroups(a, b, selector);
+	if(groups.length !== 2) throw new Error("Mann-Whitney needs exactly two samples, found " + groups.length);
+
+	var x = groups[0], y = groups[1];
+	var n1 = x.length, n2 = y.length, n = n1 + n2;
+	if(n1 === 0 || n2 === 0) throw new Error("samples must not be empty");
+	var ranked = ranks(x.concat(y));
+
+	var rankSum = 0;
+	for(var i = 0; i < n1; i++) rankSum += ranked[i];
+
+	var U = rankSum - n1 * (n1 + 1) / 2;
+	var mean = n1 * n2 / 2;
+	var sd = Math.sqrt(n1 * n2 / 12 * ((n + 1) - tieCorrection(ranked) / (n * (n - 1))));
+	if(!(sd > 0)) throw new Error("all values are tied, there's nothing to rank");
+
+	var z = (Math.abs(U - mean) - 0.5) / sd;
+
+	return {"statistic" : U, "df" : null, "pValue" : Math.min(1, 2 * normalUpper(z))};
 }
 
-/* Return the keys in the order which sorts the values.
- * Works on arrays and objects, when values have a default sort order.
+/* Kruskal-Wallis H test, do several samples come from the same distribution?
+ *	A rank based alternative to {@link dataship.stats.anova}.
  *
- * @examples
- * var numbers = [10, 3, 125, 42];
-
- * ds.num.argsort(numbers);	// => [1, 0, 3, 2]
+ *	`ds.stats.kruskalWallis(groups)`
  *
- * var animals = { "People" : 21, "Cats" : 0,  "Dogs" : 3};
+ *	`ds.stats.kruskalWallis(dataset, grouper, selector)`
  *
- * ds.num.argsort(animals);	// => ["Cats", "Dogs", "People"]
+ *	returns - an object with the `statistic` (H, corrected for ties), degrees of
+ *		freedom `df` and `pValue`
+ *
+ * @examples
+ * var result = ds.stats.kruskalWallis([[1, 2, 3], [2, 3, 4], [5, 6, 7]]);
  *
+ * ds.num.allclose([result.statistic, result.pValue], [6.0564972, 0.0484003])	// => true
+ * result.df	// => 2
  */
-dataship.num.argsort = function argsort(data){
+dataship.stats.kruskalWallis = function kruskalWallis(groups, grouper, selector){
+	groups = sampleGroups(groups, grouper, selector);
 
-	if(!isobject(data) && !isarray(data)) throw new Error("works only on arrays and objects");
+	var all = [];
+	groups.forEach(function(group){ all = all.concat(group); });
 
-	keys = isobject(data) ? Object.keys(data) : range(0, data.length);
+	var n = all.length;
+	var ranked = ranks(all);
 
-	keys.sort(function(a, b){
-		if(data[a] < data[b]) return -1;
-		if(data[b] < data[a]) return 1;
-
-		return 0;
+	var H = 0, offset = 0;
+	groups.forEach(function(group){
+		var sum = 0;
+		for(var i = 0; i < group.length; i++) sum += ranked[offset + i];
+		H += sum * sum / group.length;
+		offset += group.length;
 	});
+	H = 12 / (n * (n + 1)) * H - 3 * (n + 1);
+	H /= 1 - tieCorrection(ranked) / (n * n * n - n);
 
-	return keys;
-}
+	var df = groups.length - 1;
 
+	return {"statistic" : H, "df" : df, "pValue" : chiSquareUpper(H, df)};
+}
 
-/* Rename the columns in a dataset or the keys in an object/index.
+/* Probability distributions. Each function takes the parameters of the distribution
+ *	and returns an object with
  *
- *	Use the specified mapping from old labels to new to modify labels in the object
- * or dataset.
+ *	* `pdf(x)` - probability density (continuous distributions), or
+ *	  `pmf(k)` - probability mass (discrete distributions)
+ *	* `cdf(x)` - cumulative probability, P(X <= x)
+ *	* `sf(x)` - survival function, the upper tail P(X > x)
+ *	* `quantile(p)` - inverse of the cdf, for discrete distributions the smallest
+ *		`k` with `cdf(k) >= p`
+ *	* `sample(n, rng)` - an array of `n` random values (or a single value if `n` is
+ *		omitted). `rng` is an optional generator from {@link dataship.random.generator}, or
+ *		a function returning uniform numbers in [0, 1) (default: the shared generator,
+ *		see {@link dataship.random.seed})
  *
- *	`relabel(obj, labels)`
+ *	The distributions are
  *
- *  * obj - object to rename
- *	* labels - mapping from old labels to new
+ *	* `ds.stats.dist.normal(mean, sd)` (default: 0, 1)
+ *	* `ds.stats.dist.t(df)` - Student's t
+ *	* `ds.stats.dist.chisquare(df)`
+ *	* `ds.stats.dist.f(df1, df2)` - Fisher-Snedecor F
+ *	* `ds.stats.dist.binomial(n, p)`
+ *	* `ds.stats.dist.poisson(lambda)`
+ *	* `ds.stats.dist.exponential(rate)` (default: 1)
+ *	* `ds.stats.dist.uniform(min, max)` (default: 0, 1)
+ *	* `ds.stats.dist.beta(a, b)`
  *
- *	`relabel(dataset, labels)`
+ *	Tail probabilities are computed directly rather than as `1 - p`, so they stay
+ *	accurate to around 14 significant digits far into the tails. Use `sf` for upper
+ *	tails, `1 - cdf(x)` can't be less than about 1e-16.
+ *	The last examples compare against reference values computed with arbitrary
+ *	precision arithmetic.
  *
- *	* dataset - frame containing objects to relabel columns of
- *	* labels - mapping from old labels to new
+ * @examples
+ * var normal = ds.stats.dist.normal();
  *
+ * ds.num.allclose([normal.cdf(1.959963984540054), normal.cdf(-8)], [0.975, 6.220960574271784e-16], 1e-12, 1e-300)	// => true
+ * ds.num.allclose([normal.quantile(0.975), normal.quantile(1e-10)], [1.959963984540054, -6.361340902404056], 1e-12)	// => true
+ * ds.num.allclose([ds.stats.dist.normal(10, 2).pdf(10)], [1 / (2 * Math.sqrt(2 * Math.PI))])	// => true
  *
- * @examples
+ * ds.num.allclose([ds.stats.dist.t(1).cdf(1), ds.stats.dist.t(10).quantile(0.975)], [0.75, 2.228138851986274], 1e-12)	// => true
+ * ds.num.allclose([ds.stats.dist.chisquare(2).cdf(3), ds.stats.dist.chisquare(3).quantile(0.95)], [1 - Math.exp(-1.5), 7.814727903251178], 1e-12)	// => true
+ * ds.num.allclose([ds.stats.dist.f(5, 10).quantile(0.95)], [3.325834530413011], 1e-12)	// => true
  *
- * var result = {
- *    "foo" : 20,
- *	  "bar" : 30
- * };
+ * ds.num.allclose([ds.stats.dist.binomial(10, 0.5).pmf(5), ds.stats.dist.binomial(10, 0.5).cdf(5)], [252 / 1024, 638 / 1024], 1e-12)	// => true
+ * ds.stats.dist.binomial(10, 0.5).quantile(0.5)	// => 5
+ * ds.num.allclose([ds.stats.dist.poisson(3).pmf(2), ds.stats.dist.poisson(3).cdf(2)], [4.5 * Math.exp(-3), 8.5 * Math.exp(-3)], 1e-12)	// => true
+ * ds.stats.dist.poisson(3).quantile(0.5)	// => 3
  *
- * ds.frame.relabel({"0" : 20, "1": 30}, {"0": "foo", "1" : "bar"})	// => result
+ * ds.stats.dist.exponential(2).quantile(0.5)	// => Math.LN2 / 2
+ * ds.stats.dist.uniform(2, 6).cdf(3)	// => 0.25
+ * ds.num.allclose([ds.stats.dist.beta(2, 3).cdf(0.5), ds.stats.dist.beta(2, 2).quantile(0.5)], [0.6875, 0.5], 1e-12)	// => true
+ *
+ * ds.stats.dist.uniform(0, 1).sample(3, function(){ return 0.5; })	// => [0.5, 0.5, 0.5]
+ *
+ * ds.num.allclose([normal.sf(10), ds.stats.dist.chisquare(2).sf(80)], [7.619853024160526e-24, 4.248354255291589e-18], 1e-12, 1e-300)	// => true
+ * ds.num.allclose([ds.stats.dist.chisquare(1000).sf(1500), ds.stats.dist.chisquare(1e5).sf(1.02e5)], [1.0454640385979657e-22, 4.411939255120306e-6], 1e-10, 1e-300)	// => true
+ * ds.num.allclose([ds.stats.dist.chisquare(2e6).cdf(2e6), ds.stats.dist.poisson(1e6).cdf(1e6)], [0.5001329807608726, 0.5002659614862837], 1e-12)	// => true
+ * ds.num.allclose([ds.stats.dist.poisson(1000).sf(1200)], [3.884939570987924e-10], 1e-10, 1e-300)	// => true
+ * ds.num.allclose([ds.stats.dist.binomial(10, 0.5).sf(8)], [11 / 1024], 1e-12)	// => true
  */
-dataship.frame.relabel = function relabel(obj, labels){
+dataship.stats.dist = {};
 
-	if(isframe(obj)){
-		for(var i = 0; i < obj.length; i++){
-			relabelObject(obj[i], labels);
+dataship.stats.dist.normal = function normal(mean, sd){
+	mean = mean == null ? 0 : mean;
+	sd = sd == null ? 1 : sd;
+	if(!(sd > 0)) throw new Error("sd must be positive");
+
+	return continuous({
+		"pdf" : function(x){
+			var z = (x - mean) / sd;
+			return Math.exp(-z * z / 2) / (sd * Math.sqrt(2 * Math.PI));
+		},
+		"cdf" : function(x){ return normalUpper((mean - x) / sd); },
+		"sf" : function(x){ return normalUpper((x - mean) / sd); },
+		"quantile" : function(p){ return mean + sd * normalQuantile(p); },
+		"random" : function(rng){ return mean + sd * normalRandom(rng); }
+	});
+}
+
+dataship.stats.dist.t = function t(df){
+	if(!(df > 0)) throw new Error("df must be positive");
+
+	var scale = Math.exp(logGamma((df + 1) / 2) - logGamma(df / 2)) / Math.sqrt(df * Math.PI);
+
+	return continuous({
+		"pdf" : function(x){ return scale * Math.pow(1 + x * x / df, -(df + 1) / 2); },
+		"cdf" : function(x){ return studentCdf(x, df); },
+		"sf" : function(x){ return studentCdf(-x, df); },
+		"lower" : -Infinity,
+		"random" : function(rng){ return normalRandom(rng) / Math.sqrt(2 * gammaRandom(df / 2, rng) / df); }
+	});
+}
+
+dataship.stats.dist.chisquare = function chisquare(df){
+	if(!(df > 0)) throw new Error("df must be positive");
+
+	var k = df / 2;
+
+	return continuous({
+		"pdf" : function(x){
+			if(x < 0) return 0;
+			if(x === 0) return k < 1 ? Infinity : k === 1 ? 0.5 : 0;
+			return Math.exp((k - 1) * Math.log(x) - x / 2 - k * Math.LN2 - logGamma(k));
+		},
+		"cdf" : function(x){ return gammaP(k, x / 2); },
+		"sf" : function(x){ return gammaQ(k, x / 2); },
+		"lower" : 0,
+		"random" : function(rng){ return 2 * gammaRandom(k, rng); }
+	});
+}
+
+dataship.stats.dist.f = function f(df1, df2){
+	if(!(df1 > 0) || !(df2 > 0)) throw new Error("df1 and df2 must be positive");
+
+	var logScale = (df1 / 2) * Math.log(df1 / df2) - logBeta(df1 / 2, df2 / 2);
+
+	return continuous({
+		"pdf" : function(x){
+			if(x < 0) return 0;
+			if(x === 0) return df1 < 2 ? Infinity : df1 === 2 ? 1 : 0;
+			return Math.exp(logScale + (df1 / 2 - 1) * Math.log(x) - ((df1 + df2) / 2) * Math.log(1 + df1 * x / df2));
+		},
+		"cdf" : function(x){ return x <= 0 ? 0 : incompleteBeta(df1 * x / (df1 * x + df2), df1 / 2, df2 / 2); },
+		"sf" : function(x){ return fisherUpper(x, df1, df2); },
+		"lower" : 0,
+		"random" : function(rng){ return (gammaRandom(df1 / 2, rng) / df1) / (gammaRandom(df2 / 2, rng) / df2); }
+	});
+}
+
+dataship.stats.dist.beta = function beta(a, b){
+	if(!(a > 0) || !(b > 0)) throw new Error("a and b must be positive");
+
+	var logScale = -logBeta(a, b);
+
+	return continuous({
+		"pdf" : function(x){
+			if(x < 0 || x > 1) return 0;
+			if(x === 0) return a < 1 ? Infinity : a === 1 ? b : 0;
+			if(x === 1) return b < 1 ? Infinity : b === 1 ? a : 0;
+			return Math.exp(logScale + (a - 1) * Math.log(x) + (b - 1) * Math.log(1 - x));
+		},
+		"cdf" : function(x){ return incompleteBeta(x, a, b); },
+		"sf" : function(x){ return incompleteBeta(1 - x, b, a); },
+		"lower" : 0,
+		"upper" : 1,
+		"random" : function(rng){
+			var x = gammaRandom(a, rng);
+			return x / (x + gammaRandom(b, rng));
 		}
-	} else {
-		relabelObject(obj, labels);
-	}
+	});
+}
 
-	return obj;
+dataship.stats.dist.exponential = function exponential(rate){
+	rate = rate == null ? 1 : rate;
+	if(!(rate > 0)) throw new Error("rate must be positive");
+
+	return continuous({
+		"pdf" : function(x){ return x < 0 ? 0 : rate * Math.exp(-rate * x); },
+		"cdf" : function(x){ return x < 0 ? 0 : -Math.expm1(-rate * x); },
+		"sf" : function(x){ return x < 0 ? 1 : Math.exp(-rate * x); },
+		"quantile" : function(p){ return -Math.log1p(-p) / rate; },
+		"random" : function(rng){ return -Math.log1p(-rng()) / rate; }
+	});
 }
 
-function relabelObject(obj, labels){
+dataship.stats.dist.uniform = function uniform(min, max){
+	min = min == null ? 0 : min;
+	max = max == null ? 1 : max;
+	if(!(max > min)) throw new Error("max must be greater than min");
 
-	for(key in obj){
-		if(key in labels){
-			obj[labels[key]] = obj[key];
-			delete obj[key];
+	var width = max - min;
+
+	return continuous({
+		"pdf" : function(x){ return (x < min || x > max) ? 0 : 1 / width; },
+		"cdf" : function(x){ return x <= min ? 0 : x >= max ? 1 : (x - min) / width; },
+		"sf" : function(x){ return x <= min ? 1 : x >= max ? 0 : (max - x) / width; },
+		"quantile" : function(p){ return min + p * width; },
+		"random" : function(rng){ return min + rng() * width; }
+	});
+}
+
+dataship.stats.dist.binomial = function binomial(n, p){
+	if(!isinteger(n) || n < 0) throw new Error("n must be a non-negative integer");
+	if(!(p >= 0 && p <= 1)) throw new Error("p must be between 0 and 1");
+
+	return discrete({
+		"pmf" : function(k){
+			if(!isinteger(k) || k < 0 || k > n) return 0;
+			if(p === 0) return k === 0 ? 1 : 0;
+			if(p === 1) return k === n ? 1 : 0;
+			return Math.exp(logChoose(n, k) + k * Math.log(p) + (n - k) * Math.log1p(-p));
+		},
+		"cdf" : function(k){
+			k = Math.floor(k);
+			if(k < 0) return 0;
+			if(k >= n) return 1;
+			return incompleteBeta(1 - p, n - k, k + 1);
+		},
+		"sf" : function(k){
+			k = Math.floor(k);
+			if(k < 0) return 1;
+			if(k >= n) return 0;
+			return incompleteBeta(p, k + 1, n - k);
+		},
+		"upper" : n,
+		"guess" : function(q){ return n * p + Math.sqrt(n * p * (1 - p)) * normalQuantile(q); },
+		"random" : function(rng, quantile){
+			if(n > 50) return quantile(rng());
+
+			var count = 0;
+			for(var i = 0; i < n; i++) if(rng() < p) count++;
+			return count;
+		}
+	});
+}
+
+dataship.stats.dist.poisson = function poisson(lambda){
+	if(!(lambda > 0)) throw new Error("lambda must be positive");
+
+	return discrete({
+		"pmf" : function(k){
+			if(!isinteger(k) || k < 0) return 0;
+			return Math.exp(k * Math.log(lambda) - lambda - logGamma(k + 1));
+		},
+		"cdf" : function(k){
+			k = Math.floor(k);
+			return k < 0 ? 0 : gammaQ(k + 1, lambda);
+		},
+		"sf" : function(k){
+			k = Math.floor(k);
+			return k < 0 ? 1 : gammaP(k + 1, lambda);
+		},
+		"upper" : Infinity,
+		"guess" : function(q){ return lambda + Math.sqrt(lambda) * normalQuantile(q); },
+		"random" : function(rng, quantile){
+			if(lambda > 30) return quantile(rng());
+
+			// Knuth's method
+			var limit = Math.exp(-lambda), product = rng(), k = 0;
+			while(product > limit){
+				product *= rng();
+				k++;
+			}
+			return k;
 		}
+	});
+}
+
+/* build the public object for a continuous distribution, filling in the quantile
+ *	function by numerical inversion when there's no closed form
+ * @private
+ */
+function continuous(spec){
+	var lower = spec.lower === void(0) ? -Infinity : spec.lower;
+	var upper = spec.upper === void(0) ? Infinity : spec.upper;
+
+	var quantile = spec.quantile || function(p){ return invertCdf(spec, p, lower, upper); };
+
+	return {
+		"pdf" : spec.pdf,
+		"cdf" : spec.cdf,
+		"sf" : spec.sf,
+		"quantile" : function(p){
+			if(!(p >= 0 && p <= 1)) return NaN;
+			if(p === 0) return lower;
+			if(p === 1) return upper;
+			return quantile(p);
+		},
+		"sample" : sampler(spec.random)
+	};
+}
+
+/* build the public object for a distribution over the non-negative integers
+ * @private
+ */
+function discrete(spec){
+	var quantile = function(p){
+		if(!(p >= 0 && p <= 1)) return NaN;
+		if(p === 1) return spec.upper;
+
+		// start from a normal approximation and step to the answer
+		var k = Math.max(0, Math.min(spec.upper, Math.floor(spec.guess(Math.min(Math.max(p, 1e-12), 1 - 1e-12)))));
+		if(isNaN(k)) k = 0;
+		while(k < spec.upper && spec.cdf(k) < p) k++;
+		while(k > 0 && spec.cdf(k - 1) >= p) k--;
+
+		return k;
+	};
+
+	return {
+		"pmf" : spec.pmf,
+		"cdf" : spec.cdf,
+		"sf" : spec.sf,
+		"quantile" : quantile,
+		"sample" : sampler(function(rng){ return spec.random(rng, quantile); })
+	};
+}
+
+/* wrap a function drawing one random value as a sample(n, rng) method
+ * @private
+ */
+function sampler(random){
+	return function sample(n, rng){
+		rng = rng || defaultGenerator.random;
+		if(rng instanceof Generator) rng = rng.random;
+
+		if(n == null) return random(rng);
+
+		var result = new Array(n);
+		for(var i = 0; i < n; i++) result[i] = random(rng);
+		return result;
+	};
+}
+
+/* solve cdf(x) = p with Newton's method, falling back to bisection. Works from
+ *	whichever tail is smaller, to keep precision.
+ * @private
+ */
+function invertCdf(spec, p, lower, upper){
+	var useUpper = p > 0.5;
+	var target = useUpper ? 1 - p : p;
+	var f = useUpper ?
+		function(x){ return target - spec.sf(x); } :
+		function(x){ return spec.cdf(x) - target; };
+
+	// bracket the root
+	var lo = lower, hi = upper, step = 1;
+	if(lo === -Infinity){
+		lo = Math.min(0, upper) - step;
+		while(f(lo) > 0){ hi = lo; step *= 2; lo -= step; }
+	}
+	step = 1;
+	if(hi === Infinity){
+		hi = Math.max(0, lo) + step;
+		while(f(hi) < 0){ lo = hi; step *= 2; hi += step; }
 	}
 
-	return obj;
+	var x = (lo + hi) / 2, fx, dx, next;
+	for(var i = 0; i < 300; i++){
+		fx = f(x);
+		if(fx === 0) return x;
+		if(fx < 0) lo = x;
+		else hi = x;
+
+		// newton step, if it stays inside the bracket
+		dx = fx / spec.pdf(x);
+		next = x - dx;
+		if(!isFinite(next) || next <= lo || next >= hi) next = (lo + hi) / 2;
+
+		if(Math.abs(next - x) <= 1e-15 * Math.abs(x) || hi - lo <= 1e-15 * Math.abs(x) || hi - lo < 1e-300) return next;
+		x = next;
+	}
+
+	return x;
 }
 
-/* Get an array of column labels for a dataset.
- *
- * `ds.frame.labels(dataset)`
- *
- * @examples
- * var movies = [
- *     {"Title":"Fight Club",            "Year":1999},
- *     {"Title":"The Matrix",            "Year":1999},
- *     {"Title":"Stranger Than Fiction", "Year":2006}
- * ];
- *
- * ds.frame.labels(movies)		// => ["Title", "Year"]
- *
+/* standard normal quantile, algorithm AS 241 (Wichura, 1988), accurate to about 1e-16
+ * @private
  */
-dataship.frame.labels = function(dataset){
-	if(!isframe(dataset)) throw new Error("dataset isn't a valid frame");
+function normalQuantile(p){
+	if(p <= 0) return -Infinity;
+	if(p >= 1) return Infinity;
+
+	var q = p - 0.5, r, value;
+
+	if(Math.abs(q) <= 0.425){
+		r = 0.180625 - q * q;
+		return q * (((((((r * 2509.0809287301226727 + 33430.575583588128105) * r + 67265.770927008700853) * r +
+			45921.953931549871457) * r + 13731.693765509461125) * r + 1971.5909503065514427) * r + 133.14166789178437745) * r +
+			3.387132872796366608) / (((((((r * 5226.495278852545925 + 28729.085735721942674) * r + 39307.89580009271061) * r +
+			21213.794301586595867) * r + 5394.1960214247511077) * r + 687.1870074920579083) * r + 42.313330701600911252) * r + 1);
+	}
 
-	if(dataset.length == 0) return [];
+	r = q < 0 ? p : 1 - p;
+	r = Math.sqrt(-Math.log(r));
 
-	return Object.keys(dataset[0]);
+	if(r <= 5){
+		r -= 1.6;
+		value = (((((((r * 7.7454501427834140764e-4 + 0.0227238449892691845833) * r + 0.24178072517745061177) * r +
+			1.27045825245236838258) * r + 3.64784832476320460504) * r + 5.7694972214606914055) * r + 4.6303378461565452959) * r +
+			1.42343711074968357734) / (((((((r * 1.05075007164441684324e-9 + 5.475938084995344946e-4) * r + 0.0151986665636164571966) * r +
+			0.14810397642748007459) * r + 0.68976733498510000455) * r + 1.6763848301838038494) * r + 2.05319162663775882187) * r + 1);
+	} else {
+		r -= 5;
+		value = (((((((r * 2.01033439929228813265e-7 + 2.71155556874348757815e-5) * r + 0.0012426609473880784386) * r +
+			0.026532189526576123093) * r + 0.29656057182850489123) * r + 1.7848265399172913358) * r + 5.4637849111641143699) * r +
+			6.6579046435011037772) / (((((((r * 2.04426310338993978564e-15 + 1.4215117583164458887e-7) * r + 1.8463183175100546818e-5) * r +
+			7.868691311456132591e-4) * r + 0.0148753612908506148525) * r + 0.13692988092273580531) * r + 0.59983220655588793769) * r + 1);
+	}
+
+	return q < 0 ? -value : value;
 }
 
-/* Extract a column (or virtual column) from a dataset and return it as an array.
- *
- *	`ds.frame.column(dataset, selector)`
- *
- *	* `dataset` - an array of JSON objects
- *	* `selector` - the name of the field (string) to extract as a column or
- *		a function taking a row and returning a value (useful for creating
- *		virtual columns)
+/* standard normal random number (Box-Muller transform)
+ * @private
+ */
+function normalRandom(rng){
+	var u = 1 - rng(), v = rng();
+	return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/* gamma distributed random number with unit scale (Marsaglia and Tsang, 2000)
+ * @private
+ */
+function gammaRandom(shape, rng){
+	if(shape < 1){
+		// boost, then scale back down
+		return gammaRandom(shape + 1, rng) * Math.pow(1 - rng(), 1 / shape);
+	}
+
+	var d = shape - 1 / 3, c = 1 / Math.sqrt(9 * d);
+	var x, v, u;
+	for(;;){
+		do {
+			x = normalRandom(rng);
+			v = 1 + c * x;
+		} while(v <= 0);
+
+		v = v * v * v;
+		u = 1 - rng();
+		if(u < 1 - 0.0331 * x * x * x * x) return d * v;
+		if(Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+	}
+}
+
+/* logarithms of the beta function and binomial coefficients
+ * @private
+ */
+function logBeta(a, b){
+	return logGamma(a) + logGamma(b) - logGamma(a + b);
+}
+
+function logChoose(n, k){
+	return logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1);
+}
+
+/* Create a random number generator, which produces the same sequence of numbers
+ *	every time for the same seed. Uses the xoshiro128** algorithm, seeded with splitmix32.
  *
+ *	`ds.random.generator(seed)`
  *
- * @examples
- * var movies = [
- *     {"Title":"Fight Club",            "Year":1999},
- *     {"Title":"The Matrix",            "Year":1999},
- *     {"Title":"Stranger Than Fiction", "Year":2006}
- * ];
+ *	* seed - (optional) a number or string (default: a random seed)
  *
- *	ds.frame.column(movies, "Year")		// => [1999, 1999, 2006]
- *	ds.frame.column(movies, function(row){ return row.Year})	// => [1999, 1999, 2006]
+ *	returns - a generator with the following methods, which are also available as
+ *		`ds.random.uniform`, `ds.random.normal`, etc. using a shared generator that can
+ *		be reset with `ds.random.seed(seed)`
  *
+ *	* `random()` - a float in [0, 1), with 53 bits of precision
+ *	* `uniform(low, high, n)` - a float in [low, high) (default: 0, 1), or an array of `n` of them
+ *	* `normal(mean, sd, n)` - a normally distributed float (default: 0, 1), or an array of `n` of them
+ *	* `integers(low, high, n)` - an integer in [low, high), or an array of `n` of them
+ *	* `shuffle(array)` - shuffle an array in place (Fisher-Yates), and return it
+ *	* `choice(values, n, options)` - pick a value from an array, or an array of `n` of
+ *		them. `options` may have `replace` (pick with replacement, default: `true`) and
+ *		`weights` (an array of relative probabilities for each value, finite numbers
+ *		that aren't negative)
  *
- * function fullTitle(row){
- *     return row.Title + " (" + row.Year + ")";
- * }
+ *	A generator can also be passed as the `rng` to the `sample` methods of the
+ *	distributions in `ds.stats.dist`.
  *
- * var fullTitleResult = [
- *     "Fight Club (1999)",
- *     "The Matrix (1999)",
- *     "Stranger Than Fiction (2006)",
- * ];
+ * @examples
+ * var a = ds.random.generator(42), b = ds.random.generator(42);
  *
- *	ds.frame.column(movies, fullTitle)	// => fullTitleResult
+ * a.uniform(0, 1, 5)	// => b.uniform(0, 1, 5)
+ * a.integers(0, 10, 1000).every(function(x){ return x >= 0 && x < 10 && x % 1 === 0; })	// => true
+ * a.shuffle([1, 2, 3, 4, 5]).sort()	// => [1, 2, 3, 4, 5]
+ * a.choice(["x", "y"], 3, {"weights" : [1, 0]})	// => ["x", "x", "x"]
+ * a.choice([1, 2, 3], 3, {"replace" : false}).sort()	// => [1, 2, 3]
  *
+ * ds.random.seed("reproducible");
+ * var first = ds.random.normal(0, 1, 3);
+ * ds.random.seed("reproducible");
  *
+ * ds.random.normal(0, 1, 3)	// => first
+ * ds.stats.dist.poisson(4).sample(5, ds.random.generator(7))	// => [5, 3, 4, 3, 2]
  */
-dataship.frame.column = function column(dataset, selector){
-	if(!isframe(dataset)) throw new Error("dataset isn't a valid frame");
-	if(!isstring(selector) && !isfunction(selector)) throw new Error("selector must be a string or function");
-
-	if(typeof(selector) === "string"){
-		var field_name = selector;
-		selector = function(row){ return row[field_name]; };
-	}
+dataship.random.generator = function generator(seed){
+	return new Generator(seed);
+}
 
-	return dataset.map(selector);
+/* Reset the shared generator behind `ds.random.uniform`, `ds.random.normal`, etc.
+ *	and the default `rng` for sampling, so later results can be reproduced.
+ *
+ *	`ds.random.seed(seed)`
+ */
+dataship.random.seed = function seed(seed){
+	defaultGenerator = new Generator(seed);
 }
 
-/* Add a column or columns to a dataset, in-place
+// methods of the shared generator
+var generatorMethods = ["random", "uniform", "normal", "integers", "shuffle", "choice"];
+generatorMethods.forEach(function(method){
+	dataship.random[method] = function(){
+		return defaultGenerator[method].apply(defaultGenerator, arguments);
+	};
+});
+
+/* Draw a random sample of rows from a dataset.
  *
- * `ds.frame.widen(dataset, values, identifier)`
- *	* dataset - array of JSON objects
- *	* values - array of values
- *	* identifier - name to use as the key for the new column
+ *	`ds.frame.sample(dataset, n, options)`
  *
- * `ds.frame.widen(dataset, datasetAdd)`
- *	* dataset - array of JSON objects to add to
- *	* datasetAdd - array of JSON objects with columns to add, must be same length as dataset
+ *	* dataset - array of javascript objects, or a columnar frame
+ *	* n - the number of rows to draw
+ *	* options - (optional) an object with any of the following
+ *		* replace - draw with replacement, so rows can appear more than once (default: `false`)
+ *		* weights - relative probability of drawing each row, as an array or a column
+ *			label or function (as in {@link dataship.frame.column}). Weights must be
+ *			finite numbers that aren't negative.
+ *		* seed - seed for the random number generator, to make the sample reproducible
+ *			(default: use the shared generator, see {@link dataship.random.seed})
  *
- * @example
+ * @examples
  * var movies = [
- *     {"Title":"Fight Club",            "Year":1999},
- *     {"Title":"The Matrix",            "Year":1999},
- *     {"Title":"Stranger Than Fiction", "Year":2006}
- * ];
- * var moviesCopy = JSON.parse(JSON.stringify(movies));
- *
- * var ratings = [8.9, 8.7, 7.6];
- *
- * var result = [
  *     {"Title":"Fight Club",            "Year":1999, "Rating":8.9},
  *     {"Title":"The Matrix",            "Year":1999, "Rating":8.7},
  *     {"Title":"Stranger Than Fiction", "Year":2006, "Rating":7.6}
  * ];
  *
- * ds.frame.widen(movies, ratings, "Rating")	// => result
+ * ds.frame.sample(movies, 2, {"seed" : 1})	// => [movies[2], movies[0]]
+ * ds.frame.sample(movies, 3).length	// => 3
+ * ds.frame.sample(movies, 5, {"replace" : true, "weights" : function(row){ return row.Year > 2000 ? 1 : 0; }})	// => [movies[2], movies[2], movies[2], movies[2], movies[2]]
+ */
+dataship.frame.sample = function sample(dataset, n, options){
+	if(iscolumnar(dataset)) dataset = dataship.frame.rows(dataset);
+	if(!isframe(dataset)) throw new Error("dataset isn't a valid frame");
+
+	options = options || {};
+	var replace = !!options.replace;
+	if(!replace && n > dataset.length) throw new Error("can't draw more rows than the dataset has without replacement");
+
+	var weights = options.weights;
+	if(isstring(weights) || isfunction(weights)) weights = dataship.frame.column(dataset, weights);
+
+	var rng = options.seed == null ? defaultGenerator : new Generator(options.seed);
+
+	return rng.choice(dataset, n, {"replace" : replace, "weights" : weights});
+}
+
+/* Estimate a statistic and its confidence interval by resampling (the percentile
+ *	bootstrap). Works with any function of an array, like the ones in `ds.num`.
  *
- * var financials = [
- *    {"Budget": 63000000, "Gross":  37023395},
- *    {"Budget": 63000000, "Gross": 171383253},
- *    {"Budget": 38000000, "Gross":  40137776}
- * ];
+ *	`ds.stats.bootstrap(data, statistic, iterations, options)`
  *
- * var moviesWithFinancials = [
- *     {"Title":"Fight Club",            "Year":1999, "Budget": 63000000, "Gross": 37023395},
- *     {"Title":"The Matrix",            "Year":1999, "Budget": 63000000, "Gross":171383253},
- *     {"Title":"Stranger Than Fiction", "Year":2006, "Budget": 38000000, "Gross": 40137776}
- * ];
+ *	* data - array of values, or of rows (not empty)
+ *	* statistic - function taking an array like `data` and returning a number
+ *	* iterations - number of resamples (default: 1000)
+ *	* options - (optional) an object with any of the following
+ *		* alpha - the interval covers `1 - alpha` of the resampled statistics (default: 0.05)
+ *		* seed - seed for the random number generator, to make the result reproducible
+ *			(default: use the shared generator, see {@link dataship.random.seed})
  *
- * ds.frame.widen(moviesCopy, financials)	// => moviesWithFinancials
+ *	returns - an object with the `estimate` (the statistic of the data itself), `lower`
+ *		and `upper` bounds of the interval, `standardError` and `replicates`, an array of
+ *		the statistic for each resample
+ *
+ * @examples
+ * var result = ds.stats.bootstrap([3, 1, 4, 1, 5, 9, 2, 6], ds.num.mean, 2000, {"seed" : 3});
+ *
+ * result.estimate	// => 3.875
+ * result.lower < result.estimate && result.estimate < result.upper	// => true
+ * result.replicates.length	// => 2000
+ * ds.stats.bootstrap([2, 2, 2], ds.num.median, 10).upper	// => 2
+ */
+dataship.stats.bootstrap = function bootstrap(data, statistic, iterations, options){
+	if(!isarray(data)) throw new Error("data must be an array");
+	if(data.length === 0) throw new Error("data must not be empty");
+	if(!isfunction(statistic)) throw new Error("statistic must be a function");
+
+	iterations = iterations || 1000;
+	options = options || {};
+	var alpha = options.alpha == null ? 0.05 : options.alpha;
+	var rng = options.seed == null ? defaultGenerator : new Generator(options.seed);
+
+	var n = data.length;
+	var replicates = new Array(iterations);
+	var resample = new Array(n);
+	for(var i = 0; i < iterations; i++){
+		for(var j = 0; j < n; j++) resample[j] = data[rng.below(n)];
+		replicates[i] = statistic(resample);
+	}
+
+	var interval = dataship.num.quantile(replicates, [alpha / 2, 1 - alpha / 2]);
+
+	return {
+		"estimate" : statistic(data),
+		"lower" : interval[0],
+		"upper" : interval[1],
+		"standardError" : dataship.num.std(replicates),
+		"replicates" : replicates
+	};
+}
+
+/* seedable random number generator, see ds.random.generator
+ * @private
  */
-dataship.frame.widen = function widen(dataset, values, identifier){
-	if(!isframe(dataset)) throw new Error("dataset isn't a valid frame");
-	if(!isarray(values)) throw new Error("values must be an array or frame");
+function Generator(seed){
+	if(seed == null) seed = Math.random() * 4294967296;
+
+	// hash strings to a number
+	if(isstring(seed)){
+		var hash = 2166136261;
+		for(var i = 0; i < seed.length; i++) hash = Math.imul(hash ^ seed.charCodeAt(i), 16777619);
+		seed = hash;
+	}
 
-	if(dataset.length != values.length)
-		throw new Error("datasets must be of equal lengths");
+	// splitmix32 to fill the state, which must not be all zeros
+	var x = seed >>> 0;
+	var state = this.state = new Uint32Array(4);
+	for(i = 0; i < 4; i++){
+		x = (x + 0x9e3779b9) | 0;
+		var z = x;
+		z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+		z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+		state[i] = z ^ (z >>> 16);
+	}
+	if((state[0] | state[1] | state[2] | state[3]) === 0) state[0] = 1;
 
-	if(dataset.length == 0) return dataset;
+	var self = this;
+	// usable as a plain function, e.g. as the rng of a distribution's sample method
+	this.random = function(){ return self.float(); };
+}
 
-	// are we adding an array of numbers?
-	if(isnumber(values[0])){
-		// yes
-		identifier = identifier || "column" + Object.keys(dataset[0]).length;
+/* next 32 random bits (xoshiro128**)
+ */
+Generator.prototype.next = function(){
+	var s = this.state;
+	var result = Math.imul(rotateLeft(Math.imul(s[1], 5), 7), 9);
+	var t = s[1] << 9;
+
+	s[2] ^= s[0];
+	s[3] ^= s[1];
+	s[1] ^= s[2];
+	s[0] ^= s[3];
+	s[2] ^= t;
+	s[3] = rotateLeft(s[3], 11);
+
+	return result >>> 0;
+};
 
-		var row;
+Generator.prototype.float = function(){
+	// 53 bits from two draws
+	var high = this.next() >>> 5, low = this.next() >>> 6;
+	return (high * 67108864 + low) / 9007199254740992;
+};
 
-		for(var i = 0; i < dataset.length; i++){
-			row = dataset[i];
-			row[identifier] = values[i];
-			dataset[i] = row;
+/* uniform integer in [0, n), without modulo bias
+ */
+Generator.prototype.below = function(n){
+	if(n > 4294967296) return Math.floor(this.float() * n);
+
+	var limit = 4294967296 - (4294967296 % n);
+	var x;
+	do {
+		x = this.next();
+	} while(x >= limit);
+
+	return x % n;
+};
+
+Generator.prototype.uniform = function(low, high, n){
+	low = low == null ? 0 : low;
+	high = high == null ? 1 : high;
+
+	var self = this;
+	return repeatDraw(n, function(){ return low + self.float() * (high - low); });
+};
+
+Generator.prototype.normal = function(mean, sd, n){
+	mean = mean == null ? 0 : mean;
+	sd = sd == null ? 1 : sd;
+
+	var self = this;
+	return repeatDraw(n, function(){ return mean + sd * normalRandom(self.random); });
+};
+
+Generator.prototype.integers = function(low, high, n){
+	if(!isinteger(low) || !isinteger(high) || high <= low) throw new Error("low and high must be integers, with low < high");
+
+	var self = this;
+	return repeatDraw(n, function(){ return low + self.below(high - low); });
+};
+
+Generator.prototype.shuffle = function(array){
+	var j, swap;
+	for(var i = array.length - 1; i > 0; i--){
+		j = this.below(i + 1);
+		swap = array[i];
+		array[i] = array[j];
+		array[j] = swap;
+	}
+
+	return array;
+};
+
+Generator.prototype.choice = function(values, n, options){
+	options = options || {};
+	var replace = options.replace !== false;
+	var weights = options.weights;
+	var count = n == null ? 1 : n;
+	var self = this;
+	var result, i;
+
+	if(weights != null && weights.length !== values.length) throw new Error("weights must be the same length as values");
+	if(!replace && count > values.length) throw new Error("can't choose more values than there are without replacement");
+	if(weights != null){
+		for(i = 0; i < weights.length; i++){
+			if(!isnumber(weights[i]) || !isFinite(weights[i]) || weights[i] < 0) throw new Error("weights must be finite numbers that aren't negative");
 		}
 	}
-	else if(isobject(values[0])){
-		// no, it's another dataset
 
-		for(var i = 0; i < dataset.length; i++){
-			Object.assign(dataset[i], values[i]);
+	if(weights == null){
+		if(replace){
+			result = repeatDraw(count, function(){ return values[self.below(values.length)]; });
+		} else {
+			// partial Fisher-Yates over the indices
+			var indices = range(values.length);
+			result = new Array(count);
+			for(i = 0; i < count; i++){
+				var j = i + this.below(indices.length - i);
+				var swap = indices[i]; indices[i] = indices[j]; indices[j] = swap;
+				result[i] = values[indices[i]];
+			}
+		}
+	} else if(replace){
+		// search the cumulative weights
+		var cumulative = new Float64Array(weights.length);
+		var total = 0;
+		for(i = 0; i < weights.length; i++){
+			total += weights[i];
+			cumulative[i] = total;
 		}
+		if(!(total > 0)) throw new Error("weights must not all be zero");
+
+		result = repeatDraw(count, function(){
+			var target = self.float() * total;
+			var lo = 0, hi = cumulative.length - 1, mid;
+			while(lo < hi){
+				mid = (lo + hi) >> 1;
+				if(cumulative[mid] > target) hi = mid;
+				else lo = mid + 1;
+			}
+			return values[lo];
+		});
+	} else {
+		// Efraimidis-Spirakis: the largest keys u^(1 / w) are a weighted sample
+		var keyed = [];
+		for(i = 0; i < values.length; i++){
+			if(weights[i] > 0) keyed.push({"key" : Math.log(1 - this.float()) / weights[i], "index" : i});
+		}
+		if(keyed.length < count) throw new Error("not enough values with positive weights to choose from");
+
+		keyed.sort(function(a, b){ return b.key - a.key; });
+		result = keyed.slice(0, count).map(function(item){ return values[item.index]; });
 	}
 
-	return dataset
+	return n == null ? result[0] : result;
+};
+
+function rotateLeft(x, k){
+	return (x << k) | (x >>> (32 - k));
 }
 
-/* Add a row or rows to a dataset, in place
- *
+/* call draw once, or n times into an array
+ * @private
  */
-dataship.frame.lengthen = function(dataset, row){
-
-	if(dataset.length != values.length)
-		throw new Error("datasets must be of equal lengths");
+function repeatDraw(n, draw){
+	if(n == null) return draw();
 
+	var result = new Array(n);
+	for(var i = 0; i < n; i++) result[i] = draw();
+	return result;
+}
 
-	// are we adding a row object
-	if(isobject(row)){
-		// yes
-
-		// validate
-		if(dataset.length == 0) return [row];
+var defaultGenerator = new Generator();
 
-		if(!subset(dataset[0], row) || !subset(row, dataset[0]))
-			throw new Error("rows must have the same columns")
+/* values of an array that aren't missing
+ * @private
+ */
+function presentValues(values){
+	return Array.prototype.filter.call(values, function(val){ return !ismissing(val); });
+}
 
-		dataset.push(JSON.parse(JSON.stringify(row)));
+/* the present values selected from each group of a dataset, as an object mapping
+ *	group labels to arrays
+ * @private
+ */
+function groupValues(dataset, grouper, selector){
+	var group = accessor(dataset, grouper);
+	var select = accessor(dataset, selector);
+
+	var groups = {}, id, val;
+	for(var i = 0; i < dataset.length; i++){
+		val = select(i);
+		if(ismissing(val)) continue;
+
+		id = group(i);
+		if(!(id in groups)) groups[id] = [];
+		groups[id].push(val);
 	}
-	else if(isarray(row)){
-		// no, it's another dataset
-
-		var datasetAdd = row;
-		// validate
-		if(datasetAdd.length == 0) return dataset;
-		if(dataset.length == 0) return datasetAdd;
 
-		if(!subset(dataset[0], datasetAdd[0]) || !subset(datasetAdd[0], dataset[0]))
-			throw new Error("rows must have the same columns")
+	return groups;
+}
 
+/* normalize the ways samples can be given to a test into an array of arrays
+ * @private
+ */
+function sampleGroups(groups, grouper, selector){
+	if(iscolumnar(groups) || isarray(groups) && groups.length && isobject(groups[0]))
+		return Object.values(groupValues(groups, grouper, selector));
+	if(isobject(groups)) groups = Object.values(groups);
 
-		for(var i = 0; i < datasetAdd.length; i++){
-			row = datasetAdd[i];
-			dataset.push(JSON.parse(JSON.stringify(row)));
-		}
-	}
+	return groups.map(presentValues);
 }
-function subset(obj1, obj2){
-	for(key in obj1){
-		if(key in obj2) continue;
 
-		return false;
+/* sum of t^3 - t over groups of t tied ranks
+ * @private
+ */
+function tieCorrection(ranked){
+	var sorted = ranked.slice().sort(function(a, b){ return a - b; });
+	var sum = 0, i = 0, j;
+	while(i < sorted.length){
+		j = i;
+		while(j + 1 < sorted.length && sorted[j + 1] === sorted[i]) j++;
+		var t = j - i + 1;
+		sum += t * t * t - t;
+		i = j + 1;
 	}
 
-	return true;
+	return sum;
 }
 
-/* Statistical summaries for groups in a dataset.
- *
- *	`ds.frame.groupby(dataset, grouper, selector, reducer, initial)`
+/* Apply a reducer over a sliding window of values, e.g. a moving average.
  *
- *	* dataset - array of javascript objects, one per row
- *	* grouper - the label of the column to group by or a
- *		function taking a row and returning a group label (virtual category)
- *	* selector - the label of the column to compute on (sum, mean, etc) or a
- *		function taking a row object and returning a number (virtual column)
- *	* reducer - `function(agg, val, n)` function to compute over all numbers in a group
- *		(default: [dataship.reduce.count](#dataship-reduce-count))
- *	* initial - value to use in first call to reducer, if not specified reducer will
- *		first be called after two values have been encountered. (see
- *		[Array.prototype.reduce](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/Reduce) )
+ *	`ds.stats.rolling(values, window, reducer, options)`
  *
- * @examples
- * var movies = [
- *     {"Title":"Fight Club",            "Year":1999, "Rating":8.9},
- *     {"Title":"The Matrix",            "Year":1999, "Rating":8.7},
- *     {"Title":"Stranger Than Fiction", "Year":2006, "Rating":7.6}
- * ];
+ *	* values - array (or typed array) of numbers, or an index object
+ *	* window - the number of values in each window, or a time span when the values
+ *		have times (see `on`): either milliseconds or a string like `"30s"`, `"15m"`,
+ *		`"12h"`, `"7d"` or `"2w"`
+ *	* reducer - a `function(agg, val, n)` reducer (like those in `ds.reduce`) or the name
+ *		of one of the fast built in reductions: "mean", "sum", "min", "max" or "std"
+ *		(sample standard deviation). `ds.reduce.mean`, `sum`, `min` and `max` use the
+ *		fast versions automatically.
+ *	* options - (optional) an object with any of the following
+ *		* center - label each window at its center instead of its end (default: `false`)
+ *		* minPeriods - the fewest values a window needs to produce a result, otherwise
+ *			it's `null` (default: the window size, or `1` for time spans)
+ *		* on - an array of dates (Date objects, timestamps or ISO-8601 strings) for
+ *			each value, in ascending order. Required for time spans, unless `values`
+ *			is an index keyed by date strings.
  *
- * var countByYear = {
- *     1999 : 2,
- *     2006 : 1
- * };
+ *	`null`, `undefined` and `NaN` values are skipped, and don't count towards `minPeriods`.
  *
- * ds.frame.groupby(movies, "Year")	// => countByYear
+ *	returns - an array with one result per value, or an index with the same keys.
  *
- * var averageRatingByYear = {
- *    1999 : 8.8,
- *    2006 : 7.6
- * };
+ * @examples
+ * ds.stats.rolling([1, 2, 3, 4, 5], 3, "mean")	// => [null, null, 2, 3, 4]
+ * ds.stats.rolling([1, 2, 3, 4, 5], 3, ds.reduce.sum, {"minPeriods" : 1})	// => [1, 3, 6, 9, 12]
+ * ds.stats.rolling([1, 5, 2, 4, 3], 3, "max", {"center" : true})	// => [null, 5, 5, 4, null]
+ * ds.stats.rolling([4, 2, 6, null, 8], 2, function(agg, val){ return agg * val; })	// => [null, 8, 12, null, null]
+ * ds.stats.rolling({"a" : 2, "b" : 4, "c" : 4}, 2, "std")	// => {"a" : null, "b" : Math.SQRT2, "c" : 0}
  *
- * ds.frame.groupby(movies, "Year", "Rating", ds.reduce.mean)	// => averageRatingByYear
+ * var days = ["2016-09-01", "2016-09-02", "2016-09-05", "2016-09-06"];
  *
+ * ds.stats.rolling([1, 2, 3, 4], "2d", "sum", {"on" : days})	// => [1, 3, 3, 7]
+ * ds.stats.rolling({"2016-09-01" : 1, "2016-09-04" : 2, "2016-09-05" : 3}, "3d", "mean")	// => {"2016-09-01" : 1, "2016-09-04" : 2, "2016-09-05" : 2.5}
  */
-dataship.frame.groupby = function groupby(dataset, grouper, selector, reducer, initial){
+dataship.stats.rolling = function rolling(values, window, reducer, options){
+	options = options || {};
+
+	var keys = isobject(values) ? Object.keys(values) : null;
+	var data = keys !== null ? keys.map(function(key){ return values[key]; }) : values;
+	var n = data.length;
+
+	var timed = isstring(window) || options.on != null;
+	var starts = new Int32Array(n), ends = new Int32Array(n);
+	var minPeriods, i;
+
+	if(timed){
+		var span = isstring(window) ? parseDuration(window) : window;
+		var times = windowTimes(options.on != null ? options.on : keys, n);
+
+		// window covers (t - span, t], or (t - span/2, t + span/2] when centered
+		var before = options.center ? span / 2 : span;
+		var after = options.center ? span / 2 : 0;
+		var start = 0, end = 0;
+		for(i = 0; i < n; i++){
+			while(start < n && times[start] <= times[i] - before) start++;
+			while(end < n && times[end] <= times[i] + after) end++;
+			starts[i] = start;
+			ends[i] = end;
+		}
 
-	// default reducer is a sum
-	if(reducer == null){
-		reducer = ds.reduce.count;
-		initial = 0;
-	}
+		minPeriods = options.minPeriods == null ? 1 : options.minPeriods;
+	} else {
+		if(!isinteger(window) || window < 1) throw new Error("window must be a positive integer or a time span");
+
+		var offset = options.center ? (window / 2 | 0) : window - 1;
+		for(i = 0; i < n; i++){
+			starts[i] = Math.max(0, i - offset);
+			ends[i] = Math.min(n, i - offset + window);
+		}
 
-	if(typeof(grouper) === "string"){
-		var group_field = grouper;
-		grouper = function(row){ return row[group_field]; };
+		minPeriods = options.minPeriods == null ? window : options.minPeriods;
 	}
 
-	selector = selector || grouper;
+	var result = windowReduce(data, starts, ends, reducer, minPeriods);
 
-	if(typeof(selector) === "string"){
-		var value_field = selector;
-		selector = function(row){ return row[value_field]; };
-	}
+	if(keys === null) return result;
 
-	var result = {};
-	var count = {};
-	var state = {};
-	var row, id, agg, val, n;
+	var index = {};
+	for(i = 0; i < n; i++) index[keys[i]] = result[i];
 
-	for(i = 0; i < dataset.length; i++){
-		row = dataset[i];
-		id = grouper(row);
-		val = selector(row);
-		if(result[id] === void(0)){
-			if(initial != null){
-				result[id] = initial;
-				count[id] = 0;
-				state[id] = {};
-			} else {
-				result[id] = val;
-				count[id] = 1;
-				state[id] = {};
-				continue;
-			}
-		}
-		agg = result[id];
-		n = count[id];
-		reducer.state = state[id];
-		result[id] = reducer(agg, val, n);
-		state[id] = reducer.state;
-		count[id] = n + 1;
-	}
-	return result;
+	return index;
 }
 
-dataship.frame.groupers.labeler = function(selector, labeler){
+/* Apply a reducer over a window of all the values so far, e.g. a running maximum.
+ *
+ *	`ds.stats.expanding(values, reducer, options)`
+ *
+ *	* values - array (or typed array) of numbers, or an index object
+ *	* reducer - a `function(agg, val, n)` reducer or the name of a fast reduction,
+ *		as in {@link dataship.stats.rolling}
+ *	* options - (optional) an object with any of the following
+ *		* minPeriods - the fewest values needed to produce a result, otherwise
+ *			it's `null` (default: `1`)
+ *
+ * @examples
+ * ds.stats.expanding([1, 2, 3, 4], "mean")	// => [1, 1.5, 2, 2.5]
+ * ds.stats.expanding([3, 1, 4, 1, 5], ds.reduce.max)	// => [3, 3, 4, 4, 5]
+ * ds.stats.expanding({"a" : 1, "b" : 2, "c" : 3}, ds.reduce.sum, {"minPeriods" : 2})	// => {"a" : null, "b" : 3, "c" : 6}
+ */
+dataship.stats.expanding = function expanding(values, reducer, options){
+	options = options || {};
 
-	if(isstring(selector)){
-		var select_field = selector;
-		selector = function(row){ return row[select_field]; };
-		selector.label = select_field;
-	}
+	var keys = isobject(values) ? Object.keys(values) : null;
+	var data = keys !== null ? keys.map(function(key){ return values[key]; }) : values;
+	var n = data.length;
 
-	if(!isfunction(labeler)){
-		var labels = labeler;
-		labeler = function(i){ return (i in labels) ? labels[i] : i; };
-	}
+	var starts = new Int32Array(n), ends = new Int32Array(n);
+	for(var i = 0; i < n; i++) ends[i] = i + 1;
 
-	var grouper = function(row){
-		var val = selector(row);
-		return labeler(val);
-	}
+	var result = windowReduce(data, starts, ends, reducer, options.minPeriods == null ? 1 : options.minPeriods);
 
-	grouper.label = selector.label;
+	if(keys === null) return result;
 
-	return grouper;
+	var index = {};
+	for(i = 0; i < n; i++) index[keys[i]] = result[i];
+
+	return index;
 }
 
-/* Return a function that selects a column containing numbers and puts
- *	them into numerical groups (also called bins or buckets) based on intervals.
- *
- *	`ds.frame.groupers.interval(selector, bounds, labels)`
+/* Correlation between every pair of columns in a dataset. Each pair uses the rows where
+ *	both values are present (not `null`, `undefined` or `NaN`).
  *
- *	* selector - the label of the column to form groups from, or a
- *		function taking a row object and returning a number (virtual column).
- *	* bounds - an array of upper bounds for the intervals, `n` values produce `n + 1` intervals.
- *	* labels - an array labels to use for the groups, instead of integers (length should be `n + 1`)
+ *	`ds.stats.corr(dataset, columns, method)`
  *
- *	returns - `function(row)` takes a row and returns the label for the interval
- *    containing the selected value in that row. Returned labels are an integer in `[0, n+1]`,
- *    or the corresponding label provided in the initial constructor.
+ *	* dataset - array of javascript objects, or a columnar frame
+ *	* columns - (optional) array of column labels (default: every column whose
+ *		values are all numbers)
+ *	* method - "pearson" (linear), "spearman" (rank) or "kendall" (tau-b, rank
+ *		concordance, takes time proportional to the square of the rows) (default: "pearson")
  *
- *  `[-Inf, b0), [b0, b1), ..., [bn-1, bn), [bn, Inf)`
+ *	returns - a matrix, as an object mapping each label to an object mapping each
+ *		label to a coefficient. Pass it to {@link dataship.frame} to get a frame.
  *
  * @examples
  * var movies = [
- *     {"Title":"Fight Club",            "Year":1999, "Rating":8.9},
- *     {"Title":"The Matrix",            "Year":1999, "Rating":8.7},
- *     {"Title":"Stranger Than Fiction", "Year":2006, "Rating":7.6}
+ *     {"Budget": 10, "Gross": 20, "Rating": 9},
+ *     {"Budget": 20, "Gross": 40, "Rating": 7},
+ *     {"Budget": 30, "Gross": 90, "Rating": 8}
  * ];
  *
- * var round = ds.frame.groupers.interval("Rating", [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+ * var spearman = {
+ *     "Budget" : {"Budget" : 1,    "Gross" : 1,    "Rating" : -0.5},
+ *     "Gross"  : {"Budget" : 1,    "Gross" : 1,    "Rating" : -0.5},
+ *     "Rating" : {"Budget" : -0.5, "Gross" : -0.5, "Rating" : 1}
+ * };
  *
- * round(movies[0])		// => 8
- * round(movies[1])		// => 8
- * round(movies[2])		// => 7
+ * ds.stats.corr(movies, null, "spearman")	// => spearman
+ * ds.stats.corr(movies, ["Budget", "Rating"], "kendall").Budget.Rating	// => -1 / 3
+ * ds.num.allclose([ds.stats.corr(movies).Budget.Gross], [0.970725343394151])	// => true
  *
- * var cutoff = ds.frame.groupers.interval("Rating", [8]);
+ * var framed = [
+ *     {"column" : "Budget", "Budget" : 1,    "Rating" : -0.5},
+ *     {"column" : "Rating", "Budget" : -0.5, "Rating" : 1}
+ * ];
  *
- * cutoff(movies[0])	// => 1
- * cutoff(movies[1])	// => 1
- * cutoff(movies[2])	// => 0
+ * ds.frame(ds.stats.corr(movies, ["Budget", "Rating"], "spearman"), ["column"])	// => framed
+ */
+dataship.stats.corr = function corr(dataset, columns, method){
+	method = method || "pearson";
+
+	var coefficient = correlations[method];
+	if(coefficient === void(0)) throw new Error("method must be one of 'pearson', 'spearman' or 'kendall'");
+
+	return pairwise(dataset, columns, coefficient);
+}
+
+/* Covariance between every pair of columns in a dataset. Each pair uses the rows where
+ *	both values are present (not `null`, `undefined` or `NaN`).
  *
- * var middle = ds.frame.groupers.interval("Rating", [5]);
+ *	`ds.stats.cov(dataset, columns, ddof)`
  *
- * middle(movies[0])	// => 1
- * middle(movies[1])	// => 1
- * middle(movies[2])	// => 1
+ *	* dataset - array of javascript objects, or a columnar frame
+ *	* columns - (optional) array of column labels (default: every column whose
+ *		values are all numbers)
+ *	* ddof - (optional) delta degrees of freedom, the divisor is `n - ddof` (default: 1)
  *
- * var noneShallPass = ds.frame.groupers.interval("Rating", [9]);
+ *	returns - a matrix, as an object mapping each label to an object mapping each
+ *		label to a covariance, as in {@link dataship.stats.corr}
  *
- * noneShallPass(movies[0])	// => 0
- * noneShallPass(movies[1])	// => 0
- * noneShallPass(movies[2])	// => 0
+ * @examples
+ * var movies = [
+ *     {"Budget": 10, "Gross": 20},
+ *     {"Budget": 20, "Gross": 40},
+ *     {"Budget": 30, "Gross": null}
+ * ];
+ *
+ * var covariance = {
+ *     "Budget" : {"Budget" : 100, "Gross" : 100},
+ *     "Gross"  : {"Budget" : 100, "Gross" : 200}
+ * };
+ *
+ * ds.stats.cov(movies)	// => covariance
+ */
+dataship.stats.cov = function cov(dataset, columns, ddof){
+	ddof = ddof == null ? 1 : ddof;
+
+	return pairwise(dataset, columns, function(x, y){
+		var n = x.length;
+		if(n - ddof <= 0) return NaN;
+
+		var mx = 0, my = 0, sum = 0, i;
+		for(i = 0; i < n; i++){ mx += x[i]; my += y[i]; }
+		mx /= n;
+		my /= n;
+		for(i = 0; i < n; i++) sum += (x[i] - mx) * (y[i] - my);
+
+		return sum / (n - ddof);
+	});
+}
+
+/* apply a function to the complete pairs of values of every pair of columns,
+ *	returning a labeled matrix
+ * @private
+ */
+function pairwise(dataset, columns, func){
+	if(!isframe(dataset) && !iscolumnar(dataset)) throw new Error("dataset isn't a valid frame");
+
+	columns = columns || numericLabels(dataset);
+
+	var values = columns.map(function(label){ return dataship.frame.column(dataset, label); });
+	var matrix = {};
+	columns.forEach(function(label){ matrix[label] = {}; });
+
+	var i, j, k, x, y, a, b;
+	for(i = 0; i < columns.length; i++){
+		for(j = i; j < columns.length; j++){
+			// rows where both are present
+			x = [];
+			y = [];
+			for(k = 0; k < values[i].length; k++){
+				a = values[i][k];
+				b = values[j][k];
+				if(ismissing(a) || ismissing(b)) continue;
+				x.push(a);
+				y.push(b);
+			}
+
+			matrix[columns[i]][columns[j]] = matrix[columns[j]][columns[i]] = func(x, y);
+		}
+	}
+
+	return matrix;
+}
+
+/* ranks of values (starting at 1), ties get the average of the ranks they span
+ * @private
+ */
+function ranks(values){
+	var order = range(values.length).sort(function(a, b){ return values[a] - values[b]; });
+	var result = new Array(values.length);
+
+	var i = 0, j, rank;
+	while(i < order.length){
+		j = i;
+		while(j + 1 < order.length && values[order[j + 1]] === values[order[i]]) j++;
+
+		rank = (i + j) / 2 + 1;
+		for(var k = i; k <= j; k++) result[order[k]] = rank;
+
+		i = j + 1;
+	}
+
+	return result;
+}
+
+/* correlation coefficients for a pair of complete arrays
+ * @private
+ */
+var correlations = {
+	"pearson" : function(x, y){
+		var n = x.length;
+		if(n < 2) return NaN;
+
+		var mx = 0, my = 0, i;
+		for(i = 0; i < n; i++){ mx += x[i]; my += y[i]; }
+		mx /= n;
+		my /= n;
+
+		var sxy = 0, sxx = 0, syy = 0, dx, dy;
+		for(i = 0; i < n; i++){
+			dx = x[i] - mx;
+			dy = y[i] - my;
+			sxy += dx * dy;
+			sxx += dx * dx;
+			syy += dy * dy;
+		}
+
+		return sxy / Math.sqrt(sxx * syy);
+	},
+	"spearman" : function(x, y){
+		return correlations.pearson(ranks(x), ranks(y));
+	},
+	"kendall" : function(x, y){
+		var n = x.length;
+		if(n < 2) return NaN;
+
+		// tau-b, which accounts for ties
+		var concordant = 0, discordant = 0, tiesX = 0, tiesY = 0;
+		var dx, dy;
+		for(var i = 0; i < n; i++){
+			for(var j = i + 1; j < n; j++){
+				dx = x[i] - x[j];
+				dy = y[i] - y[j];
+				if(dx === 0 && dy === 0) continue;
+				if(dx === 0) tiesX++;
+				else if(dy === 0) tiesY++;
+				else if(dx * dy > 0) concordant++;
+				else discordant++;
+			}
+		}
+
+		return (concordant - discordant) / Math.sqrt((concordant + discordant + tiesX) * (concordant + discordant + tiesY));
+	}
+};
+
+var DURATIONS = {"ms" : 1, "s" : 1000, "m" : 60000, "h" : 3600000, "d" : 86400000, "w" : 604800000};
+
+/* convert a time span like "7d" to milliseconds
+ * @private
  */
-dataship.frame.groupers.interval = function interval(selector, bounds, labels){
+function parseDuration(text){
+	var match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)$/.exec(text);
+	if(match === null) throw new Error("can't understand time span '" + text + "'");
 
-	if(isstring(selector)){
-		var select_field = selector;
-		selector = function(row){ return row[select_field]; };
-		selector.label = select_field;
+	return parseFloat(match[1]) * DURATIONS[match[2]];
+}
+
+/* convert an array of dates, timestamps or date strings to sorted timestamps
+ * @private
+ */
+function windowTimes(dates, n){
+	if(dates == null || dates.length !== n) throw new Error("time spans need a date for every value");
+
+	var times = new Float64Array(n);
+	for(var i = 0; i < n; i++){
+		times[i] = isdate(dates[i]) ? dates[i].getTime() : isnumber(dates[i]) ? dates[i] : Date.parse(dates[i]);
+
+		if(isNaN(times[i])) throw new Error("can't understand date '" + dates[i] + "'");
+		if(i > 0 && times[i] < times[i - 1]) throw new Error("dates must be in ascending order");
 	}
 
-	var labeler;
-	if(labels == null || labels.length < bounds.length){
-		labeler = function(i){ return i; };
-	} else if(labels.length >= (bounds.length + 1)){
-		 labeler = function(i){ return labels[i]; };
-	} else if(labels.length == bounds.length){
-		labeler = function(i){
-			return (i < labels.length ? labels[i] : ">" + labels[i - 1]);
+	return times;
+}
+
+/* reduce each window [starts[i], ends[i]) of values, both bounds must never decrease
+ * @private
+ */
+function windowReduce(values, starts, ends, reducer, minPeriods){
+	var fast = isstring(reducer) ? reducer :
+		reducer === dataship.reduce.mean ? "mean" :
+		reducer === dataship.reduce.sum ? "sum" :
+		reducer === dataship.reduce.min ? "min" :
+		reducer === dataship.reduce.max ? "max" : null;
+
+	if(fast !== null && !(fast in windowReducers)) throw new Error("unknown reducer '" + fast + "'");
+	if(fast === null && !isfunction(reducer) && !isaggregator(reducer)) throw new Error("reducer must be a function, an aggregator or the name of a reduction");
+
+	var n = values.length;
+	var result = new Array(n);
+	var window = fast !== null ? windowReducers[fast]() : null;
+	var aggregator = fast === null ? dataship.reduce.aggregator(reducer) : null;
+	var count = 0, start = 0, end = 0;
+	var i, j, k, state;
+
+	for(i = 0; i < n; i++){
+		if(window !== null){
+			// slide the window, adding and removing values
+			for(; end < ends[i]; end++){
+				if(!ismissing(values[end])){ window.add(values[end], end); count++; }
+			}
+			for(; start < starts[i]; start++){
+				if(!ismissing(values[start])){ window.remove(values[start], start); count--; }
+			}
+
+			result[i] = (count >= Math.max(minPeriods, 1)) ? window.value() : null;
+			continue;
 		}
+
+		// any other reducer is applied to the whole window
+		state = aggregator.init();
+		k = 0;
+		for(j = starts[i]; j < ends[i]; j++){
+			if(ismissing(values[j])) continue;
+			state = aggregator.step(state, values[j]);
+			k++;
+		}
+
+		result[i] = (k >= Math.max(minPeriods, 1)) ? aggregator.finalize(state) : null;
 	}
 
-	var grouper = function(row){
+	return result;
+}
 
-		var val = selector(row);
+/* is a value null, undefined or NaN?
+ * @private
+ */
+function ismissing(val){
+	return val == null || val !== val;
+}
 
-		for(var i = 0; i < bounds.length; i++){
-			if(val < bounds[i]){
-				return labeler(i);
+/* incremental versions of common reductions for sliding windows
+ * @private
+ */
+var windowReducers = {
+	"sum" : function(){
+		var sum = 0;
+		return {
+			"add" : function(x){ sum += x; },
+			"remove" : function(x){ sum -= x; },
+			"value" : function(){ return sum; }
+		};
+	},
+	"mean" : function(){
+		var sum = 0, n = 0;
+		return {
+			"add" : function(x){ sum += x; n++; },
+			"remove" : function(x){ sum -= x; n--; },
+			"value" : function(){ return sum / n; }
+		};
+	},
+	"std" : function(){
+		// Welford's algorithm, run forwards and backwards
+		var mean = 0, m2 = 0, n = 0;
+		return {
+			"add" : function(x){
+				n++;
+				var delta = x - mean;
+				mean += delta / n;
+				m2 += delta * (x - mean);
+			},
+			"remove" : function(x){
+				n--;
+				if(n === 0){
+					mean = m2 = 0;
+					return;
+				}
+				var delta = x - mean;
+				mean -= delta / n;
+				m2 -= delta * (x - mean);
+			},
+			"value" : function(){ return n < 2 ? NaN : Math.sqrt(Math.max(m2, 0) / (n - 1)); }
+		};
+	},
+	"min" : function(){ return monotonicWindow(function(a, b){ return a <= b; }); },
+	"max" : function(){ return monotonicWindow(function(a, b){ return a >= b; }); }
+};
+
+/* sliding window min or max, using a queue of candidate values
+ * @private
+ */
+function monotonicWindow(keeps){
+	var values = [], indices = [], head = 0;
+	return {
+		"add" : function(x, i){
+			// drop candidates that can never win again
+			while(values.length > head && keeps(x, values[values.length - 1])){
+				values.pop();
+				indices.pop();
 			}
-		}
-		return labeler(i);
+			values.push(x);
+			indices.push(i);
+		},
+		"remove" : function(x, i){
+			if(head < indices.length && indices[head] === i) head++;
+
+			// reclaim the space used by expired candidates
+			if(head > 1024 && head * 2 > values.length){
+				values = values.slice(head);
+				indices = indices.slice(head);
+				head = 0;
+			}
+		},
+		"value" : function(){ return values[head]; }
 	};
-	grouper.label = selector.label;
-
-	return grouper;
 }
 
-/* Draw a histogram chart, a bar chart created by applying {@link dataship.frame.groupby}
- * to a dataset.
+/* Parse delimited text (CSV, TSV, etc.) into a dataset. Quoting follows
+ *	[RFC 4180](https://tools.ietf.org/html/rfc4180): fields containing delimiters,
+ *	quotes or line breaks are wrapped in double quotes, and quotes inside them are doubled.
  *
- *  `ds.vis.histogram(dataset, grouper, selector, reducer, fill, title)`
+ *	`ds.io.csv.parse(text, options)`
  *
+ *	* text - the delimited text to parse
+ *	* options - (optional) an object with any of the following
+ *		* delimiter - the character separating fields (default: `","`)
+ *		* header - does the first line contain column labels? (default: `true`)
+ *		* columns - array of column labels to use instead of the header
+ *			(default: the header, or `"column0"`, `"column1"`, ... without one)
+ *		* types - `true` to infer a type for each column, `false` to leave every value
+ *			as a string, or an object mapping column labels to one of "integer",
+ *			"float", "date" or "string" (default: `true`)
  *
-dataship.vis.histogram = histogram;
-*/
-
-/* Draw a summary bar chart, created by first applying {@link dataship.frame.groupby}
- * to a dataset.
+ *	Inferred types use the same names as {@link type}: a column is "integer" if every
+ *	value is an integer, "float" if every value is a number, "date" if every value is an
+ *	ISO-8601 date and "string" otherwise. Dates and times without an offset are read as UTC,
+ *	as `Date.parse` reads dates without a time, so the result doesn't depend on the
+ *	local timezone. Numbers written with leading zeros, like `"007"`, count as strings.
+ *	Empty fields in numeric and date columns become `null`, and values that don't fit a
+ *	column's type, inferred or given, are kept as strings.
  *
- *  `ds.vis.groupby.bar(dataset, grouper, selector, reducer, fill, title)`
+ *	A byte order mark at the start of the text is skipped, and a header with the same
+ *	label twice throws an error.
+ *
+ * @examples
+ * var text = 'Title,Year,Rating\n"Fight Club",1999,8.9\n"Crouching Tiger, Hidden Dragon",2000,7.9\n';
+ *
+ * var movies = [
+ *     {"Title":"Fight Club",                     "Year":1999, "Rating":8.9},
+ *     {"Title":"Crouching Tiger, Hidden Dragon", "Year":2000, "Rating":7.9}
+ * ];
  *
+ * ds.io.csv.parse(text)	// => movies
  *
+ * ds.io.csv.parse('a\tb\n1\t"say ""hi"""', {"delimiter" : "\t"})	// => [{"a" : 1, "b" : 'say "hi"'}]
+ * ds.io.csv.parse('1,2\n3,', {"header" : false})	// => [{"column0" : 1, "column1" : 2}, {"column0" : 3, "column1" : null}]
+ * ds.io.csv.parse('id,score\n007,1.5', {"types" : {"id" : "string"}})	// => [{"id" : "007", "score" : 1.5}]
+ * ds.io.csv.parse('id,score\n007,0.5\n12,0')	// => [{"id" : "007", "score" : 0.5}, {"id" : "12", "score" : 0}]
+ * ds.io.csv.parse('day\n2016-09-27')[0].day.getTime()	// => Date.UTC(2016, 8, 27)
+ * ds.io.csv.parse('\ufeffa,b\n1,2')	// => [{"a" : 1, "b" : 2}]
+ * ds.io.csv.parse('time\n2016-09-27 12:00\n2016-09-28T06:30:00+02:00')	// => [{"time" : new Date(Date.UTC(2016, 8, 27, 12))}, {"time" : new Date(Date.UTC(2016, 8, 28, 4, 30))}]
  */
-dataship.vis.groupby.bar = function histogram(dataset, grouper, selector, reducer, fill, title){
-
-	index = dataship.frame.groupby(dataset, grouper, selector, reducer, fill);
+dataship.io.csv.parse = function parse(text, options){
+	if(!isstring(text)) throw new Error("text must be a string");
 
-	var name = isstring(grouper) ? grouper : grouper.label;
-	title = title || titleify(name);
+	var parser = dataship.io.csv.parser(options);
 
-	dataship.vis.bar(index, name, title);
+	return parser.push(text).concat(parser.end());
 }
 
-/* Draw a summary pie chart, a pie chart created by first applying {@link dataship.frame.groupby}
- * to a dataset.
+/* Write a dataset as delimited text, quoting fields where needed.
  *
- *  `ds.vis.groupby.pie(dataset, grouper, selector, reducer, fill, title)`
+ *	`ds.io.csv.stringify(dataset, options)`
+ *
+ *	* dataset - array of javascript objects, one per row
+ *	* options - (optional) an object with any of the following
+ *		* delimiter - the character separating fields (default: `","`)
+ *		* header - write a line of column labels first? (default: `true`)
+ *		* columns - array of the column labels to write (default: {@link dataship.frame.labels})
+ *		* newline - the line terminator (default: `"\n"`)
+ *
+ *	`null` and `undefined` are written as empty fields and dates in ISO-8601 format.
+ *
+ * @examples
+ * var movies = [
+ *     {"Title":"Fight Club",                     "Year":1999, "Rating":8.9},
+ *     {"Title":"Crouching Tiger, Hidden Dragon", "Year":2000, "Rating":null}
+ * ];
  *
+ * var text = 'Title,Year,Rating\nFight Club,1999,8.9\n"Crouching Tiger, Hidden Dragon",2000,\n';
  *
+ * ds.io.csv.stringify(movies)	// => text
+ * ds.io.csv.stringify([{"a" : 'say "hi"', "b" : 2}], {"delimiter" : "\t", "header" : false})	// => '"say ""hi"""\t2\n'
+ * ds.io.csv.stringify([])	// => ""
  */
-dataship.vis.groupby.pie = function(dataset, grouper, selector, reducer, fill, title){
-
-	index = dataship.frame.groupby(dataset, grouper, selector, reducer, fill);
+dataship.io.csv.stringify = function stringify(dataset, options){
+	if(!isframe(dataset)) throw new Error("dataset isn't a valid frame");
 
-	var title = titleify(isstring(grouper) ? grouper : grouper.label);
+	options = options || {};
+	var delimiter = options.delimiter || ",";
+	var newline = options.newline || "\n";
+	var columns = options.columns || dataship.frame.labels(dataset);
 
-	dataship.vis.pie(index, title);
-}
+	var format = function(val){ return formatField(val, delimiter); };
 
-// list of things not to capitalize in titles
-var lowers = {'a':true, 'an':true, 'the':true, 'and':true, 'but':true, 'or':true, 'nor':true, 'of':true, 'on':true, 'at':true, 'from':true,  'to':true, 'by':true, 'for':true, 'in':true, 'as':true}
-function titleify(identifier){
-	// add spaces
-	identifier = identifier.replace(/\-/g, ' ');
-	identifier = identifier.replace(/\_/g, ' ');
-	identifier = identifier.replace(/\./g, ' ');
+	var lines = [];
+	if(options.header !== false) lines.push(columns.map(format).join(delimiter));
 
-	// capitalize words
-	words = identifier.split(" ");
-	for(i = 0; i < words.length; i++){
-		word = words[i];
-		if(!(word in lowers) || i == 0) word = capitalize(word);
-		words[i] = word;
+	var row;
+	for(var i = 0; i < dataset.length; i++){
+		row = dataset[i];
+		lines.push(columns.map(function(column){ return format(row[column]); }).join(delimiter));
 	}
 
-	return words.join(' ');
-}
+	// nothing to write
+	if(columns.length === 0 || lines.length === 0) return "";
 
-function capitalize(string){
-	return string.charAt(0).toUpperCase() + string.slice(1);
+	return lines.join(newline) + newline;
 }
 
-var MAX_LABEL_LENGTH = 27;
-
-/* Draw a bar chart.
+/* Create an incremental parser, for delimited text that arrives in pieces
+ *	(e.g. from a file or network stream). Takes the same options as
+ *	{@link dataship.io.csv.parse}, and one more
  *
- *	`ds.vis.bar(values, labels, name, title, axis)`
+ *	* inferRows - number of rows to look at before deciding on column types,
+ *		rows are held back until this many have been seen (default: `1000`).
+ *		Later values that don't fit their column's type are kept as strings.
  *
- *	* values - array of values (y axis)
- *	* labels - array of labels (x axis)
- *	* name - (optional) name for the data set
- *	* title - (optional) title for the chart
+ *	`ds.io.csv.parser(options)`
  *
- *	`ds.vis.bar(index, name, title)`
+ *	returns - an object with two methods
+ *	* `push(chunk)` - parse a string, returns an array of any rows completed
+ *	* `end()` - finish parsing, returns an array of the remaining rows
  *
- *	* index - object mapping labels to values
- *	* name - (optional) name for the data set
- *	* title - (optional) title for the chart
+ * @examples
+ * var parser = ds.io.csv.parser();
+ *
+ * parser.push("Title,Ye")		// => []
+ * parser.push("ar\nFight Club,19")	// => []
+ * parser.push("99\nThe Matrix,1999")	// => []
+ * parser.end()	// => [{"Title":"Fight Club", "Year":1999}, {"Title":"The Matrix", "Year":1999}]
+ *
+ * var ids = ds.io.csv.parser({"inferRows" : 1});
+ *
+ * ids.push("id\n1\n")	// => [{"id" : 1}]
+ * ids.push("007\nN/A\n")	// => [{"id" : "007"}, {"id" : "N/A"}]
  */
-dataship.vis.bar = function bar(values, labels, name, title, axis){
-
-	// did we get an index object?
-	if(isobject(values)){
-		// yes, parse it out
-		var obj = values;
-		axis = title;
-		title = name;
-		name = labels;
+dataship.io.csv.parser = function parser(options){
+
+	options = options || {};
+	var tokenizer = new CSVTokenizer(options.delimiter || ",");
+	var header = options.header !== false;	// header line still to come?
+	var inferRows = options.inferRows == null ? 1000 : options.inferRows;
+
+	var columns = options.columns || null;
+	var converters = null;
+	var pending = [];
+	var bom = true;	// might the text still start with a byte order mark?
+
+	function rows(records){
+		// first line is the header?
+		if(header && records.length){
+			var labels = records.shift();
+			columns = columns || labels;
+			header = false;
+
+			var seen = {};
+			columns.forEach(function(column){
+				if(seen[column] === true) throw new Error("duplicate column label \"" + column + "\"");
+				seen[column] = true;
+			});
+		}
 
-		labels = Object.keys(obj);
-		values = Object.values(obj);
-	}
+		// still deciding on types?
+		if(converters === null){
+			pending = pending.concat(records);
+			if(pending.length < inferRows) return [];
 
-	name = name || "data";
-	title = title || titleify(name);
-	labels = labels || range(values.length);
+			records = pending;
+			pending = [];
+			decide(records);
+		}
 
-	axis = axis || {};
-	axis.x = axis.x || {};
-	axis.y = axis.y || {};
+		return records.map(toRow);
+	}
 
-	axis.x.type = 'category';
-	var xAxis = { "tick" : {}, "padding" : {}};
+	function decide(records){
+		if(columns === null){
+			var width = records.reduce(function(max, record){ return Math.max(max, record.length); }, 0);
+			columns = range(width).map(function(i){ return "column" + i; });
+		}
 
-	if(isstring(labels[0])){
+		var types = options.types === void(0) ? true : options.types;
 
-		// scale x axis height to make room for labels
-		var maxLabelLength = dataship.num.max(labels.map(function(s){return s.length;}));
-		// more than 7?
-		if(labels.length <= 7){
-			// just increase the height
-			xAxis.height = Math.min(25 + (maxLabelLength / 10 | 0) * 12, 100);
-		} else {
-			// rotate labels
-			xAxis.height = Math.min(25 + maxLabelLength * 3 | 0, 100);
-			xAxis.tick.rotate = 40;
-			xAxis.tick.width = 200;
-			xAxis.padding.right = 1;
+		converters = columns.map(function(column, i){
+			var columnType;
+			if(types === false) columnType = "string";
+			else if(isobject(types) && column in types) columnType = types[column];
+			else columnType = inferColumnType(records, i);
 
-			// more than 30?
-			if(labels.length > 30){
-				// don't show them all
-				xAxis.tick.culling = {"max" : 30};
-				xAxis.tick.fit = true;
-			}
+			return fieldConverters[columnType] || fieldConverters.string;
+		});
+	}
 
-			// some labels really long?
-			if(maxLabelLength > MAX_LABEL_LENGTH){
-				// truncate the long ones
-				labels = labels.map(function(s){ return (s.length <= MAX_LABEL_LENGTH ? s : s.substring(0, MAX_LABEL_LENGTH - 3) + "...");});
-			}
+	function toRow(record){
+		var row = {};
+		for(var i = 0; i < columns.length; i++){
+			row[columns[i]] = i < record.length ? converters[i](record[i]) : null;
 		}
+
+		return row;
 	}
-	axis.x = Object.assign(xAxis, axis.x);
-	axis.x.categories = labels;
 
-	c3.generate({
-		"data" : {
-			"columns" : [
-				[name].concat(values)
-			],
-			"type" : "bar"
+	return {
+		"push" : function(chunk){
+			if(bom && chunk.length){
+				if(chunk.charCodeAt(0) === 0xFEFF) chunk = chunk.slice(1);
+				bom = false;
+			}
+			return rows(tokenizer.push(chunk));
 		},
-		"axis": axis,
-		"title": { "text": title }
-	});
+		"end" : function(){
+			var records = tokenizer.end();
+			var result = rows(records);
+			if(converters === null){
+				records = pending;
+				pending = [];
+				decide(records);
+				result = result.concat(records.map(toRow));
+			}
+			return result;
+		}
+	};
 }
 
-/* Draw a pie chart
- *	`ds.vis.pie(values, labels, title)`
- *
- *	* values - array of values
- *	* labels - array of labels
- *	* title - (optional) title for the chart
+/* Create a Node.js transform stream that parses delimited text into rows
+ *	(an object mode readable). Takes the same options as {@link dataship.io.csv.parser}.
  *
- *	`ds.vis.pie(index, title)`
+ *	`ds.io.csv.parseStream(options)`
  *
- *	* index - object mapping labels to values
+ *	```
+ *	fs.createReadStream("movies.csv")
+ *		.pipe(ds.io.csv.parseStream())
+ *		.on("data", function(row){ ... });
+ *	```
  */
-dataship.vis.pie = function(values, labels, title){
-
-	MAX_VALUES = 20;
-
-	// did we get an index object?
-	if(isobject(values)){
-		// yes, parse it out
-		var obj = values;
-		title = labels;
-
-		labels = Object.keys(obj)
-		values = Object.keys(obj).map(function(k){ return obj[k];})
-	}
-
-	labels = labels || range(values.length);
-
-	var columns = [], label;
-	for(var i = 0; i < values.length && i < MAX_VALUES; i++){
-		label = labels.length > i ? labels[i] : i;
-
-		columns.push([label, values[i]]);
-	}
-
-	c3.generate({
-		data: {
-			// iris data from R
-			columns: columns,
-			type : 'pie',
+dataship.io.csv.parseStream = function parseStream(options){
+	if(typeof(require) !== "function") throw new Error("parseStream is only available in Node.js");
+
+	var Transform = require("stream").Transform;
+	var StringDecoder = require("string_decoder").StringDecoder;
+
+	var parser = dataship.io.csv.parser(options);
+	var decoder = new StringDecoder("utf8");
+
+	return new Transform({
+		"readableObjectMode" : true,
+		"transform" : function(chunk, encoding, callback){
+			var text = isstring(chunk) ? chunk : decoder.write(chunk);
+			var rows;
+			try {
+				rows = parser.push(text);
+			} catch(error){
+				return callback(error);
+			}
+			for(var i = 0; i < rows.length; i++) this.push(rows[i]);
+			callback();
 		},
-		title: { text: title }
+		"flush" : function(callback){
+			var rows;
+			try {
+				rows = parser.push(decoder.end()).concat(parser.end());
+			} catch(error){
+				return callback(error);
+			}
+			for(var i = 0; i < rows.length; i++) this.push(rows[i]);
+			callback();
+		}
 	});
 }
 
-// timeseries(dataset, value_selector, label_selector)
-// line (with automatic timeseries detection)
-// scatter
-
-var MAX_AXIS_PRECISION = 6;
-/* Draw a line chart, values must be numeric, labels must be numeric or strings
- * representing [ISO-8601](https://xkcd.com/1179/) timestamps.
- *
- *	`ds.vis.line(values, labels, name, title, axis)`
+/* Parse tab separated text into a dataset, like {@link dataship.io.csv.parse} with
+ *	a `"\t"` delimiter.
  *
- *	* values - array of values (y axis)
- *	* labels - array of numeric labels (x axis)
- *	* name - (optional) name for the data set
- *	* title - (optional) title for the chart
- *  * axis - (optional) c3 axis options
+ *	`ds.io.tsv.parse(text, options)`
  *
- *	`ds.vis.line(index, name, title)`
+ *	* text - the tab separated text to parse
+ *	* options - (optional) as in {@link dataship.io.csv.parse}
  *
- *	* index - object mapping labels to values
- */
-dataship.vis.line = function(values, labels, name, title, axis){
-
-	// did we get an index object?
-	if(isobject(values)){
-		// yes, parse it out
-		var obj = values;
-		axis = title;
-		title = name;
-		name = labels;
-
-		labels = Object.keys(obj);
-		values = labels.map(function(k){ return obj[k];});
-	}
-
-	name = name || "data";
-	title = title || titleify(name);
-	labels = labels || range(values.length);
+ * @examples
+ * ds.io.tsv.parse('Title\tYear\nFight Club\t1999\n')	// => [{"Title" : "Fight Club", "Year" : 1999}]
+ */
+dataship.io.tsv.parse = function parse(text, options){
+	return dataship.io.csv.parse(text, Object.assign({"delimiter" : "\t"}, options));
+}
 
-	if(values.length == 0 || labels.length == 0) return;
+/* Write a dataset as tab separated text, like {@link dataship.io.csv.stringify}
+ *	with a `"\t"` delimiter.
+ *
+ *	`ds.io.tsv.stringify(dataset, options)`
+ *
+ *	* dataset - array of javascript objects, one per row
+ *	* options - (optional) as in {@link dataship.io.csv.stringify}
+ *
+ * @examples
+ * ds.io.tsv.stringify([{"Title" : "Fight Club", "Year" : 1999}])	// => 'Title\tYear\nFight Club\t1999\n'
+ */
+dataship.io.tsv.stringify = function stringify(dataset, options){
+	return dataship.io.csv.stringify(dataset, Object.assign({"delimiter" : "\t"}, options));
+}
 
-	if(!isnumber(values[0])) throw new Error("values must be numeric");
+/* splits delimited text into records (arrays of strings), keeping its place
+ * between chunks
+ * @private
+ */
+function CSVTokenizer(delimiter){
+	this.delimiter = delimiter;
+	this.record = [];
+	this.field = "";
+	this.quoted = false;	// inside a quoted field?
+	this.closed = false;	// just saw a quote inside a quoted field?
+	this.started = false;	// has the current record seen any characters?
+	this.cr = false;		// last chunk ended in a carriage return?
+}
 
-	axis = axis || {};
-	axis.x = axis.x || {};
-	axis.y = axis.y || {};
+CSVTokenizer.prototype.push = function(chunk){
+	var records = [];
+	var c;
 
-	var dates,
-		valid = false;
-	var xAxis = {"tick" : {}, "padding": {}},
-		textLength = 12;
+	for(var i = 0; i < chunk.length; i++){
+		c = chunk[i];
 
-	if(isstring(labels[0])){
+		// swallow the \n of a \r\n split across chunks
+		if(this.cr){
+			this.cr = false;
+			if(c === "\n") continue;
+		}
 
-		// try to parse as date-time
-		if(moment){
-			var m = moment(labels[0], ["YYYY", moment.ISO_8601], true)
-			valid = m.isValid();
+		if(this.quoted){
+			if(this.closed){
+				this.closed = false;
+				if(c === '"'){
+					// escaped quote
+					this.field += c;
+					continue;
+				}
+				this.quoted = false;
+				// fall through to handle the character after the closing quote
+			} else {
+				if(c === '"') this.closed = true;
+				else this.field += c;
+				continue;
+			}
+		}
 
-			dates = valid ? labels.map(function(x){ return moment(x, ["YYYY", moment.ISO_8601], true).toDate(); }) : [];
+		if(c === this.delimiter){
+			this.record.push(this.field);
+			this.field = "";
+			this.started = true;
+		} else if(c === "\n" || c === "\r"){
+			if(this.started || this.field.length) records.push(this.finish());
+			this.cr = (c === "\r");
+		} else if(c === '"' && this.field.length === 0){
+			this.quoted = true;
+			this.started = true;
 		} else {
-			valid = !isNaN(Date.parse(labels[0]));
-
-			dates = valid ? labels.map(function(x){ return new Date(Date.parse(x));}) : [];
+			this.field += c;
+			this.started = true;
 		}
+	}
 
-		if(valid){
-			labels = dates;
-			xAxis.type = "timeseries";
-			xAxis.tick.format = minimalDateFormat(dates);
-			textLength = xAxis.tick.format.length;
+	return records;
+};
 
-			//Object.assign(axis.x, { "type":"timeseries", "tick" : { "format" : dateFormat } });
-		} else  {
-			valid = !isNaN(parseFloat(labels[0]));
-			labels = valid ? labels.map(parseFloat) : labels;
-			textLength = 12;
-		}
+CSVTokenizer.prototype.end = function(){
+	if(this.quoted && !this.closed) throw new Error("unterminated quoted field");
+	this.quoted = this.closed = false;
 
-	} else if(isdate(labels[0])){
+	return (this.started || this.field.length) ? [this.finish()] : [];
+};
 
-		valid = true;
-		xAxis.type = "timeseries";
-		xAxis.tick.format = minimalDateFormat(labels);
-		textLength = xAxis.tick.format.length;
-		//Object.assign(axis.x, { "type":"timeseries", "tick" : { "format" : dateFormat } });
-	}
+CSVTokenizer.prototype.finish = function(){
+	var record = this.record;
+	record.push(this.field);
 
-	// scale x axis height to make room for labels
-	if(labels.length <= 7){
-		xAxis.height = Math.min(25 + (textLength / 10 | 0) * 12, 100);
-	} else {
-		xAxis.height = Math.min(25 + textLength * 3 | 0, 100);
-		xAxis.tick.rotate = 40;
-		xAxis.tick.width = 200;
-		xAxis.padding.right = 1;
+	this.record = [];
+	this.field = "";
+	this.started = false;
 
-		if(labels.length > 30){
-			// too many labels to show all
-			xAxis.tick.culling = {"max" : 30};
-			xAxis.tick.fit = true;
-		}
-	}
+	return record;
+};
 
-	axis.x = Object.assign(xAxis, axis.x);
+var NUMERIC = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+var LEADING_ZERO = /^[-+]?0\d/;
+var ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
 
-	if(!isnumber(labels[0]) && !valid) throw new Error("labels must be numeric, or valid date-time strings");
+/* classify a string from delimited text, using the names returned by {@link type}
+ * @private
+ */
+function fieldType(text){
+	// numbers with leading zeros are more likely ids or codes, like "007"
+	if(NUMERIC.test(text) && !LEADING_ZERO.test(text)) return type(parseFloat(text));
+	if(ISO_DATE.test(text) && !isNaN(Date.parse(text))) return "date";
 
-	if(!isinteger(values[0])){
-		precision = Math.min(minimalPrecision(values), MAX_AXIS_PRECISION);
+	return "string";
+}
 
-		Object.assign(axis.y, { "tick" : { "format" : function(x){ return x.toFixed(precision)}}});
+/* find the narrowest type that fits every non-empty value in a column of records
+ * @private
+ */
+function inferColumnType(records, index){
+	var found = null;
+	var text, current;
+
+	for(var i = 0; i < records.length; i++){
+		text = records[i][index];
+		if(text === void(0) || text === "") continue;
+
+		current = fieldType(text);
+		if(found === null || found === current) found = current;
+		else if((found === "integer" && current === "float") || (found === "float" && current === "integer")) found = "float";
+		else return "string";
 	}
 
-	c3.generate({
-		"data" : {
-			"x" : 'labels',
-			"columns" : [
-				['labels'].concat(labels),
-				[name].concat(values)
-			]
-		},
-		"axis" : axis,
-		"title": { "text": title }
-	})
+	return found || "string";
 }
 
-/* find the minimal number of digits for floating point display
+/* convert a field to a type, keeping the text of values that don't fit it (like
+ * "N/A" in a column of numbers, or a value after the rows types were inferred from)
  * @private
  */
-function minimalPrecision(values){
-	if(values.length == 0) return 0;
+var fieldConverters = {
+	"integer" : function(text){ return (text === "" || text == null) ? null : fitsField(text, "integer") ? parseFloat(text) : text; },
+	"float" : function(text){ return (text === "" || text == null) ? null : fitsField(text, "float") ? parseFloat(text) : text; },
+	"date" : function(text){ return (text === "" || text == null) ? null : fitsField(text, "date") ? new Date(parseLabelDate(text)) : text; },
+	"string" : function(text){ return text; }
+};
 
-	var max = Number.MIN_SAFE_INTEGER, min = Number.MAX_SAFE_INTEGER;
+function fitsField(text, expected){
+	var found = fieldType(text);
+	return found === expected || (found === "integer" && expected === "float");
+}
 
-	for(var i = 0; i < values.length; i++){
-		max = max < values[i] ? values[i] : max;
-		min = min > values[i] ? values[i] : min;
-	}
+/* quote a value for delimited text, if it needs it
+ * @private
+ */
+function formatField(val, delimiter){
+	if(val == null) return "";
+	if(isdate(val)) return val.toISOString();
 
-	return Math.max(1, Math.ceil(Math.log10(1 / (max - min)) + 1));
+	var text = String(val);
+	if(text.indexOf(delimiter) >= 0 || text.indexOf('"') >= 0 || /[\r\n]/.test(text) || text.trim() !== text)
+		return '"' + text.replace(/"/g, '""') + '"';
+
+	return text;
 }
 
-/* find the right display format for an array of dates, by checking the range
-they cover
- @private
+/* natural logarithm of the gamma function (Lanczos approximation)
+ * @private
  */
-function minimalDateFormat(dates){
-
-	if(dates.length == 0) return "%Y";
+var LANCZOS = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+	-176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
 
-	// generate list of indices to check
-	//var indices = {0: true, (dates.length - 1) : true};
+function logGamma(x){
+	if(x < 0.5) return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
 
-	// see precisions in chosen subsample
-	var found = {};
-	var show = {};
-	var date;
-	for(var i = 0; i < dates.length; i++){
-		date = dates[i];
+	x -= 1;
+	var a = LANCZOS[0];
+	var t = x + 7.5;
+	for(var i = 1; i < 9; i++) a += LANCZOS[i] / (x + i);
 
-		if(found.year && found.year !== date.getFullYear()) show.year = true;
-		else found.year = date.getFullYear();
+	return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
 
-		if(found.month && found.month !== date.getMonth()){show.month = true;}
-		else{found.month = date.getMonth();}
+/* regularized incomplete beta function I_x(a, b)
+ * @private
+ */
+function incompleteBeta(x, a, b){
+	if(x <= 0) return 0;
+	if(x >= 1) return 1;
 
-		if(found.day && found.day !== date.getDate()){show.day = true;}
-		else{found.day = date.getDate();}
+	var front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
 
-		if(found.hour && found.hour !== date.getHours()) show.hour = true;
-		else found.hour = date.getHours();
+	// the continued fraction converges quickly on this side
+	if(x < (a + 1) / (a + b + 2)) return front * betaContinuedFraction(x, a, b) / a;
 
-		if(found.minute && found.minute !== date.getMinutes()) show.minute = true;
-		else found.minute = date.getMinutes();
+	return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
 
-		if(found.second && found.second !== date.getSeconds()) show.second = true;
-		else found.second = date.getSeconds();
+/* continued fraction for the incomplete beta function (modified Lentz's method)
+ * @private
+ */
+function betaContinuedFraction(x, a, b){
+	var TINY = 1e-300, EPSILON = 1e-15;
+
+	var c = 1;
+	var d = 1 - (a + b) * x / (a + 1);
+	if(Math.abs(d) < TINY) d = TINY;
+	d = 1 / d;
+	var h = d;
+
+	var m, m2, aa, delta;
+	for(m = 1; m <= 1000; m++){
+		m2 = 2 * m;
+
+		aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+		d = 1 + aa * d;
+		if(Math.abs(d) < TINY) d = TINY;
+		c = 1 + aa / c;
+		if(Math.abs(c) < TINY) c = TINY;
+		d = 1 / d;
+		h *= d * c;
+
+		aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+		d = 1 + aa * d;
+		if(Math.abs(d) < TINY) d = TINY;
+		c = 1 + aa / c;
+		if(Math.abs(c) < TINY) c = TINY;
+		d = 1 / d;
+		delta = d * c;
+		h *= delta;
+
+		if(Math.abs(delta - 1) < EPSILON) break;
 	}
-	show.time = show.hour || show.minute || show.second;
-	show.date = show.year || show.month || show.day;
 
-	// show both?
-	if(show.date && show.time){
-		// yes, use the full format
-		return '%Y-%m-%d %H:%M:%S';
-	} else if(show.date){
-		if(show.day) return '%Y-%m-%d';
-		else if(show.month) return '%Y-%m';
-		else return '%Y';
-	} else {
-		return '%H:%M:%S';
-	}
+	return h;
 }
 
-/* Draw a scatter plot, values and labels must both be numeric.
- *
- * `ds.vis.scatter(values, labels, name, title)`
- *
- *	* values - array of values (y axis)
- *	* labels - array of numeric labels (x axis)
- *	* name - (optional) name for the data set
- *	* title - (optional) title for the chart
- *  * axis - (optional) c3 axis options
- *
- * `ds.vis.scatter(index, name, title)`
- *
- *	* index - object mapping labels to values
- *
- *	* values - array of values (y axis)
- *	* labels - array of labels (x axis)
- *	* name - (optional) name for the data set
- *	* title - (optional) title for the chart
- *  * axis - (optional) c3 axis options
- *
+/* probability of a Student's t statistic at least as far from zero as t
+ * @private
  */
-dataship.vis.scatter = function scatter(values, labels, name, title, axis){
-
-	// did we get an index object?
-	if(isobject(values)){
-		// yes, parse it out
-		var obj = values;
-		axis = title;
-		title = name;
-		name = labels;
+function studentTwoSided(t, df){
+	if(isNaN(t)) return NaN;
 
-		labels = Object.keys(obj);
-		values = labels.map(function(k){ return obj[k];})
-	}
+	return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
 
-	name = name || "data";
-	title = title || titleify(name);
-	labels = labels || range(values.length);
+/* cumulative distribution function of Student's t distribution
+ * @private
+ */
+function studentCdf(t, df){
+	if(isNaN(t)) return NaN;
 
-	if(values.length == 0 || labels.length == 0) return;
-	var valid = false;
+	var tail = incompleteBeta(df / (df + t * t), df / 2, 0.5) / 2;
+	return t < 0 ? tail : 1 - tail;
+}
 
-	if(isstring(labels[0])){
-		valid = !isNaN(parseFloat(labels[0]));
-		labels = valid ? labels.map(parseFloat) : labels;
-	}
+/* regularized lower incomplete gamma function P(a, x)
+ * @private
+ */
+function gammaP(a, x){
+	if(x <= 0) return 0;
+	if(x < a + 1) return gammaSeries(a, x);
 
-	if(!isnumber(values[0]) || (!isnumber(labels[0]) && !valid)) throw new Error("values and labels must be numeric");
+	return 1 - gammaContinuedFraction(a, x);
+}
 
-	axis = axis || {};
-	axis.x = axis.x || {};
-	axis.y = axis.y || {};
+/* regularized upper incomplete gamma function Q(a, x) = 1 - P(a, x)
+ * @private
+ */
+function gammaQ(a, x){
+	if(x <= 0) return 1;
+	if(x < a + 1) return 1 - gammaSeries(a, x);
 
-	if(!isinteger(values[0])){
-		precision = Math.min(minimalPrecision(values), MAX_AXIS_PRECISION);
+	return gammaContinuedFraction(a, x);
+}
 
-		Object.assign(axis.y, { "tick" : { "format" : function(x){ return x.toFixed(precision)}}});
+function gammaSeries(a, x){
+	var sum = 1 / a, term = sum;
+	var limit = gammaIterations(a);
+	for(var n = 1; Math.abs(term) >= Math.abs(sum) * 1e-16; n++){
+		if(n > limit) throw new Error("incomplete gamma series didn't converge for a = " + a + ", x = " + x);
+		term *= x / (a + n);
+		sum += term;
 	}
 
-	if(!isinteger(labels[0])){
-		precision = Math.min(minimalPrecision(values), MAX_AXIS_PRECISION);
+	return sum * gammaPrefactor(a, x);
+}
 
-		Object.assign(axis.x, { "tick" : { "format" : function(x){ return x.toFixed(precision)}}});
+function gammaContinuedFraction(a, x){
+	var TINY = 1e-300;
+
+	var b = x + 1 - a;
+	var c = 1 / TINY;
+	var d = 1 / b;
+	var h = d;
+	var an, delta = 0;
+	var limit = gammaIterations(a);
+	for(var i = 1; Math.abs(delta - 1) >= 1e-16; i++){
+		if(i > limit) throw new Error("incomplete gamma continued fraction didn't converge for a = " + a + ", x = " + x);
+		an = -i * (i - a);
+		b += 2;
+		d = an * d + b;
+		if(Math.abs(d) < TINY) d = TINY;
+		c = b + an / c;
+		if(Math.abs(c) < TINY) c = TINY;
+		d = 1 / d;
+		delta = d * c;
+		h *= delta;
 	}
 
-	c3.generate({
-		"data": {
-			"x": "labels",
-			"columns": [
-				["labels"].concat(labels),
-				[name].concat(values),
-			],
-			"type": 'scatter'
-		},
-		"axis" : axis,
-		"title": { "text": title }
-	});
+	return gammaPrefactor(a, x) * h;
 }
 
-dataship.stats.linearRegression = function linearRegression(y,x){
-/* Simple linear regression
- *
- * @examples
- * var y = [1, 2, 3, 4];
- * var x = [1, 2, 3, 4];
- *
- * var result = {
- *    slope: 1,
- *    intercept: 0,
- *    r2: 1
- * };
- *
- * ds.frame.stats.linearRegression(y, x)		// => result
+/* x^a e^-x / gamma(a), the factor shared by the series and continued fraction.
+ * For large a the terms of its logarithm are huge and nearly cancel, so it's
+ * written around x = a, with Stirling's series for gamma(a).
+ * @private
  */
-
-	// did we get an index object?
-	if(isobject(y)){
-		// yes, parse it out
-		var obj = y;
-
-		x = Object.keys(obj);
-		y = x.map(function(k){ return obj[k];})
+function gammaPrefactor(a, x){
+	if(a < 10) return Math.exp(-x + a * Math.log(x) - logGamma(a));
+
+	// a log(x / a) - (x - a), without the cancellation for x near a
+	var t = (x - a) / a;
+	var deviation;
+	if(Math.abs(t) < 0.01){
+		deviation = 0;
+		for(var k = 2, power = t * t; k < 12; k++, power *= t) deviation += (k % 2 ? power : -power) / k;
+	} else {
+		deviation = Math.log1p(t) - t;
 	}
 
-	if(isstring(x[0])){
-		valid = !isNaN(parseFloat(x[0]));
-		x = valid ? x.map(parseFloat) : x;
-	}
+	var correction = 1 / (12 * a) - 1 / (360 * a * a * a) + 1 / (1260 * Math.pow(a, 5));
 
-	// from here:
-	// http://www.localwisdom.com/blog/2014/01/get-trend-line-javascript-graph-linear-regression/
-	var lr = {};
-	var n = y.length;
-	var sum_x = 0;
-	var sum_y = 0;
-	var sum_xy = 0;
-	var sum_xx = 0;
-	var sum_yy = 0;
+	return Math.exp(a * deviation - correction) * Math.sqrt(a / (2 * Math.PI));
+}
 
-	for (var i = 0; i < y.length; i++) {
+/* iterations the incomplete gamma series and continued fraction may take; near
+ * x = a both need a number of terms growing with the square root of a
+ * @private
+ */
+function gammaIterations(a){
+	return 1000 + Math.ceil(50 * Math.sqrt(a));
+}
 
-		sum_x += x[i];
-		sum_y += y[i];
-		sum_xy += (x[i]*y[i]);
-		sum_xx += (x[i]*x[i]);
-		sum_yy += (y[i]*y[i]);
-	}
+/* probability of a standard normal variable greater than z, accurate far into the tail
+ * @private
+ */
+function normalUpper(z){
+	// erfc(x) = Q(1/2, x^2)
+	var half = gammaQ(0.5, z * z / 2) / 2;
+	return z >= 0 ? half : 1 - half;
+}
 
-	lr['slope'] = (n * sum_xy - sum_x * sum_y) / (n*sum_xx - sum_x * sum_x);
-	lr['intercept'] = (sum_y - lr.slope * sum_x)/n;
-	lr['r2'] = Math.pow((n*sum_xy - sum_x*sum_y)/Math.sqrt((n*sum_xx-sum_x*sum_x)*(n*sum_yy-sum_y*sum_y)),2);
+/* probability of a chi-square variable greater than x
+ * @private
+ */
+function chiSquareUpper(x, df){
+	return gammaQ(df / 2, x / 2);
+}
 
-	return lr;
+/* probability of an F variable greater than f
+ * @private
+ */
+function fisherUpper(f, df1, df2){
+	if(isNaN(f)) return NaN;
+	if(f <= 0) return 1;
+
+	return incompleteBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2);
 }
 
 var d = function(a, b){ return a > b ? 1 : a < b ? -1 : 0;};
@@ -1697,4 +9003,4 @@ function defaultComparator() {
 	};
 }
 
-}(typeof module === 'object' ? (GLOBAL) : (window)));
+}(typeof global === 'object' ? global : typeof window === 'object' ? window : self));